@@ -1,5 +1,5 @@
 // Badge Evaluator - evaluates 39 badges from Badges.csv against match data
-// Uses Match-V5 data (rawJson) and Timeline data (timelineJson)
+// Uses Match-V5 data (rawJson) and the stored timeline (timeline_events / timeline_frames rows)
 
 // ===== GEOMETRY HELPERS =====
 
@@ -69,14 +69,59 @@ function getTeamGold(frame, teamIds) {
     return total;
 }
 
+// Timeline rows back in the shape of the Riot timeline JSON the badge checks are written against
+function toTimelineEvent(row) {
+    const event = {
+        type: row.type,
+        timestamp: row.timestamp,
+        participantId: row.participantId,
+        creatorId: row.participantId,
+        killerId: row.killerId,
+        victimId: row.victimId,
+        assistingParticipantIds: row.assistingParticipantIds ? JSON.parse(row.assistingParticipantIds) : [],
+        monsterType: row.monsterType,
+        monsterSubType: row.monsterSubType,
+        buildingType: row.buildingType,
+        towerType: row.towerType,
+        laneType: row.laneType,
+        wardType: row.wardType,
+        level: row.level
+    };
+    if (row.type === 'ELITE_MONSTER_KILL') event.killerTeamId = row.teamId;
+    else event.teamId = row.teamId;
+    if (row.x !== null && row.y !== null) event.position = { x: row.x, y: row.y };
+    return event;
+}
+
+function toTimelineFrames(frameRows) {
+    const frames = [];
+    for (const row of frameRows) {
+        if (!frames[row.frameIndex]) frames[row.frameIndex] = { timestamp: row.timestamp, participantFrames: {} };
+        frames[row.frameIndex].participantFrames[String(row.participantId)] = {
+            position: row.x !== null && row.y !== null ? { x: row.x, y: row.y } : undefined,
+            currentGold: row.currentGold,
+            totalGold: row.totalGold,
+            xp: row.xp,
+            level: row.level,
+            minionsKilled: row.minionsKilled,
+            jungleMinionsKilled: row.jungleMinionsKilled,
+            championStats: { healthMax: row.healthMax }
+        };
+    }
+    return frames.filter(Boolean);
+}
+
 // ===== CONTEXT BUILDER =====
 
-function buildContext(match) {
+// timeline: { events, frames } rows of the match (see timelineService.getTimeline), or null
+function buildContext(match, timeline) {
     if (!match.rawJson) return null;
     const raw = typeof match.rawJson === 'string' ? JSON.parse(match.rawJson) : match.rawJson;
     const info = raw.info;
     const participants = info.participants;
-    const me = participants.find(p => p.championName === match.championName && p.teamId === match.teamId);
+    // The tracked player: stored participantId, falling back to the owner's puuid
+    const me = participants.find(p => match.participantId != null && p.participantId === match.participantId) ||
+        participants.find(p => p.puuid === match.puuid);
     if (!me) return null;
 
     const myTeam = participants.filter(p => p.teamId === me.teamId);
@@ -98,16 +143,16 @@ function buildContext(match) {
         buildingEvents: [],
         wardEvents: [],
         levelEvents: [],
-        frames: []
+        frames: [],
+        puuidToTlId: {}
     };
 
-    if (match.timelineJson) {
-        const tl = typeof match.timelineJson === 'string' ? JSON.parse(match.timelineJson) : match.timelineJson;
+    if (timeline && timeline.frames.length > 0) {
         ctx.hasTimeline = true;
 
-        const puuidToTlId = {};
-        for (const tp of (tl.info?.participants || [])) {
-            puuidToTlId[tp.puuid] = tp.participantId;
+        const puuidToTlId = ctx.puuidToTlId;
+        for (const row of timeline.frames) {
+            if (row.puuid) puuidToTlId[row.puuid] = row.participantId;
         }
         ctx.myPId = puuidToTlId[me.puuid] || null;
 
@@ -119,15 +164,13 @@ function buildContext(match) {
             }
         }
 
-        ctx.frames = tl.info?.frames || [];
-        for (const frame of ctx.frames) {
-            for (const event of (frame.events || [])) {
-                if (event.type === 'CHAMPION_KILL') ctx.killEvents.push(event);
-                if (event.type === 'ELITE_MONSTER_KILL') ctx.objectiveEvents.push(event);
-                if (event.type === 'BUILDING_KILL') ctx.buildingEvents.push(event);
-                if (event.type === 'WARD_PLACED' || event.type === 'WARD_KILL') ctx.wardEvents.push(event);
-                if (event.type === 'LEVEL_UP') ctx.levelEvents.push(event);
-            }
+        ctx.frames = toTimelineFrames(timeline.frames);
+        for (const event of timeline.events.map(toTimelineEvent)) {
+            if (event.type === 'CHAMPION_KILL') ctx.killEvents.push(event);
+            if (event.type === 'ELITE_MONSTER_KILL') ctx.objectiveEvents.push(event);
+            if (event.type === 'BUILDING_KILL') ctx.buildingEvents.push(event);
+            if (event.type === 'WARD_PLACED' || event.type === 'WARD_KILL') ctx.wardEvents.push(event);
+            if (event.type === 'LEVEL_UP') ctx.levelEvents.push(event);
         }
         ctx.killEvents.sort((a, b) => a.timestamp - b.timestamp);
     }
@@ -516,12 +559,7 @@ const BADGES = [
             );
             if (!enemyJungler) return false;
             // Find their timeline participantId
-            const puuidToTlId = {};
-            const tl = typeof ctx.match.timelineJson === 'string' ? JSON.parse(ctx.match.timelineJson) : ctx.match.timelineJson;
-            for (const tp of (tl.info?.participants || [])) {
-                puuidToTlId[tp.puuid] = tp.participantId;
-            }
-            const enemyJgPId = puuidToTlId[enemyJungler.puuid];
+            const enemyJgPId = ctx.puuidToTlId[enemyJungler.puuid];
             if (!enemyJgPId) return false;
 
             let count = 0;
@@ -587,8 +625,9 @@ const BADGES = [
 
 // ===== MAIN EVALUATION FUNCTION =====
 
-function evaluateBadges(match) {
-    const ctx = buildContext(match);
+// timeline: the match's stored timeline rows ({ events, frames }); badges that need it are skipped without
+function evaluateBadges(match, timeline = null) {
+    const ctx = buildContext(match, timeline);
     if (!ctx) return [];
 
     const earned = [];
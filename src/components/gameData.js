@@ -0,0 +1,161 @@
+// Game data lookups (items, runes, summoner spells) for the renderer.
+// The data is downloaded by the main process (services/dataDragon.js) and handed over with setGameData().
+// Matches from older patches are looked up in that patch's data (setPatchGameData) once it's loaded:
+// the lookups take the match's gameVersion and fall back to the latest data.
+
+let gameDataCache = {
+    base: 'https://ddragon.leagueoflegends.com/cdn/25.S1.1',
+    imageBase: 'https://ddragon.leagueoflegends.com/cdn/img',
+    items: {},
+    runes: [],
+    summonerSpellsById: {}, // Indexed by spell key (ID number)
+    loaded: false
+};
+
+// Data of older patches by patch ('14.23'); null for a patch that uses the latest data
+const patchGameData = new Map();
+
+/**
+ * Build the lookup data from the data received from the main process
+ */
+function buildGameData(data) {
+    // Create lookup by spell key (the numeric ID used in match data)
+    const summonerSpellsById = {};
+    for (const spellName in data.summonerSpells) {
+        const spell = data.summonerSpells[spellName];
+        summonerSpellsById[spell.key] = spell;
+    }
+
+    return {
+        base: data.base,
+        imageBase: data.imageBase,
+        items: data.items,
+        runes: data.runes,
+        summonerSpellsById,
+        loaded: true
+    };
+}
+
+/**
+ * Store the game data received from the main process
+ * @param {{ base: string, imageBase: string, items: Object, runes: Array, summonerSpells: Object }} data
+ */
+function setGameData(data) {
+    gameDataCache = buildGameData(data);
+}
+
+/**
+ * Patch of a match's gameVersion ('14.23.636.4567' -> '14.23'), or null
+ */
+function getPatch(gameVersion) {
+    const match = /^(\d+)\.(\d+)\./.exec(gameVersion || '');
+    return match ? `${match[1]}.${match[2]}` : null;
+}
+
+/**
+ * Store the data of an older patch (null: the patch uses the latest data)
+ * @param {string} patch
+ * @param {{ base: string, items: Object, runes: Array, summonerSpells: Object }|null} data
+ */
+function setPatchGameData(patch, data) {
+    patchGameData.set(patch, data ? buildGameData({ imageBase: gameDataCache.imageBase, ...data }) : null);
+}
+
+/**
+ * Whether the data of a patch was loaded (or found to be the latest data)
+ */
+function hasPatchGameData(patch) {
+    return patchGameData.has(patch);
+}
+
+/**
+ * The data a match is shown with: its patch's data if loaded, else the latest
+ */
+function getGameDataFor(gameVersion) {
+    const patch = getPatch(gameVersion);
+    return (patch && patchGameData.get(patch)) || gameDataCache;
+}
+
+/**
+ * Get item data by ID (as it was on the patch of gameVersion, when given)
+ */
+function getItemData(itemId, gameVersion = null) {
+    const data = getGameDataFor(gameVersion);
+    if (!data.loaded || !itemId) return null;
+    return data.items[itemId] || null;
+}
+
+/**
+ * Get rune data by ID
+ * Searches through all rune trees to find the matching rune
+ */
+function getRuneData(runeId, gameVersion = null) {
+    const data = getGameDataFor(gameVersion);
+    if (!data.loaded || !runeId) return null;
+
+    // Search through all rune trees
+    for (const tree of data.runes) {
+        // Check if it's a tree style ID (8000, 8100, etc.)
+        if (tree.id === runeId) {
+            return {
+                name: tree.name,
+                icon: tree.icon,
+                description: `${tree.name} - Rune Tree`
+            };
+        }
+
+        // Search through slots for keystones and regular runes
+        for (const slot of tree.slots) {
+            for (const rune of slot.runes) {
+                if (rune.id === runeId) {
+                    return {
+                        name: rune.name,
+                        icon: rune.icon,
+                        shortDesc: rune.shortDesc,
+                        longDesc: rune.longDesc
+                    };
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get summoner spell data by ID (the numeric key)
+ */
+function getSummonerSpellData(spellId, gameVersion = null) {
+    const data = getGameDataFor(gameVersion);
+    if (!data.loaded || !spellId) return null;
+    return data.summonerSpellsById[spellId] || null;
+}
+
+/**
+ * Data Dragon image base URL of the loaded version, or of the patch of gameVersion
+ * (served from the disk cache, see services/dataDragon.js)
+ */
+function getDDragonBase(gameVersion = null) {
+    return getGameDataFor(gameVersion).base;
+}
+
+/**
+ * Base URL of the unversioned Data Dragon images (rune icons)
+ */
+function getDDragonImageBase() {
+    return gameDataCache.imageBase;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        setGameData,
+        getPatch,
+        setPatchGameData,
+        hasPatchGameData,
+        getItemData,
+        getRuneData,
+        getSummonerSpellData,
+        getDDragonBase,
+        getDDragonImageBase
+    };
+}
@@ -122,7 +122,7 @@ function getRankFromKP(kp) {
 }
 
 // Render table row for a match
-function renderMatchRow(match, index, DDRAGON_BASE, QUEUE_NAMES, getChampionIcon, timeAgo, formatDamage, renderRunes, renderSummonerSpells) {
+function renderMatchRow(match, index, getDDragonBase, QUEUE_NAMES, getChampionIcon, timeAgo, formatDamage, renderRunes, renderSummonerSpells) {
     const isWin = match.win === 1;
     const kda = match.deaths === 0 ? 'Perfect' : ((match.kills + match.assists) / match.deaths).toFixed(2);
     const kdaNum = match.deaths === 0 ? 99 : ((match.kills + match.assists) / match.deaths);
@@ -148,7 +148,8 @@ function renderMatchRow(match, index, DDRAGON_BASE, QUEUE_NAMES, getChampionIcon
     const kpRank = getRankFromKP(kpNum);
     const kpColor = totalTeamKills > 0 ? getRankColor(kpRank) : '#8a8a9a';
 
-    // Build items HTML for table display in 2 rows (smaller icons)
+    // Build items HTML for table display in 2 rows (smaller icons), with the icons of the match's patch
+    const DDRAGON_BASE = getDDragonBase(match.gameVersion);
     const items = [match.item0, match.item1, match.item2, match.item3, match.item4, match.item5, match.item6];
     const itemsRow1 = items.slice(0, 4).map(itemId => {
         if (itemId && itemId > 0) {
@@ -165,7 +166,7 @@ function renderMatchRow(match, index, DDRAGON_BASE, QUEUE_NAMES, getChampionIcon
     }).join('');
 
     return `
-        <tr class="${isWin ? 'win' : 'loss'}" data-match-index="${index}" onclick="toggleRowExpand(${index})" style="cursor: pointer;">
+        <tr class="${isWin ? 'win' : 'loss'}" data-match-index="${index}" data-game-version="${match.gameVersion || ''}" onclick="toggleRowExpand(${index})" style="cursor: pointer;">
             <td class="table-game-mode">${queueName}</td>
             <td>
                 <div class="table-champion-cell">
@@ -217,7 +218,7 @@ function renderMatchRow(match, index, DDRAGON_BASE, QUEUE_NAMES, getChampionIcon
 }
 
 // Render match table with header
-function renderMatchTable(matches, matchesData, DDRAGON_BASE, QUEUE_NAMES, getChampionIcon, timeAgo, formatDamage, renderRunes, renderSummonerSpells) {
+function renderMatchTable(matches, matchesData, getDDragonBase, QUEUE_NAMES, getChampionIcon, timeAgo, formatDamage, renderRunes, renderSummonerSpells) {
     if (matches.length === 0) {
         return `
             <div class="empty-state">
@@ -229,7 +230,7 @@ function renderMatchTable(matches, matchesData, DDRAGON_BASE, QUEUE_NAMES, getCh
 
     const matchRows = matches.map((match) => {
         const originalIndex = matchesData.indexOf(match);
-        return renderMatchRow(match, originalIndex, DDRAGON_BASE, QUEUE_NAMES, getChampionIcon, timeAgo, formatDamage, renderRunes, renderSummonerSpells);
+        return renderMatchRow(match, originalIndex, getDDragonBase, QUEUE_NAMES, getChampionIcon, timeAgo, formatDamage, renderRunes, renderSummonerSpells);
     }).join('');
 
     return `
@@ -1,15 +1,60 @@
-const { app, BrowserWindow } = require('electron');
+const { app, BrowserWindow, ipcMain, shell, dialog, protocol } = require('electron');
 const path = require('path');
 
 const { initDatabase } = require('./services/database');
+const { loadConfig, saveConfig, isConfigValid } = require('./services/config');
+const { getMatches, getMatchStatRows, getMatchSummaries, getStats, getMatchById, getLeagueData, getMatchParticipantRanks } = require('./services/matchService');
+const { getMatchParticipants } = require('./services/participantService');
+const { getTimeline } = require('./services/timelineService');
+const { ASSET_SCHEME, loadGameData, loadPatchGameData, getAsset, getDDragonBase, getDDragonImageBase } = require('./services/dataDragon');
+const { runSync, stopSync, isSyncRunning, resolveAccount } = require('./services/syncRunner');
+const { exportArchive, importArchive } = require('./services/archiveService');
+const { getExportColumns, exportMatches } = require('./services/exportService');
+const { getChampionPool, getMatchups, getRecurringPlayers, getLobbyStrength } = require('./services/analyticsService');
+const { getRankHistory } = require('./services/rankHistoryService');
+const { backupDir, getBackupFileName, checkIntegrity, backupDatabase, getLatestBackupTime, runScheduledBackup, validateBackup, restoreDatabase } = require('./services/backupService');
+
+// Auto-sync: first run shortly after launch, then every intervalMinutes (see config.autoSync)
+const AUTO_SYNC_FIRST_RUN_DELAY_MS = 30 * 1000;
+const AUTO_SYNC_MIN_INTERVAL_MINUTES = 5;
+
+// Scheduled backups: first check shortly after launch, a failed one is retried after an hour
+const BACKUP_FIRST_RUN_DELAY_MS = 60 * 1000;
+const BACKUP_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Config fields the renderer may change (the API key is handled separately, see config:save)
+const RENDERER_CONFIG_KEYS = ['appRateLimit', 'accounts', 'activeAccount', 'autoSync', 'backup'];
+
+let autoSyncTimer = null;
+let backupTimer = null;
+// 'restore' or 'import' while a backup is restored or an archive imported: these write to the
+// database in their own transactions, so no sync may run meanwhile (and only one of them at a time).
+// 'backup' while a manual or scheduled backup copies the database, so it never copies a half-restored or half-imported file.
+// 'export' while an archive is exported: it reads matches one by one, so they must not change underneath it.
+let exclusiveTask = null;
+
+const EXCLUSIVE_TASK_LABELS = {
+  restore: 'A backup is being restored',
+  import: 'An archive is being imported',
+  backup: 'A backup is being made',
+  export: 'An archive is being exported'
+};
+
+// Data Dragon images are loaded from ddragon:// URLs, served from the disk cache (see services/dataDragon.js).
+// Custom schemes must be registered before the app is ready.
+protocol.registerSchemesAsPrivileged([
+  { scheme: ASSET_SCHEME, privileges: { standard: true, secure: true } }
+]);
 
 function createWindow() {
   const win = new BrowserWindow({
     width: 1200,
     height: 900,
     webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false
+      preload: path.join(__dirname, 'preload.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true
     }
   });
 
@@ -17,14 +62,387 @@ function createWindow() {
 
   // DevTools disabled - uncomment below line for debugging if needed
   // win.webContents.openDevTools();
+  return win;
+}
+
+// Send an event to every open window
+function broadcast(channel, payload) {
+  BrowserWindow.getAllWindows().forEach(win => win.webContents.send(channel, payload));
+}
+
+// Run a sync and report it to the renderer: sync:started, sync:progress, then sync:completed or sync:failed.
+// Errors are returned as plain data ({ message, status, code }) since they don't survive IPC otherwise.
+async function startSync(accountIds, auto) {
+  broadcast('sync:started', { auto });
+  try {
+    const summary = await runSync(accountIds, {
+      auto,
+      onProgress: progress => broadcast('sync:progress', progress)
+    });
+    broadcast('sync:completed', { auto, summary });
+    return { ok: true, summary };
+  } catch (err) {
+    console.error(`${auto ? 'Auto-sync' : 'Sync'} failed:`, err.message);
+    const error = { message: err.message, status: err.response?.status || null, code: err.code || null };
+    broadcast('sync:failed', { auto, error });
+    return { ok: false, error };
+  }
+}
+
+// (Re)start the auto-sync timer from the current config. delayMs defaults to the configured interval.
+function scheduleAutoSync(delayMs = null) {
+  clearTimeout(autoSyncTimer);
+  autoSyncTimer = null;
+
+  const { autoSync } = loadConfig();
+  if (!autoSync || !autoSync.enabled) return;
+
+  const intervalMinutes = Math.max(AUTO_SYNC_MIN_INTERVAL_MINUTES, Number(autoSync.intervalMinutes) || 0);
+  autoSyncTimer = setTimeout(runAutoSync, delayMs !== null ? delayMs : intervalMinutes * 60 * 1000);
+}
+
+async function runAutoSync() {
+  autoSyncTimer = null;
+  // Skip this round if setup isn't done, a (manual) sync is already running or a restore/import is
+  if (isConfigValid(loadConfig()) && !isSyncRunning() && !exclusiveTask) {
+    console.log('Auto-sync: syncing all accounts...');
+    await startSync(null, true);
+  }
+  scheduleAutoSync();
+}
+
+// accountIds: accounts to sync (null = all)
+ipcMain.handle('sync:run', (event, accountIds) => {
+  if (isSyncRunning()) {
+    return { ok: false, error: { message: 'A sync is already running', status: null, code: 'SYNC_IN_PROGRESS' } };
+  }
+  if (exclusiveTask) {
+    return { ok: false, error: { message: EXCLUSIVE_TASK_LABELS[exclusiveTask], status: null, code: 'DATABASE_BUSY' } };
+  }
+  return startSync(accountIds, false);
+});
+
+ipcMain.handle('sync:stop', (event, mode) => stopSync(mode));
+
+ipcMain.handle('sync:isRunning', () => isSyncRunning());
+
+// (Re)start the backup timer: the next backup is due intervalHours after the newest one,
+// but runs no sooner than minDelayMs from now
+function scheduleBackups(minDelayMs = BACKUP_FIRST_RUN_DELAY_MS) {
+  clearTimeout(backupTimer);
+  backupTimer = null;
+
+  const { backup } = loadConfig();
+  if (!backup || !backup.enabled) return;
+
+  const intervalMs = Math.max(1, Number(backup.intervalHours) || 24) * 60 * 60 * 1000;
+  const latest = getLatestBackupTime();
+  const dueInMs = latest ? latest + intervalMs - Date.now() : 0;
+  backupTimer = setTimeout(runBackupRound, Math.max(minDelayMs, dueInMs));
+}
+
+async function runBackupRound() {
+  backupTimer = null;
+  if (exclusiveTask) {
+    scheduleBackups(BACKUP_RETRY_DELAY_MS);
+    return;
+  }
+  exclusiveTask = 'backup';
+  try {
+    const result = await runScheduledBackup(Math.max(1, Number(loadConfig().backup.keep) || 7));
+    if (!result.integrity.ok) {
+      broadcast('backup:integrityFailed', result.integrity);
+      scheduleBackups(BACKUP_RETRY_DELAY_MS);
+      return;
+    }
+    scheduleBackups(0);
+  } catch (err) {
+    console.error('Scheduled backup failed:', err.message);
+    scheduleBackups(BACKUP_RETRY_DELAY_MS);
+  } finally {
+    exclusiveTask = null;
+  }
 }
 
-app.whenReady().then(() => {
+// The config as the renderer sees it: the API key never leaves the main process
+function toRendererConfig(config) {
+  const { apiKey, ...rest } = config;
+  return { ...rest, hasApiKey: Boolean(apiKey && apiKey.trim()), valid: Boolean(isConfigValid(config)) };
+}
+
+function findAccount(accountId) {
+  const account = loadConfig().accounts.find(a => a.id === accountId);
+  if (!account) throw new Error(`Unknown account: ${accountId}`);
+  return account;
+}
+
+ipcMain.handle('config:get', () => toRendererConfig(loadConfig()));
+
+ipcMain.handle('config:save', (event, changes) => {
+  const config = loadConfig();
+  for (const key of RENDERER_CONFIG_KEYS) {
+    if (changes[key] !== undefined) config[key] = changes[key];
+  }
+  if (changes.apiKey) config.apiKey = changes.apiKey;
+  if (!saveConfig(config)) return null;
+
+  // Apply the auto-sync setting (enabling it runs the first sync soon after)
+  if (changes.autoSync !== undefined) {
+    scheduleAutoSync(autoSyncTimer ? null : AUTO_SYNC_FIRST_RUN_DELAY_MS);
+  }
+  if (changes.backup !== undefined) scheduleBackups();
+  return toRendererConfig(config);
+});
+
+ipcMain.handle('accounts:resolve', async (event, accountId) => {
+  const account = await resolveAccount(findAccount(accountId));
+  return account.puuid;
+});
+
+ipcMain.handle('matches:list', (event, puuids, page) => getMatches(puuids, page));
+ipcMain.handle('matches:statRows', (event, puuids) => getMatchStatRows(puuids));
+ipcMain.handle('matches:summaries', (event, keys) => getMatchSummaries(keys));
+
+ipcMain.handle('matches:get', (event, matchId, puuid) => getMatchById(matchId, puuid));
+
+ipcMain.handle('matches:stats', (event, puuids) => getStats(puuids));
+
+ipcMain.handle('matches:participants', (event, matchId) => getMatchParticipants(matchId));
+
+ipcMain.handle('matches:timeline', (event, matchId) => getTimeline(matchId));
+
+ipcMain.handle('ranks:get', async (event, accountId) => {
+  const account = await resolveAccount(findAccount(accountId));
+  return getLeagueData(account.puuid, account.platform);
+});
+
+ipcMain.handle('ranks:participants', (event, matchId) => getMatchParticipantRanks(matchId));
+
+ipcMain.handle('ranks:history', async (event, accountId, queue) => {
+  const account = await resolveAccount(findAccount(accountId));
+  return getRankHistory(account.puuid, queue);
+});
+
+ipcMain.handle('gameData:get', async () => {
+  const { items, runes, summonerSpells } = await loadGameData();
+  return { base: getDDragonBase(), imageBase: getDDragonImageBase(), items, runes, summonerSpells };
+});
+
+ipcMain.handle('gameData:patch', async (event, patch) => {
+  const data = await loadPatchGameData(patch);
+  if (!data) return null;
+  const { base, items, runes, summonerSpells } = data;
+  return { base, items, runes, summonerSpells };
+});
+
+// Why a restore or import can't start now (null if it can)
+function exclusiveTaskBlocker(action) {
+  if (isSyncRunning()) return `Stop the running sync before ${action}`;
+  if (exclusiveTask) return `${EXCLUSIVE_TASK_LABELS[exclusiveTask]} - try again when it's done`;
+  return null;
+}
+
+// Back up to a file the user picks. Resolves with { ok, path, integrity } / { ok: false, error }, or null if cancelled.
+ipcMain.handle('backup:run', async (event) => {
+  const busy = exclusiveTaskBlocker('backing up');
+  if (busy) return { ok: false, error: busy };
+
+  const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+    title: 'Back Up Match Data',
+    defaultPath: path.join(app.getPath('documents'), getBackupFileName()),
+    filters: [{ name: 'SQLite database', extensions: ['sqlite'] }]
+  });
+  if (canceled || !filePath) return null;
+
+  // Something may have started while the dialog was open
+  const stillBusy = exclusiveTaskBlocker('backing up');
+  if (stillBusy) return { ok: false, error: stillBusy };
+  exclusiveTask = 'backup';
+  try {
+    return { ok: true, ...await backupDatabase(filePath) };
+  } catch (err) {
+    console.error('Backup failed:', err);
+    return { ok: false, error: err.message };
+  } finally {
+    exclusiveTask = null;
+  }
+});
+
+// Restore from a backup file the user picks, after validating it and asking for confirmation.
+// Resolves with { ok, safetyPath, matchCount } / { ok: false, error }, or null if cancelled.
+ipcMain.handle('backup:restore', async (event) => {
+  const busy = exclusiveTaskBlocker('restoring a backup');
+  if (busy) return { ok: false, error: busy };
+
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const { canceled, filePaths } = await dialog.showOpenDialog(win, {
+    title: 'Restore Match Data',
+    defaultPath: backupDir,
+    properties: ['openFile'],
+    filters: [{ name: 'SQLite database', extensions: ['sqlite'] }]
+  });
+  if (canceled || filePaths.length === 0) return null;
+
+  const validation = await validateBackup(filePaths[0]);
+  if (!validation.ok) return { ok: false, error: validation.error };
+
+  const { response } = await dialog.showMessageBox(win, {
+    type: 'warning',
+    buttons: ['Restore', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+    title: 'Restore Match Data',
+    message: `Replace all stored match data with this backup (${validation.matchCount} matches)?`,
+    detail: `The current data is copied to ${backupDir} first.`
+  });
+  if (response !== 0) return null;
+
+  const stillBusy = exclusiveTaskBlocker('restoring a backup');
+  if (stillBusy) return { ok: false, error: stillBusy };
+  exclusiveTask = 'restore';
+  try {
+    const result = await restoreDatabase(filePaths[0]);
+    return { ok: true, ...result };
+  } catch (err) {
+    console.error('Restore failed:', err);
+    return { ok: false, error: err.message };
+  } finally {
+    exclusiveTask = null;
+  }
+});
+
+ipcMain.handle('backup:checkIntegrity', () => checkIntegrity());
+
+// Export the selected matches to an archive file the user picks.
+// selection: { accountIds (null = all), startTime, endTime, queueIds, championName }, all optional.
+// Resolves with { ok, path, matchCount, rankCount } / { ok: false, error }, or null if cancelled.
+ipcMain.handle('archive:export', async (event, selection = {}) => {
+  const busy = exclusiveTaskBlocker('exporting an archive');
+  if (busy) return { ok: false, error: busy };
+
+  const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+    title: 'Export Match Archive',
+    defaultPath: path.join(app.getPath('documents'), `nexus-archive-${new Date().toISOString().slice(0, 10)}.jsonl.gz`),
+    filters: [{ name: 'Match archive', extensions: ['gz', 'jsonl'] }]
+  });
+  if (canceled || !filePath) return null;
+
+  const stillBusy = exclusiveTaskBlocker('exporting an archive');
+  if (stillBusy) return { ok: false, error: stillBusy };
+  exclusiveTask = 'export';
+  try {
+    const { accounts } = loadConfig();
+    const { accountIds = null, ...rest } = selection;
+    const puuids = accountIds
+      ? accounts.filter(a => accountIds.includes(a.id) && a.puuid).map(a => a.puuid)
+      : null;
+    return { ok: true, ...await exportArchive(filePath, { ...rest, puuids }, accounts) };
+  } catch (err) {
+    console.error('Archive export failed:', err);
+    return { ok: false, error: err.message };
+  } finally {
+    exclusiveTask = null;
+  }
+});
+
+// Import an archive file the user picks, reporting archive:progress ({ current, total }) on the way.
+// Resolves with { ok, added, updated, skipped, failed, ranksUpdated, unknownAccounts } / { ok: false, error },
+// or null if cancelled. unknownAccounts: archive owners that aren't configured here (their matches are
+// stored, and show up once the account is added).
+ipcMain.handle('archive:import', async (event) => {
+  const busy = exclusiveTaskBlocker('importing an archive');
+  if (busy) return { ok: false, error: busy };
+
+  const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+    title: 'Import Match Archive',
+    properties: ['openFile'],
+    filters: [{ name: 'Match archive', extensions: ['gz', 'jsonl'] }]
+  });
+  if (canceled || filePaths.length === 0) return null;
+
+  const stillBusy = exclusiveTaskBlocker('importing an archive');
+  if (stillBusy) return { ok: false, error: stillBusy };
+  exclusiveTask = 'import';
+  try {
+    const { manifest, ...report } = await importArchive(filePaths[0], (current, total) => {
+      broadcast('archive:progress', { current, total });
+    });
+    const known = new Set(loadConfig().accounts.map(a => a.puuid).filter(Boolean));
+    const unknownAccounts = (manifest.accounts || []).filter(a => !known.has(a.puuid));
+    return { ok: true, ...report, unknownAccounts };
+  } catch (err) {
+    console.error('Archive import failed:', err);
+    return { ok: false, error: err.message };
+  } finally {
+    exclusiveTask = null;
+  }
+});
+
+// Analysis tabs. filter: { puuids, queueIds, championName } (see analyticsService)
+ipcMain.handle('analytics:championPool', (event, filter) => getChampionPool(filter));
+ipcMain.handle('analytics:matchups', (event, filter) => getMatchups(filter));
+ipcMain.handle('analytics:recurringPlayers', (event, filter) => getRecurringPlayers(filter));
+ipcMain.handle('analytics:lobbyStrength', (event, puuids) => getLobbyStrength(puuids));
+
+ipcMain.handle('export:columns', () => getExportColumns());
+
+// Export list rows to a CSV/XLSX file the user picks.
+// request: { keys: [{ matchId, puuid }], columns: [key], format: 'csv' | 'xlsx', queueNames }
+// Resolves with { path, matchCount }, or null if cancelled.
+ipcMain.handle('export:matches', async (event, request) => {
+  const extension = request.format === 'xlsx' ? 'xlsx' : 'csv';
+  const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+    title: 'Export Matches',
+    defaultPath: path.join(app.getPath('documents'), `nexus-matches-${new Date().toISOString().slice(0, 10)}.${extension}`),
+    filters: [extension === 'xlsx'
+      ? { name: 'Excel workbook', extensions: ['xlsx'] }
+      : { name: 'CSV file', extensions: ['csv'] }]
+  });
+  if (canceled || !filePath) return null;
+
+  const accountLabels = {};
+  for (const account of loadConfig().accounts) {
+    if (account.puuid) accountLabels[account.puuid] = `${account.gameName}#${account.tagLine}`;
+  }
+  return exportMatches(filePath, { ...request, format: extension, accountLabels });
+});
+
+ipcMain.handle('shell:openExternal', (event, url) => {
+  if (typeof url === 'string' && url.startsWith('https://')) shell.openExternal(url);
+});
+
+app.whenReady().then(async () => {
   console.log("App is ready, creating window...");
-  initDatabase();
-  createWindow();
+  // The renderer's IPC calls query the database, so the schema must be ready first.
+  // Don't run against a database we couldn't migrate (or one from a newer app version).
+  let migration;
+  try {
+    migration = await initDatabase();
+  } catch (err) {
+    console.error('Database initialization failed:', err);
+    const detail = err.code === 'SCHEMA_TOO_NEW'
+      ? err.message
+      : `Updating the database failed: ${err.message}\n\nThe failed step was rolled back. A backup from before the update is kept next to nexus_data.sqlite.`;
+    dialog.showErrorBox('Nexus Insights', detail);
+    app.quit();
+    return;
+  }
+  protocol.handle(ASSET_SCHEME, async (request) => {
+    const asset = await getAsset(request.url);
+    if (!asset) return new Response(null, { status: 404 });
+    return new Response(asset.data, { headers: { 'Content-Type': asset.contentType } });
+  });
+  const win = createWindow();
+  // Space freed by compacting the database after a migration, once the renderer can show it
+  if (migration.reclaimedBytes !== null) {
+    win.webContents.once('did-finish-load', () => {
+      broadcast('database:compacted', { reclaimedBytes: migration.reclaimedBytes, from: migration.from, to: migration.to });
+    });
+  }
+  scheduleAutoSync(AUTO_SYNC_FIRST_RUN_DELAY_MS);
+  scheduleBackups();
 });
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
-});
\ No newline at end of file
+});
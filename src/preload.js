@@ -0,0 +1,100 @@
+// Bridge between the page and the main process. The renderer runs with contextIsolation and no Node
+// access, so everything that touches the network, the database or the config file goes through
+// window.nexus. Errors thrown in the main process reject the returned promise.
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Subscribe to a main process event, passing only the payload on. Returns an unsubscribe function.
+function subscribe(channel, callback) {
+    const listener = (event, payload) => callback(payload);
+    ipcRenderer.on(channel, listener);
+    return () => ipcRenderer.removeListener(channel, listener);
+}
+
+contextBridge.exposeInMainWorld('nexus', {
+    // Config without the API key: { ...config, hasApiKey, valid }
+    getConfig: () => ipcRenderer.invoke('config:get'),
+    // changes: { apiKey, appRateLimit, accounts, activeAccount, autoSync }, all optional.
+    // An empty apiKey keeps the stored one. Resolves with the new config, or null if it couldn't be written.
+    saveConfig: (changes) => ipcRenderer.invoke('config:save', changes),
+    // Look up an account's PUUID (stored after the first lookup)
+    resolveAccount: (accountId) => ipcRenderer.invoke('accounts:resolve', accountId),
+
+    // One page of the stored matches of the given PUUIDs (null = all), newest first, without the raw JSON.
+    // page: { before, limit } - before is the previous page's nextCursor. Resolves with { matches, nextCursor }.
+    getMatches: (puuids, page) => ipcRenderer.invoke('matches:list', puuids, page),
+    // Every stored match of the given PUUIDs, only the columns the stats cards and filters use
+    getMatchStatRows: (puuids) => ipcRenderer.invoke('matches:statRows', puuids),
+    // List rows of specific matches, keys: [{ matchId, puuid }] (in the order of keys)
+    getMatchSummaries: (keys) => ipcRenderer.invoke('matches:summaries', keys),
+    // One match with its rawJson and timelineJson (decompressed)
+    getMatchById: (matchId, puuid) => ipcRenderer.invoke('matches:get', matchId, puuid),
+    getStats: (puuids) => ipcRenderer.invoke('matches:stats', puuids),
+    // All ten players of a stored match (match_participants rows), in participantId order
+    getMatchParticipants: (matchId) => ipcRenderer.invoke('matches:participants', matchId),
+    // Stored timeline of a match: { events, frames } (timeline_events / timeline_frames rows)
+    getTimeline: (matchId) => ipcRenderer.invoke('matches:timeline', matchId),
+
+    // Current Solo/Flex rank of an account: { solo, flex }
+    getRanks: (accountId) => ipcRenderer.invoke('ranks:get', accountId),
+    // Season LP history of an account in 'solo' or 'flex': { queue, points, games } (see rankHistoryService)
+    getRankHistory: (accountId, queue) => ipcRenderer.invoke('ranks:history', accountId, queue),
+    // Stored ranks of everyone in a match: { [puuid]: rank }
+    getMatchParticipantRanks: (matchId) => ipcRenderer.invoke('ranks:participants', matchId),
+
+    // Data Dragon items, runes and summoner spells: { base, items, runes, summonerSpells }
+    getGameData: () => ipcRenderer.invoke('gameData:get'),
+    // The same data of an older patch ('14.23'), or null when the latest data applies
+    getPatchGameData: (patch) => ipcRenderer.invoke('gameData:patch', patch),
+
+    // Start a sync of the given accounts (null = all): resolves with { ok, summary } or { ok: false, error }
+    sync: (accountIds) => ipcRenderer.invoke('sync:run', accountIds),
+    // mode: 'pause' | 'cancel'
+    stopSync: (mode) => ipcRenderer.invoke('sync:stop', mode),
+    isSyncRunning: () => ipcRenderer.invoke('sync:isRunning'),
+    onSyncStarted: (callback) => subscribe('sync:started', callback),
+    onSyncProgress: (callback) => subscribe('sync:progress', callback),
+    onSyncCompleted: (callback) => subscribe('sync:completed', callback),
+    onSyncFailed: (callback) => subscribe('sync:failed', callback),
+
+    // Copy the database to a file the user picks: resolves with { ok, path, integrity } / { ok: false, error },
+    // or null if cancelled
+    backupNow: () => ipcRenderer.invoke('backup:run'),
+    // Pick, validate and restore a backup: resolves with { ok, safetyPath, matchCount } / { ok: false, error },
+    // or null if cancelled
+    restoreBackup: () => ipcRenderer.invoke('backup:restore'),
+    // PRAGMA integrity_check: { ok, problems }
+    checkIntegrity: () => ipcRenderer.invoke('backup:checkIntegrity'),
+    // A scheduled backup was skipped because the database failed the integrity check: { ok, problems }
+    onIntegrityFailed: (callback) => subscribe('backup:integrityFailed', callback),
+    // The database was compacted after a schema update on startup: { reclaimedBytes, from, to }
+    onDatabaseCompacted: (callback) => subscribe('database:compacted', callback),
+
+    // Export matches to an archive file the user picks. selection: { accountIds, startTime, endTime, queueIds,
+    // championName }, all optional. Resolves with { ok, path, matchCount, rankCount } / { ok: false, error },
+    // or null if cancelled.
+    exportArchive: (selection) => ipcRenderer.invoke('archive:export', selection),
+    // Import an archive file the user picks: resolves with { ok, added, updated, skipped, failed, ranksUpdated,
+    // unknownAccounts } / { ok: false, error }, or null if cancelled
+    importArchive: () => ipcRenderer.invoke('archive:import'),
+    onArchiveProgress: (callback) => subscribe('archive:progress', callback),
+
+    // Per-champion stats of the matches passing filter ({ puuids, queueIds }), most played first
+    getChampionPool: (filter) => ipcRenderer.invoke('analytics:championPool', filter),
+    // Lane matchup stats (champion played vs. lane opponent) of the matches passing filter
+    getMatchups: (filter) => ipcRenderer.invoke('analytics:matchups', filter),
+    // Players met in at least two of those matches: { teammates, opponents } with the shared matches
+    // as [{ matchId, puuid }] keys (see getMatchSummaries)
+    getRecurringPlayers: (filter) => ipcRenderer.invoke('analytics:recurringPlayers', filter),
+    // Lobby strength of every match of the given PUUIDs from cached participant ranks:
+    // [{ matchId, puuid, lobbyLP, allyLP, enemyLP, lpDiff, rankedPlayers, strength }]
+    getLobbyStrength: (puuids) => ipcRenderer.invoke('analytics:lobbyStrength', puuids),
+
+    // Columns the match export offers: [{ key, label, group, default }]
+    getExportColumns: () => ipcRenderer.invoke('export:columns'),
+    // Export matches to a CSV/XLSX file the user picks. request: { keys: [{ matchId, puuid }], columns, format,
+    // queueNames }. Resolves with { path, matchCount }, or null if cancelled.
+    exportMatches: (request) => ipcRenderer.invoke('export:matches', request),
+
+    // Open an https link in the system browser
+    openExternal: (url) => ipcRenderer.invoke('shell:openExternal', url)
+});
@@ -1,16 +1,26 @@
-// Import functions from other modules (loaded via Electron's nodeIntegration)
-const { getPuuidByRiotId } = window.require('./services/riotApi');
-const { syncMatches, getMatches, getStats, getMatchById, backfillTimelines, backfillAdvancedStats, getMatchParticipantRanks, fetchRanksForNewMatches } = window.require('./services/matchService');
-const { renderMatchTable, calculateStats, getRankedStats, getRankColor, getRankFromKDA, getRankFromKP, getRankFromCSM, getRankFromCS, getRankFromDamage, getRankFromWinRate, getInsightColor, getInsightCsDiff15, getInsightGoldDiff15, getInsightXpDiff15, getInsightFirstBlood, getInsightDmgGold, getInsightIsolatedDeaths, getInsightObjectiveRate } = window.require('./components/tableRenderer');
-const { loadGameData, getItemData, getRuneData, getSummonerSpellData, getDDragonBase } = window.require('./services/dataDragon');
-const { evaluateBadges } = window.require('./components/badgeEvaluator');
-const { loadConfig, saveConfig, isConfigValid } = window.require('./services/config');
-
-// Data Dragon CDN base URL - resolved after loadGameData fetches the latest version
+// Runs with contextIsolation: main process work (config, database, Riot API, sync) goes through
+// window.nexus (see preload.js). shared/settings.js and the components are loaded as scripts in index.html.
+
+// Config from the main process, without the API key (see window.nexus.getConfig)
+let appConfig = null;
+
+// Data Dragon CDN base URL - resolved once the main process has loaded the game data
 let DDRAGON_BASE = 'https://ddragon.leagueoflegends.com/cdn/25.S1.1';
+let DDRAGON_IMG_BASE = 'https://ddragon.leagueoflegends.com/cdn/img';
 
-// Store matches for modal access
+// Match list rows loaded so far (pages of getMatches, newest first) - indexed by rows and modals
 let matchesData = [];
+// Every match of the shown accounts with just the stat columns, for the stats cards and filters
+let matchStatRows = [];
+// Lobby strength of those matches by `${matchId}|${puuid}` (see analyticsService.getLobbyStrength)
+let matchLobbies = new Map();
+
+// Paging of the match list: older pages are loaded as the list is scrolled
+const MATCH_PAGE_SIZE = 50;
+const MATCH_LIST_PRELOAD_PX = 300;
+let matchListPuuids = [];
+let matchListCursor = null;
+let matchListLoading = false;
 
 // Queue ID to game mode mapping
 const QUEUE_NAMES = {
@@ -70,13 +80,23 @@ function showSetupModal(isFirstTime = true) {
         saveBtn.textContent = 'Save Changes';
     }
 
-    // Load existing config into form
-    const config = loadConfig();
-    document.getElementById('setupApiKey').value = config.apiKey || '';
-    document.getElementById('setupGameName').value = config.gameName || '';
-    document.getElementById('setupTagLine').value = config.tagLine || '';
-    document.getElementById('setupRegion').value = config.region || 'europe';
-    document.getElementById('setupPlatform').value = config.platform || 'euw1';
+    // Load existing config into form (the stored API key stays in the main process)
+    const config = appConfig;
+    const apiKeyInput = document.getElementById('setupApiKey');
+    apiKeyInput.value = '';
+    apiKeyInput.placeholder = config.hasApiKey ? 'Saved - leave empty to keep the current key' : 'RGAPI-xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx';
+    document.getElementById('setupRateLimit').value = config.appRateLimit || '';
+    document.getElementById('setupAutoSync').checked = config.autoSync.enabled;
+    document.getElementById('setupAutoSyncInterval').value = config.autoSync.intervalMinutes;
+    document.getElementById('setupBackup').checked = config.backup.enabled;
+    document.getElementById('setupBackupInterval').value = config.backup.intervalHours;
+    document.getElementById('setupBackupKeep').value = config.backup.keep;
+    document.getElementById('setupBackupStatus').textContent = '';
+    renderArchiveAccountSelect();
+
+    // Accounts are edited on a copy and only stored when the settings are saved
+    setupAccounts = config.accounts.map(a => ({ ...a, syncWindow: { ...a.syncWindow } }));
+    editSetupAccount(null);
 
     // Clear any previous error
     document.getElementById('setupError').style.display = 'none';
@@ -90,6 +110,182 @@ function hideSetupModal() {
 }
 window.hideSetupModal = hideSetupModal;
 
+// Show the start date or day count input for the selected sync window mode
+function updateSyncWindowFields() {
+    const mode = document.getElementById('setupSyncMode').value;
+    document.getElementById('setupSyncStartField').style.display = mode === 'date' ? '' : 'none';
+    document.getElementById('setupSyncDaysField').style.display = mode === 'days' ? '' : 'none';
+}
+window.updateSyncWindowFields = updateSyncWindowFields;
+
+// ===== Account Settings =====
+
+// Working copy of the accounts while the setup modal is open
+let setupAccounts = [];
+// Account loaded into the editor, or null when the editor adds a new account
+let editingAccountId = null;
+
+function getAccountLabel(account) {
+    return `${account.gameName}#${account.tagLine}`;
+}
+
+function renderSetupAccountList() {
+    const list = document.getElementById('setupAccountList');
+    list.innerHTML = '';
+
+    if (setupAccounts.length === 0) {
+        list.innerHTML = '<p class="setup-hint">No accounts yet - add one below.</p>';
+        return;
+    }
+
+    setupAccounts.forEach(account => {
+        const item = document.createElement('div');
+        item.className = 'setup-account-item' + (account.id === editingAccountId ? ' editing' : '');
+
+        const name = document.createElement('span');
+        name.className = 'setup-account-name';
+        name.textContent = getAccountLabel(account);
+
+        const meta = document.createElement('span');
+        meta.className = 'setup-account-meta';
+        meta.textContent = account.platform.toUpperCase();
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'setup-secondary-btn';
+        editBtn.textContent = 'Edit';
+        editBtn.onclick = () => editSetupAccount(account.id);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'setup-secondary-btn danger';
+        removeBtn.textContent = 'Remove';
+        removeBtn.onclick = () => removeSetupAccount(account.id);
+
+        item.append(name, meta, editBtn, removeBtn);
+        list.appendChild(item);
+    });
+}
+
+// Load an account into the editor (null = empty editor for a new account)
+function editSetupAccount(accountId) {
+    const account = setupAccounts.find(a => a.id === accountId) || null;
+    const syncWindow = account ? account.syncWindow : DEFAULT_SYNC_WINDOW;
+    editingAccountId = account ? account.id : null;
+
+    document.getElementById('setupGameName').value = account ? account.gameName : '';
+    document.getElementById('setupTagLine').value = account ? account.tagLine : '';
+    document.getElementById('setupRegion').value = account ? account.region : 'europe';
+    document.getElementById('setupPlatform').value = account ? account.platform : 'euw1';
+    document.getElementById('setupSyncMode').value = syncWindow.mode || 'date';
+    document.getElementById('setupSyncStart').value = syncWindow.startDate || DEFAULT_SYNC_WINDOW.startDate;
+    document.getElementById('setupSyncDays').value = syncWindow.days || DEFAULT_SYNC_WINDOW.days;
+    updateSyncWindowFields();
+
+    document.getElementById('setupAccountSaveBtn').textContent = account ? 'Update Account' : 'Add Account';
+    document.getElementById('setupAccountCancelBtn').style.display = account ? '' : 'none';
+    renderSetupAccountList();
+}
+window.editSetupAccount = editSetupAccount;
+
+function removeSetupAccount(accountId) {
+    setupAccounts = setupAccounts.filter(a => a.id !== accountId);
+    editSetupAccount(editingAccountId === accountId ? null : editingAccountId);
+}
+
+// True if the editor holds an account edit or a new Riot ID that hasn't been added yet
+function hasUnsavedAccountEdit() {
+    if (editingAccountId) return true;
+    return !!(document.getElementById('setupGameName').value.trim() || document.getElementById('setupTagLine').value.trim());
+}
+
+// Add or update the account in the editor. Returns an error message, or null on success.
+function commitSetupAccount() {
+    const gameName = document.getElementById('setupGameName').value.trim();
+    const tagLine = document.getElementById('setupTagLine').value.trim();
+    const region = document.getElementById('setupRegion').value;
+    const platform = document.getElementById('setupPlatform').value;
+    const syncWindow = {
+        mode: document.getElementById('setupSyncMode').value,
+        startDate: document.getElementById('setupSyncStart').value,
+        days: parseInt(document.getElementById('setupSyncDays').value, 10)
+    };
+
+    if (!gameName || !tagLine) return 'Summoner Name and Tag are required';
+    if (syncWindow.mode === 'date' && !syncWindow.startDate) return 'Pick a start date to sync matches from';
+    if (syncWindow.mode === 'days' && !(syncWindow.days > 0)) return 'Number of days must be at least 1';
+
+    const duplicate = setupAccounts.find(a => a.id !== editingAccountId &&
+        a.gameName.toLowerCase() === gameName.toLowerCase() && a.tagLine.toLowerCase() === tagLine.toLowerCase());
+    if (duplicate) return `${getAccountLabel(duplicate)} is already added`;
+
+    const existing = setupAccounts.find(a => a.id === editingAccountId);
+    // Keep the other mode's value so switching back restores it
+    const previousWindow = existing ? existing.syncWindow : DEFAULT_SYNC_WINDOW;
+    const accountWindow = {
+        mode: syncWindow.mode,
+        startDate: syncWindow.startDate || previousWindow.startDate,
+        days: syncWindow.days > 0 ? syncWindow.days : previousWindow.days
+    };
+
+    if (existing) {
+        // A different Riot ID is a different player, so look the PUUID up again
+        if (existing.gameName !== gameName || existing.tagLine !== tagLine) existing.puuid = null;
+        Object.assign(existing, { gameName, tagLine, region, platform, syncWindow: accountWindow });
+    } else {
+        setupAccounts.push(createAccount({ gameName, tagLine, region, platform, syncWindow: accountWindow }));
+    }
+    return null;
+}
+
+function saveSetupAccount() {
+    const errorEl = document.getElementById('setupError');
+    const error = commitSetupAccount();
+    if (error) {
+        errorEl.textContent = error;
+        errorEl.style.display = 'block';
+        return;
+    }
+    errorEl.style.display = 'none';
+    editSetupAccount(null);
+}
+window.saveSetupAccount = saveSetupAccount;
+
+// Fill the account dropdown next to the sync button
+function renderAccountSelect() {
+    const config = appConfig;
+    const select = document.getElementById('accountSelect');
+    select.innerHTML = '';
+
+    config.accounts.forEach(account => {
+        const option = document.createElement('option');
+        option.value = account.id;
+        option.textContent = getAccountLabel(account);
+        select.appendChild(option);
+    });
+    if (config.accounts.length > 1) {
+        const option = document.createElement('option');
+        option.value = 'all';
+        option.textContent = 'All accounts (combined)';
+        select.appendChild(option);
+    }
+
+    const active = getActiveAccounts(config);
+    select.value = config.activeAccount === 'all' ? 'all' : (active[0] ? active[0].id : '');
+}
+
+window.switchAccount = async function (accountId) {
+    appConfig = await window.nexus.saveConfig({ activeAccount: accountId }) || appConfig;
+    badgeCache.clear();
+    loadMatchHistory();
+};
+
+// Make sure an account's PUUID is known (looked up once by the main process, then stored in config)
+async function resolveAccount(account) {
+    if (!account.puuid) {
+        account.puuid = await window.nexus.resolveAccount(account.id);
+    }
+    return account;
+}
+
 // Open settings (alias for showing setup modal in edit mode)
 function openSettings() {
     showSetupModal(false);
@@ -97,43 +293,84 @@ function openSettings() {
 window.openSettings = openSettings;
 
 // Save setup configuration
-function saveSetup() {
+async function saveSetup() {
     const apiKey = document.getElementById('setupApiKey').value.trim();
-    const gameName = document.getElementById('setupGameName').value.trim();
-    const tagLine = document.getElementById('setupTagLine').value.trim();
-    const region = document.getElementById('setupRegion').value;
-    const platform = document.getElementById('setupPlatform').value;
+    const appRateLimit = document.getElementById('setupRateLimit').value.trim();
 
     // Validate required fields
     const errorEl = document.getElementById('setupError');
-    if (!apiKey) {
+    if (!apiKey && !appConfig.hasApiKey) {
         errorEl.textContent = 'API Key is required. Get one from developer.riotgames.com';
         errorEl.style.display = 'block';
         return;
     }
-    if (!gameName || !tagLine) {
-        errorEl.textContent = 'Summoner Name and Tag are required';
+    if (appRateLimit && parseRateLimitHeader(appRateLimit).length === 0) {
+        errorEl.textContent = 'Rate limit must look like 20:1,100:120';
+        errorEl.style.display = 'block';
+        return;
+    }
+    const autoSyncEnabled = document.getElementById('setupAutoSync').checked;
+    const autoSyncInterval = parseInt(document.getElementById('setupAutoSyncInterval').value, 10);
+    if (autoSyncEnabled && !(autoSyncInterval >= 5)) {
+        errorEl.textContent = 'Auto-sync interval must be at least 5 minutes';
+        errorEl.style.display = 'block';
+        return;
+    }
+    const backupEnabled = document.getElementById('setupBackup').checked;
+    const backupInterval = parseInt(document.getElementById('setupBackupInterval').value, 10);
+    const backupKeep = parseInt(document.getElementById('setupBackupKeep').value, 10);
+    if (backupEnabled && !(backupInterval >= 1 && backupKeep >= 1)) {
+        errorEl.textContent = 'Backups need an interval of at least 1 hour and keep at least 1 copy';
+        errorEl.style.display = 'block';
+        return;
+    }
+
+    // Include whatever is in the account editor (first-time setup just fills it in)
+    if (hasUnsavedAccountEdit()) {
+        const error = commitSetupAccount();
+        if (error) {
+            errorEl.textContent = error;
+            errorEl.style.display = 'block';
+            return;
+        }
+    }
+    if (setupAccounts.length === 0) {
+        errorEl.textContent = 'Add at least one account';
         errorEl.style.display = 'block';
         return;
     }
 
-    // Save config
-    const config = {
+    // Save config (the main process keeps any other stored settings, and the API key if none was entered)
+    const existing = appConfig;
+    const activeStillExists = existing.activeAccount === 'all'
+        ? setupAccounts.length > 1
+        : setupAccounts.some(a => a.id === existing.activeAccount);
+    const changes = {
         apiKey,
-        gameName,
-        tagLine,
-        region,
-        platform
+        appRateLimit: appRateLimit || DEFAULT_APP_RATE_LIMIT,
+        accounts: setupAccounts,
+        activeAccount: activeStillExists ? existing.activeAccount : setupAccounts[0].id,
+        autoSync: {
+            enabled: autoSyncEnabled,
+            intervalMinutes: autoSyncInterval >= 5 ? autoSyncInterval : existing.autoSync.intervalMinutes
+        },
+        backup: {
+            enabled: backupEnabled,
+            intervalHours: backupInterval >= 1 ? backupInterval : existing.backup.intervalHours,
+            keep: backupKeep >= 1 ? backupKeep : existing.backup.keep
+        }
     };
 
-    if (saveConfig(config)) {
+    const saved = await window.nexus.saveConfig(changes);
+    if (saved) {
+        appConfig = saved;
         hideSetupModal();
 
-        // Update main form inputs
-        document.getElementById('gameName').value = gameName;
-        document.getElementById('tagLine').value = tagLine;
+        // Update the account dropdown
+        renderAccountSelect();
 
         // Reload match history with new user
+        badgeCache.clear();
         loadMatchHistory();
     } else {
         errorEl.textContent = 'Failed to save configuration. Please try again.';
@@ -141,14 +378,266 @@ function saveSetup() {
     }
 }
 
+// ===== Database backups (settings) =====
+
+function setBackupStatus(message) {
+    document.getElementById('setupBackupStatus').textContent = message;
+}
+
+function describeIntegrityProblems(integrity) {
+    return `${integrity.problems.length} problem(s) found: ${integrity.problems.slice(0, 3).join('; ')}`;
+}
+
+async function backupNow() {
+    try {
+        const result = await window.nexus.backupNow();
+        if (!result) return;
+        if (!result.ok) {
+            setBackupStatus(`Backup failed: ${result.error}`);
+            return;
+        }
+        if (result.integrity.ok) {
+            setBackupStatus(`Backed up to ${result.path}`);
+            showToast('Backup Saved', result.path);
+        } else {
+            setBackupStatus(`Backed up to ${result.path}, but the database is damaged - ${describeIntegrityProblems(result.integrity)}`);
+            showToast('Database Damaged', 'The backup was saved, but the database failed the integrity check', 6000);
+        }
+    } catch (err) {
+        setBackupStatus(`Backup failed: ${err.message}`);
+    }
+}
+window.backupNow = backupNow;
+
+async function restoreBackup() {
+    try {
+        const result = await window.nexus.restoreBackup();
+        if (!result) return;
+        if (!result.ok) {
+            setBackupStatus(`Restore failed: ${result.error}`);
+            return;
+        }
+        setBackupStatus(`Restored ${result.matchCount} matches. The previous data was saved to ${result.safetyPath}`);
+        showToast('Backup Restored', `${result.matchCount} matches restored`);
+        badgeCache.clear();
+        loadMatchHistory();
+    } catch (err) {
+        setBackupStatus(`Restore failed: ${err.message}`);
+    }
+}
+window.restoreBackup = restoreBackup;
+
+async function checkDatabaseIntegrity() {
+    setBackupStatus('Checking...');
+    try {
+        const integrity = await window.nexus.checkIntegrity();
+        setBackupStatus(integrity.ok
+            ? 'Integrity check passed - no problems found'
+            : `Integrity check failed - ${describeIntegrityProblems(integrity)}. Restore a backup made before the damage.`);
+    } catch (err) {
+        setBackupStatus(`Integrity check failed to run: ${err.message}`);
+    }
+}
+window.checkDatabaseIntegrity = checkDatabaseIntegrity;
+
+// ===== Match archives (settings) =====
+
+const ARCHIVE_HINT = 'Moves match history (with timelines and cached ranks) between installs.';
+
+function renderArchiveAccountSelect() {
+    const select = document.getElementById('archiveAccount');
+    select.innerHTML = '';
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = 'All accounts';
+    select.appendChild(all);
+    appConfig.accounts.forEach(account => {
+        const option = document.createElement('option');
+        option.value = account.id;
+        option.textContent = getAccountLabel(account);
+        select.appendChild(option);
+    });
+    document.getElementById('archiveFrom').value = '';
+    document.getElementById('archiveTo').value = '';
+    document.getElementById('archiveStatus').textContent = ARCHIVE_HINT;
+}
+
+function setArchiveStatus(message) {
+    document.getElementById('archiveStatus').textContent = message;
+}
+
+// Export selection from the archive fields (dates are local days, the end day included)
+function getArchiveSelection() {
+    const accountId = document.getElementById('archiveAccount').value;
+    const from = document.getElementById('archiveFrom').value;
+    const to = document.getElementById('archiveTo').value;
+    const selection = {
+        accountIds: accountId ? [accountId] : null,
+        startTime: from ? new Date(`${from}T00:00:00`).getTime() : null,
+        endTime: to ? new Date(`${to}T00:00:00`).getTime() + 86400000 : null
+    };
+    if (document.getElementById('archiveUseFilters').checked) {
+        selection.queueIds = [...activeQueueFilters];
+        const champion = document.getElementById('champFilter').value;
+        if (champion && champion !== '__none__') selection.championName = champion;
+    }
+    return selection;
+}
+
+async function exportMatchArchive() {
+    setArchiveStatus('Exporting...');
+    try {
+        const result = await window.nexus.exportArchive(getArchiveSelection());
+        if (!result) {
+            setArchiveStatus(ARCHIVE_HINT);
+            return;
+        }
+        if (!result.ok) {
+            setArchiveStatus(`Export failed: ${result.error}`);
+            return;
+        }
+        setArchiveStatus(`Exported ${result.matchCount} matches and ${result.rankCount} ranks to ${result.path}`);
+        showToast('Archive Exported', `${result.matchCount} matches`);
+    } catch (err) {
+        setArchiveStatus(`Export failed: ${err.message}`);
+    }
+}
+window.exportMatchArchive = exportMatchArchive;
+
+async function importMatchArchive() {
+    try {
+        const result = await window.nexus.importArchive();
+        if (!result) return;
+        if (!result.ok) {
+            setArchiveStatus(`Import failed: ${result.error}`);
+            return;
+        }
+        let message = `Imported ${result.added} new matches, updated ${result.updated}, ` +
+            `${result.skipped} already stored, ${result.failed} failed, ${result.ranksUpdated} ranks updated.`;
+        if (result.unknownAccounts.length > 0) {
+            message += ` Add ${result.unknownAccounts.map(getAccountLabel).join(', ')} as an account to see their matches.`;
+        }
+        setArchiveStatus(message);
+        showToast('Archive Imported', `${result.added} new matches`);
+        badgeCache.clear();
+        loadMatchHistory();
+    } catch (err) {
+        setArchiveStatus(`Import failed: ${err.message}`);
+    }
+}
+window.importMatchArchive = importMatchArchive;
+
+window.nexus.onArchiveProgress(({ current, total }) => {
+    setArchiveStatus(`Importing... ${current}/${total} matches`);
+});
+
+// ===== Match export (CSV / XLSX) =====
+
+const EXPORT_GROUP_LABELS = {
+    match: 'Match',
+    performance: 'Performance',
+    objectives: 'Team Objectives',
+    advanced: 'Advanced Stats',
+    badges: 'Badges'
+};
+
+let exportColumns = null;
+
+async function showExportModal() {
+    const matches = getFilteredMatchStatRows();
+    if (matches.length === 0) {
+        showToast('Nothing to Export', 'No matches match the current filters');
+        return;
+    }
+
+    if (!exportColumns) exportColumns = await window.nexus.getExportColumns();
+    const container = document.getElementById('exportColumns');
+    container.innerHTML = '';
+    Object.entries(EXPORT_GROUP_LABELS).forEach(([group, groupLabel]) => {
+        const columns = exportColumns.filter(c => c.group === group);
+        if (columns.length === 0) return;
+        const section = document.createElement('div');
+        section.className = 'export-column-group';
+        const title = document.createElement('div');
+        title.className = 'export-column-group-title';
+        title.textContent = groupLabel;
+        section.appendChild(title);
+        columns.forEach(column => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = column.key;
+            checkbox.checked = column.default;
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(column.label));
+            section.appendChild(label);
+        });
+        container.appendChild(section);
+    });
+
+    document.getElementById('exportSubtitle').textContent =
+        `${matches.length} ${matches.length === 1 ? 'match' : 'matches'} with the current filters`;
+    document.getElementById('exportError').style.display = 'none';
+    document.getElementById('exportSaveBtn').disabled = false;
+    document.getElementById('exportModal').classList.add('visible');
+}
+window.showExportModal = showExportModal;
+
+function hideExportModal() {
+    document.getElementById('exportModal').classList.remove('visible');
+}
+window.hideExportModal = hideExportModal;
+
+async function runMatchExport() {
+    const errorEl = document.getElementById('exportError');
+    const saveBtn = document.getElementById('exportSaveBtn');
+    const columns = [...document.querySelectorAll('#exportColumns input:checked')].map(input => input.value);
+    if (columns.length === 0) {
+        errorEl.textContent = 'Choose at least one column';
+        errorEl.style.display = 'block';
+        return;
+    }
+
+    errorEl.style.display = 'none';
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Exporting...';
+    try {
+        const result = await window.nexus.exportMatches({
+            keys: getFilteredMatchStatRows().map(m => ({ matchId: m.matchId, puuid: m.puuid })),
+            columns,
+            format: document.getElementById('exportFormat').value,
+            queueNames: QUEUE_NAMES
+        });
+        if (result) {
+            hideExportModal();
+            showToast('Matches Exported', `${result.matchCount} matches saved to ${result.path}`);
+        }
+    } catch (err) {
+        errorEl.textContent = `Export failed: ${err.message}`;
+        errorEl.style.display = 'block';
+    } finally {
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Export';
+    }
+}
+window.runMatchExport = runMatchExport;
+
+// A scheduled backup found the database damaged (and kept the existing backups)
+window.nexus.onIntegrityFailed(integrity => {
+    console.error('Database integrity check failed:', integrity.problems);
+    showToast('Database Damaged', 'The integrity check failed, so no new scheduled backups are made. Restore a backup from Settings.', 10000);
+});
+
+window.nexus.onDatabaseCompacted(({ reclaimedBytes }) => {
+    const mb = (reclaimedBytes / 1024 / 1024).toFixed(1);
+    showToast('Database Updated', `Match data was compressed and the database compacted: ${mb} MB reclaimed.`, 8000);
+});
+
 // Check config on startup and show setup if needed
 function checkConfigOnStartup() {
-    const config = loadConfig();
-
-    if (isConfigValid(config)) {
-        // Config is valid - populate inputs and continue
-        document.getElementById('gameName').value = config.gameName;
-        document.getElementById('tagLine').value = config.tagLine;
+    if (appConfig.valid) {
+        // Config is valid - populate the account dropdown and continue
+        renderAccountSelect();
         return true;
     } else {
         // Config is invalid/missing - show setup modal
@@ -217,12 +706,13 @@ function getPositionName(pos) {
     return positions[pos] || pos || '';
 }
 
-// Build items HTML with Data Dragon icons
+// Build items HTML with Data Dragon icons (of the match's patch)
 function renderItems(match) {
     const items = [match.item0, match.item1, match.item2, match.item3, match.item4, match.item5, match.item6];
+    const itemBase = getDDragonBase(match.gameVersion);
     return items.map(itemId => {
         if (itemId && itemId > 0) {
-            return `<div class="item-slot has-item"><img src="${DDRAGON_BASE}/img/item/${itemId}.png" alt="Item" data-item-id="${itemId}" onerror="this.style.display='none'"></div>`;
+            return `<div class="item-slot has-item"><img src="${itemBase}/img/item/${itemId}.png" alt="Item" data-item-id="${itemId}" onerror="this.style.display='none'"></div>`;
         }
         return `<div class="item-slot"></div>`;
     }).join('');
@@ -270,55 +760,49 @@ function renderRunes(match) {
     const secondaryPath = RUNE_ICONS[match.secondaryRuneStyle] || null;
 
     const primaryHTML = primaryPath
-        ? `<img src="https://ddragon.leagueoflegends.com/cdn/img/perk-images/Styles/${primaryPath}" alt="Primary Rune" class="rune-icon" data-rune-id="${match.primaryRune}">`
+        ? `<img src="${DDRAGON_IMG_BASE}/perk-images/Styles/${primaryPath}" alt="Primary Rune" class="rune-icon" data-rune-id="${match.primaryRune}">`
         : '<div class="rune-empty"></div>';
 
     const secondaryHTML = secondaryPath
-        ? `<img src="https://ddragon.leagueoflegends.com/cdn/img/perk-images/Styles/${secondaryPath}" alt=" Secondary Rune" class="rune-icon secondary" data-rune-id="${match.secondaryRuneStyle}">`
+        ? `<img src="${DDRAGON_IMG_BASE}/perk-images/Styles/${secondaryPath}" alt=" Secondary Rune" class="rune-icon secondary" data-rune-id="${match.secondaryRuneStyle}">`
         : '<div class="rune-empty"></div>';
 
     return `<div class="rune-display">${primaryHTML}${secondaryHTML}</div>`;
 }
 
+// The tracked player of a stored match: by its participantId, falling back to the owner's puuid
+// (champion + team isn't unique in One for All, Arena or custom games)
+function findTrackedParticipant(participants, match) {
+    return participants.find(p => match.participantId != null && p.participantId === match.participantId) ||
+        participants.find(p => p.puuid === match.puuid) ||
+        null;
+}
+
 // Build summoner spells HTML with Data Dragon icons
 function renderSummonerSpells(match) {
-    // Get summoner spell IDs from rawJson
-    let spell1Id = null;
-    let spell2Id = null;
-
-    if (match.rawJson) {
-        try {
-            const matchData = typeof match.rawJson === 'string' ? JSON.parse(match.rawJson) : match.rawJson;
-            const participants = matchData.info?.participants || [];
-            // Find the current player
-            const me = participants.find(p => p.championName === match.championName);
-            if (me) {
-                spell1Id = me.summoner1Id;
-                spell2Id = me.summoner2Id;
-            }
-        } catch (e) {
-            console.warn('Error parsing match data for summoner spells:', e);
-        }
-    }
+    // The tracked player's spells, from their match_participants row (see getMatches)
+    const spell1Id = match.summoner1Id || null;
+    const spell2Id = match.summoner2Id || null;
 
     if (!spell1Id && !spell2Id) {
         return `<div class="spell-display"><div class="spell-empty"></div><div class="spell-empty"></div></div>`;
     }
 
+    const spellBase = getDDragonBase(match.gameVersion);
     const spell1HTML = spell1Id
-        ? `<img src="${DDRAGON_BASE}/img/spell/${getSummonerSpellImageName(spell1Id)}" alt="Spell 1" class="spell-icon" data-spell-id="${spell1Id}">`
+        ? `<img src="${spellBase}/img/spell/${getSummonerSpellImageName(spell1Id, match.gameVersion)}" alt="Spell 1" class="spell-icon" data-spell-id="${spell1Id}">`
         : '<div class="spell-empty"></div>';
 
     const spell2HTML = spell2Id
-        ? `<img src="${DDRAGON_BASE}/img/spell/${getSummonerSpellImageName(spell2Id)}" alt="Spell 2" class="spell-icon" data-spell-id="${spell2Id}">`
+        ? `<img src="${spellBase}/img/spell/${getSummonerSpellImageName(spell2Id, match.gameVersion)}" alt="Spell 2" class="spell-icon" data-spell-id="${spell2Id}">`
         : '<div class="spell-empty"></div>';
 
     return `<div class="spell-display">${spell1HTML}${spell2HTML}</div>`;
 }
 
-// Get summoner spell image name from ID
-function getSummonerSpellImageName(spellId) {
-    const spellData = getSummonerSpellData(spellId);
+// Get summoner spell image name from ID (on the patch of gameVersion, when given)
+function getSummonerSpellImageName(spellId, gameVersion = null) {
+    const spellData = getSummonerSpellData(spellId, gameVersion);
     if (spellData && spellData.image) {
         return spellData.image.full;
     }
@@ -504,14 +988,8 @@ window.applyFilters = function () {
     renderFilteredMatches();
 }
 
-// Render filtered matches
-function renderFilteredMatches() {
-    const matchList = document.getElementById('matchList');
-
-    if (!matchesData || matchesData.length === 0) {
-        return;
-    }
-
+// Game mode filter: a predicate for matches in the active queues
+function getQueueFilter() {
     // Collect all queue IDs explicitly defined in filter checkboxes
     const allDefinedQueues = new Set();
     document.querySelectorAll('.queue-filter').forEach(cb => {
@@ -522,21 +1000,48 @@ function renderFilteredMatches() {
     const otherCheckbox = document.querySelector('.queue-filter[data-queue*="1020"]');
     const includeUnknown = otherCheckbox && otherCheckbox.checked;
 
-    // Filter matches by active queues; include unknown queue IDs when Special Modes is on
-    const queueFiltered = matchesData.filter(match =>
-        activeQueueFilters.has(match.queueId) ||
-        (includeUnknown && !allDefinedQueues.has(match.queueId))
-    );
-
-    // Update champion dropdown based on queue-filtered matches
-    updateChampionDropdown(queueFiltered);
+    // Include unknown queue IDs when Special Modes is on
+    return match => activeQueueFilters.has(match.queueId) ||
+        (includeUnknown && !allDefinedQueues.has(match.queueId));
+}
 
-    // Apply champion filter
+// Champion filter: a predicate for matches on the selected champion
+function getChampionFilter() {
     const selectedChamp = document.getElementById('champFilter').value;
     // __none__ or empty string means no champion filter (show all)
-    const filteredMatches = (selectedChamp && selectedChamp !== '__none__')
-        ? queueFiltered.filter(match => match.championName === selectedChamp)
-        : queueFiltered;
+    if (!selectedChamp || selectedChamp === '__none__') return () => true;
+    return match => match.championName === selectedChamp;
+}
+
+// Lobby strength of a match row, or null when none of its players' ranks are cached
+function getMatchLobby(match) {
+    return matchLobbies.get(`${match.matchId}|${match.puuid}`) || null;
+}
+
+// Lobby filter: a predicate for matches of the selected lobby strength ('higher' | 'even' | 'lower' | 'unknown')
+function getLobbyFilter() {
+    const strength = document.getElementById('lobbyFilter').value;
+    if (!strength) return () => true;
+    if (strength === 'unknown') return match => !getMatchLobby(match)?.strength;
+    return match => getMatchLobby(match)?.strength === strength;
+}
+
+// Stat rows matching the queue, champion and lobby filters
+function getFilteredMatchStatRows() {
+    return matchStatRows.filter(getQueueFilter()).filter(getChampionFilter()).filter(getLobbyFilter());
+}
+
+// Render filtered matches
+function renderFilteredMatches() {
+    if (!matchStatRows || matchStatRows.length === 0) {
+        return;
+    }
+
+    // Update champion dropdown based on queue-filtered matches
+    updateChampionDropdown(matchStatRows.filter(getQueueFilter()));
+
+    // Apply queue and champion filters
+    const filteredMatches = getFilteredMatchStatRows();
 
     // Calculate stats from filtered matches
     const stats = calculateStats(filteredMatches);
@@ -697,20 +1202,684 @@ function renderFilteredMatches() {
     // Update match count badge
     document.getElementById('matchCountBadge').textContent = `${filteredMatches.length} ${filteredMatches.length === 1 ? 'match' : 'matches'}`;
 
-    // Render table with filtered matches
+    // Render table with the filtered rows loaded so far
+    renderMatchList();
+
+    // The analysis tabs follow the same game mode filter
+    refreshAnalysisView();
+}
+
+// Rows of the loaded pages that pass the active filters
+function getVisibleMatches(matches) {
+    const queueFilter = getQueueFilter();
+    const championFilter = getChampionFilter();
+    const lobbyFilter = getLobbyFilter();
+    return matches.filter(match => queueFilter(match) && championFilter(match) && lobbyFilter(match));
+}
+
+// Render the match table (plus a loading row while older pages remain)
+function renderMatchList() {
+    const matchList = document.getElementById('matchList');
     matchList.innerHTML = renderMatchTable(
-        filteredMatches,
+        getVisibleMatches(matchesData),
         matchesData,
-        DDRAGON_BASE,
+        getDDragonBase,
         QUEUE_NAMES,
         getChampionIcon,
         timeAgo,
         formatDamage,
         renderRunes,
         renderSummonerSpells
-    );
+    ) + (matchListCursor ? '<div class="match-list-more" id="matchListMore">Loading older matches...</div>' : '');
+    fillMatchList();
+}
+
+// Add a newly loaded page to the rendered table
+function appendMatchRows(matches) {
+    const tbody = document.querySelector('#matchList .match-table tbody');
+    if (!tbody) {
+        // Nothing matched the filters so far (empty state shown) - render the table from scratch
+        renderMatchList();
+        return;
+    }
+
+    tbody.insertAdjacentHTML('beforeend', getVisibleMatches(matches)
+        .map(match => renderMatchRow(match, matchesData.indexOf(match), getDDragonBase, QUEUE_NAMES, getChampionIcon, timeAgo, formatDamage, renderRunes, renderSummonerSpells))
+        .join(''));
+    if (!matchListCursor) {
+        const more = document.getElementById('matchListMore');
+        if (more) more.remove();
+    }
+    fillMatchList();
+}
+
+// Load the next page once the list is scrolled near its end, or while it doesn't fill its box
+function fillMatchList() {
+    const matchList = document.getElementById('matchList');
+    if (matchList.scrollTop + matchList.clientHeight >= matchList.scrollHeight - MATCH_LIST_PRELOAD_PX) {
+        loadMoreMatches();
+    }
+}
+
+// Load the static data of the patches these matches were played on, so their items, runes and
+// spells are shown as they were then. A patch that can't be loaded falls back to the latest data.
+async function loadMatchPatchData(matches) {
+    const patches = [...new Set(matches.map(match => getPatch(match.gameVersion)).filter(Boolean))]
+        .filter(patch => !hasPatchGameData(patch));
+    await Promise.all(patches.map(async patch => {
+        try {
+            setPatchGameData(patch, await window.nexus.getPatchGameData(patch));
+        } catch (err) {
+            console.warn(`Could not load game data of patch ${patch}, using the latest:`, err);
+            setPatchGameData(patch, null);
+        }
+    }));
+}
+
+async function loadMoreMatches() {
+    if (matchListLoading || !matchListCursor) return;
+    matchListLoading = true;
+    const puuids = matchListPuuids;
+    try {
+        const page = await window.nexus.getMatches(puuids, { before: matchListCursor, limit: MATCH_PAGE_SIZE });
+        await loadMatchPatchData(page.matches);
+        // The account was switched (or the list reloaded) while this page was loading
+        if (puuids !== matchListPuuids) return;
+        matchesData.push(...page.matches);
+        matchListCursor = page.nextCursor;
+        matchListLoading = false;
+        appendMatchRows(page.matches);
+    } catch (err) {
+        console.error('Failed to load older matches:', err);
+        showToast('Error', 'Failed to load older matches: ' + err.message);
+    } finally {
+        if (puuids === matchListPuuids) matchListLoading = false;
+    }
+}
+
+// ===== Analysis tabs =====
+
+// 'matches' (the match list) or one of the analysis views below
+let analysisView = 'matches';
+
+// Container of each analysis view
+const ANALYSIS_VIEWS = { champions: 'championPoolView', matchups: 'matchupsView', teammates: 'teammatesView', lobby: 'lobbyView' };
+
+const ANALYSIS_EMPTY_STATE = `
+    <div class="empty-state">
+        <div class="empty-state-icon">🔍</div>
+        <div class="empty-state-text">No matches found for selected filters</div>
+    </div>
+`;
+
+// Champion pool rows (see analyticsService.getChampionPool) and their sort order
+let championPoolRows = [];
+let championPoolSort = { key: 'games', desc: true };
+
+// Matchup rows (see analyticsService.getMatchups) and their sort order
+let matchupRows = [];
+let matchupSort = { key: 'games', desc: true };
+
+// Recurring teammates and opponents (see analyticsService.getRecurringPlayers)
+let recurringPlayers = { teammates: [], opponents: [] };
+// The player whose shared matches are listed: { side: 'teammates' | 'opponents', puuid }, and those matches
+let expandedRecurringPlayer = null;
+let recurringSharedMatches = [];
+
+// Shared matches listed under a recurring player (newest first)
+const SHARED_MATCH_LIMIT = 20;
+
+// Rows of the lobby strength split (strength null: too few cached ranks for a team average)
+const LOBBY_STRENGTHS = [
+    { key: 'higher', label: 'My team higher-ranked' },
+    { key: 'even', label: 'Even teams' },
+    { key: 'lower', label: 'My team lower-ranked' },
+    { key: null, label: 'Unknown' }
+];
+// Season (calendar year) shown in the lobby rank chart, null = the latest
+let lobbySeason = null;
+
+const CHAMPION_POOL_COLUMNS = [
+    { key: 'championName', label: 'Champion' },
+    { key: 'games', label: 'Games' },
+    { key: 'winRate', label: 'Win %' },
+    { key: 'kda', label: 'KDA' },
+    { key: 'csPerMin', label: 'CS/M' },
+    { key: 'damagePerMin', label: 'DMG/M' },
+    { key: 'kp', label: 'KP' },
+    { key: 'avgCsDiff15', label: 'CSD@15' },
+    { key: 'avgGoldDiff15', label: 'GD@15' },
+    { key: 'build', label: 'Core Build', sortable: false },
+    { key: 'keystone', label: 'Keystone', sortable: false },
+    { key: 'recentWinRate', label: 'Form' }
+];
+
+const MATCHUP_COLUMNS = [
+    { key: 'championName', label: 'Champion' },
+    { key: 'opponentChampion', label: 'Opponent' },
+    { key: 'games', label: 'Games' },
+    { key: 'winRate', label: 'Win %' },
+    { key: 'avgCsDiff10', label: 'CSD@10' },
+    { key: 'avgGoldDiff10', label: 'GD@10' },
+    { key: 'avgXpDiff10', label: 'XPD@10' },
+    { key: 'avgCsDiff15', label: 'CSD@15' },
+    { key: 'avgGoldDiff15', label: 'GD@15' },
+    { key: 'avgXpDiff15', label: 'XPD@15' },
+    { key: 'firstBloodRate', label: 'FB %' },
+    { key: 'soloKills', label: 'Solo Kills' },
+    { key: 'laneDeaths', label: 'Lane Deaths' },
+    { key: 'winningItems', label: 'Winning Build', sortable: false },
+    { key: 'winningKeystones', label: 'Winning Keystones', sortable: false }
+];
+
+// The matches an analysis view covers: the shown accounts, in the queues passing the game mode filter
+function getAnalysisFilter() {
+    return {
+        puuids: matchListPuuids,
+        queueIds: [...new Set(matchStatRows.filter(getQueueFilter()).map(match => match.queueId))]
+    };
+}
+
+// The champion picked in the champion filter, or null
+function getSelectedChampion() {
+    const champion = document.getElementById('champFilter').value;
+    return champion && champion !== '__none__' ? champion : null;
+}
+
+function showAnalysisView(view) {
+    analysisView = view;
+    document.querySelectorAll('.analysis-tab').forEach(tab => tab.classList.toggle('active', tab.dataset.view === view));
+    document.getElementById('matchList').style.display = view === 'matches' ? '' : 'none';
+    Object.entries(ANALYSIS_VIEWS).forEach(([name, id]) => {
+        document.getElementById(id).style.display = view === name ? '' : 'none';
+    });
+    refreshAnalysisView();
+}
+window.showAnalysisView = showAnalysisView;
+
+// Reload the open analysis view (the match list renders itself)
+function refreshAnalysisView() {
+    if (analysisView === 'champions') loadChampionPool();
+    else if (analysisView === 'matchups') loadMatchups();
+    else if (analysisView === 'teammates') loadRecurringPlayers();
+    else if (analysisView === 'lobby') renderLobbyStrength();
+}
+
+// Sortable header row of an analysis table; sortFunction: name of the window function called with the column key
+function renderAnalysisHeader(columns, sort, sortFunction) {
+    return columns.map(column => {
+        if (column.sortable === false) return `<th>${column.label}</th>`;
+        const arrow = column.key === sort.key ? (sort.desc ? ' ▼' : ' ▲') : '';
+        return `<th class="sortable" onclick="${sortFunction}('${column.key}')">${column.label}${arrow}</th>`;
+    }).join('');
+}
+
+// Next sort order after a header click: the same column flips, a new one starts descending (names ascending)
+function nextAnalysisSort(sort, key) {
+    return sort.key === key
+        ? { key, desc: !sort.desc }
+        : { key, desc: !/champion/i.test(key) };
+}
+
+function renderAnalysisChampionCell(championName) {
+    const champIcon = getChampionIcon(championName);
+    return `
+        <div class="table-champion-cell">
+            <div class="table-champion-icon">${champIcon ? `<img src="${champIcon}" alt="${championName}" onerror="this.style.display='none'">` : ''}</div>
+            <span class="table-champion-name">${formatChampionName(championName)}</span>
+        </div>
+    `;
+}
+
+function renderAnalysisItems(items) {
+    const itemBase = getDDragonBase();
+    const icons = items.map(({ itemId, count }) =>
+        `<img src="${itemBase}/img/item/${itemId}.png" class="analysis-item" data-item-id="${itemId}" alt="Item" title="${count} games">`
+    ).join('');
+    return `<div class="analysis-icons">${icons || '-'}</div>`;
+}
+
+function renderAnalysisKeystone(runeId, title = '') {
+    const keystonePath = RUNE_ICONS[runeId];
+    return keystonePath
+        ? `<img src="${DDRAGON_IMG_BASE}/perk-images/Styles/${keystonePath}" class="analysis-rune" data-rune-id="${runeId}" alt="Keystone" title="${title}">`
+        : '';
+}
+
+async function loadChampionPool() {
+    const container = document.getElementById('championPoolView');
+    try {
+        championPoolRows = await window.nexus.getChampionPool(getAnalysisFilter());
+        renderChampionPool();
+    } catch (err) {
+        console.error('Failed to load champion pool:', err);
+        container.innerHTML = `<div class="empty-state"><div class="empty-state-text">Could not load champion stats: ${err.message}</div></div>`;
+    }
+}
+
+function sortChampionPool(key) {
+    championPoolSort = nextAnalysisSort(championPoolSort, key);
+    renderChampionPool();
+}
+window.sortChampionPool = sortChampionPool;
+
+// Sort comparison of two column values; nulls (no data) always sort last
+function compareAnalysisValues(a, b, desc) {
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    const order = typeof a === 'string' ? a.localeCompare(b) : a - b;
+    return desc ? -order : order;
+}
+
+function formatSignedValue(value) {
+    if (value === null || value === undefined) return '-';
+    return value > 0 ? `+${value}` : String(value);
+}
+
+function renderChampionPool() {
+    const container = document.getElementById('championPoolView');
+    if (championPoolRows.length === 0) {
+        container.innerHTML = ANALYSIS_EMPTY_STATE;
+        return;
+    }
+
+    const { key, desc } = championPoolSort;
+    const rows = [...championPoolRows].sort((a, b) => compareAnalysisValues(a[key], b[key], desc));
+    const trendArrows = { up: '<span class="analysis-trend up">▲</span>', down: '<span class="analysis-trend down">▼</span>', flat: '' };
+    const header = renderAnalysisHeader(CHAMPION_POOL_COLUMNS, championPoolSort, 'sortChampionPool');
+
+    const body = rows.map(row => {
+        const keystone = row.keystone ? renderAnalysisKeystone(row.keystone.runeId, `${row.keystone.count} games`) : '';
+
+        return `
+            <tr onclick="openChampionMatches('${row.championName}')" title="Show ${formatChampionName(row.championName)} matches">
+                <td>${renderAnalysisChampionCell(row.championName)}</td>
+                <td class="center">${row.games}</td>
+                <td class="center" style="color:${getRankColor(getRankFromWinRate(row.winRate))}; font-weight: 700;">${row.winRate}%</td>
+                <td class="center" style="color:${getRankColor(getRankFromKDA(row.kda))}; font-weight: 700;">${row.kda.toFixed(2)}</td>
+                <td class="center" style="color:${row.csPerMin !== null ? getRankColor(getRankFromCSM(row.csPerMin)) : ''};">${row.csPerMin ?? '-'}</td>
+                <td class="center">${row.damagePerMin ?? '-'}</td>
+                <td class="center">${row.kp !== null ? `${row.kp}%` : '-'}</td>
+                <td class="center">${formatSignedValue(row.avgCsDiff15)}</td>
+                <td class="center">${formatSignedValue(row.avgGoldDiff15)}</td>
+                <td class="center">${renderAnalysisItems(row.build)}</td>
+                <td class="center">${keystone || '-'}</td>
+                <td class="center" title="Win rate of the last ${row.recentGames} games">${row.recentWinRate}% ${trendArrows[row.trend]}</td>
+            </tr>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="match-table-container">
+            <table class="match-table analysis-table">
+                <thead><tr>${header}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+async function loadMatchups() {
+    const container = document.getElementById('matchupsView');
+    try {
+        matchupRows = await window.nexus.getMatchups({ ...getAnalysisFilter(), championName: getSelectedChampion() });
+        renderMatchups();
+    } catch (err) {
+        console.error('Failed to load matchups:', err);
+        container.innerHTML = `<div class="empty-state"><div class="empty-state-text">Could not load matchups: ${err.message}</div></div>`;
+    }
+}
+
+function sortMatchups(key) {
+    matchupSort = nextAnalysisSort(matchupSort, key);
+    renderMatchups();
+}
+window.sortMatchups = sortMatchups;
+
+function renderMatchups() {
+    const container = document.getElementById('matchupsView');
+    if (matchupRows.length === 0) {
+        container.innerHTML = ANALYSIS_EMPTY_STATE;
+        return;
+    }
+
+    const { key, desc } = matchupSort;
+    const rows = [...matchupRows].sort((a, b) => compareAnalysisValues(a[key], b[key], desc));
+    const header = renderAnalysisHeader(MATCHUP_COLUMNS, matchupSort, 'sortMatchups');
+    const diffCell = value => `<td class="center" style="color:${getLaneDiffColor(value)};">${formatSignedValue(value)}</td>`;
+
+    const body = rows.map(row => {
+        const laneTitle = `Before 14:00, in the ${row.timelineGames} games with a timeline`;
+        const keystones = row.winningKeystones
+            .map(k => renderAnalysisKeystone(k.runeId, `${k.wins} of ${k.games} games won`))
+            .join('');
+
+        return `
+            <tr>
+                <td>${renderAnalysisChampionCell(row.championName)}</td>
+                <td>${renderAnalysisChampionCell(row.opponentChampion)}</td>
+                <td class="center">${row.games}</td>
+                <td class="center" style="color:${getRankColor(getRankFromWinRate(row.winRate))}; font-weight: 700;">${row.winRate}%</td>
+                ${diffCell(row.avgCsDiff10)}
+                ${diffCell(row.avgGoldDiff10)}
+                ${diffCell(row.avgXpDiff10)}
+                ${diffCell(row.avgCsDiff15)}
+                ${diffCell(row.avgGoldDiff15)}
+                ${diffCell(row.avgXpDiff15)}
+                <td class="center">${row.firstBloodRate}%</td>
+                <td class="center" title="${laneTitle}">${row.timelineGames > 0 ? row.soloKills : '-'}</td>
+                <td class="center" title="${laneTitle}">${row.timelineGames > 0 ? row.laneDeaths : '-'}</td>
+                <td class="center">${renderAnalysisItems(row.winningItems)}</td>
+                <td class="center"><div class="analysis-icons">${keystones || '-'}</div></td>
+            </tr>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <p class="analysis-hint">Lane opponent: the enemy in the same position. Pick a champion in the champion filter to see only its matchups.</p>
+        <div class="match-table-container">
+            <table class="match-table analysis-table">
+                <thead><tr>${header}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+async function loadRecurringPlayers() {
+    const container = document.getElementById('teammatesView');
+    try {
+        recurringPlayers = await window.nexus.getRecurringPlayers({ ...getAnalysisFilter(), championName: getSelectedChampion() });
+        expandedRecurringPlayer = null;
+        renderRecurringPlayers();
+    } catch (err) {
+        console.error('Failed to load recurring players:', err);
+        container.innerHTML = `<div class="empty-state"><div class="empty-state-text">Could not load teammates: ${err.message}</div></div>`;
+    }
+}
+
+function renderRecurringPlayers() {
+    const container = document.getElementById('teammatesView');
+    const { teammates, opponents } = recurringPlayers;
+    if (teammates.length === 0 && opponents.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">👥</div>
+                <div class="empty-state-text">No player appears in more than one of these matches</div>
+            </div>
+        `;
+        return;
+    }
+
+    const winRateCell = winRate => winRate !== null
+        ? `<td class="center" style="color:${getRankColor(getRankFromWinRate(winRate))}; font-weight: 700;">${winRate}%</td>`
+        : '<td class="center">-</td>';
+
+    const teammateRows = teammates.map(row => {
+        const pairings = row.rolePairings
+            .map(p => `<span class="role-pairing" title="${p.wins} of ${p.games} games won">${getPositionName(p.myRole)} + ${getPositionName(p.theirRole)} (${p.games})</span>`)
+            .join('');
+        const kpTitle = `Kills either of you took part in, in the ${row.timelineGames} games with a timeline`;
+        return `
+            <tr onclick="toggleRecurringMatches('teammates', '${row.puuid}')" title="Show shared matches">
+                <td class="recurring-player-name">${row.name}</td>
+                <td class="center">${row.games}</td>
+                ${winRateCell(row.winRate)}
+                <td class="center" title="${row.gamesWithout} games">${row.winRateWithout !== null ? `${row.winRateWithout}%` : '-'}</td>
+                <td class="center" title="${kpTitle}">${row.combinedKp !== null ? `${row.combinedKp}%` : '-'}</td>
+                <td class="center">${pairings || '-'}</td>
+            </tr>
+            ${renderSharedMatchesRow('teammates', row.puuid, 6)}
+        `;
+    }).join('');
+
+    const opponentRows = opponents.map(row => {
+        const champions = row.champions
+            .map(c => {
+                const icon = getChampionIcon(c.championName);
+                return icon ? `<img src="${icon}" class="analysis-item" alt="${c.championName}" title="${formatChampionName(c.championName)}: ${c.count} games">` : '';
+            })
+            .join('');
+        return `
+            <tr onclick="toggleRecurringMatches('opponents', '${row.puuid}')" title="Show shared matches">
+                <td class="recurring-player-name">${row.name}</td>
+                <td class="center">${row.games}</td>
+                ${winRateCell(row.winRate)}
+                <td class="center"><div class="analysis-icons">${champions || '-'}</div></td>
+            </tr>
+            ${renderSharedMatchesRow('opponents', row.puuid, 4)}
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <p class="analysis-hint">Players in at least two of these matches. Click a player to list the matches you shared.</p>
+        <h4 class="analysis-section-title">Teammates</h4>
+        ${teammates.length > 0 ? `
+        <div class="match-table-container">
+            <table class="match-table analysis-table">
+                <thead><tr>
+                    <th>Player</th><th>Games</th><th>Win % Together</th><th>Win % Without</th><th>Combined KP</th><th>Roles (You + Them)</th>
+                </tr></thead>
+                <tbody>${teammateRows}</tbody>
+            </table>
+        </div>` : '<p class="analysis-hint">No recurring teammates.</p>'}
+        <h4 class="analysis-section-title">Played Against</h4>
+        ${opponents.length > 0 ? `
+        <div class="match-table-container">
+            <table class="match-table analysis-table">
+                <thead><tr>
+                    <th>Player</th><th>Games</th><th>Your Win %</th><th>Their Champions</th>
+                </tr></thead>
+                <tbody>${opponentRows}</tbody>
+            </table>
+        </div>` : '<p class="analysis-hint">No recurring opponents.</p>'}
+    `;
+}
+
+// Row under the expanded player with the shared matches (filled by toggleRecurringMatches)
+function renderSharedMatchesRow(side, puuid, colspan) {
+    if (!expandedRecurringPlayer || expandedRecurringPlayer.side !== side || expandedRecurringPlayer.puuid !== puuid) return '';
+    return `<tr class="shared-matches-row"><td colspan="${colspan}"><div id="sharedMatches" class="shared-matches">Loading matches...</div></td></tr>`;
+}
+
+async function toggleRecurringMatches(side, puuid) {
+    const expanded = expandedRecurringPlayer;
+    if (expanded && expanded.side === side && expanded.puuid === puuid) {
+        expandedRecurringPlayer = null;
+        renderRecurringPlayers();
+        return;
+    }
+
+    const player = recurringPlayers[side].find(p => p.puuid === puuid);
+    if (!player) return;
+    expandedRecurringPlayer = { side, puuid };
+    renderRecurringPlayers();
+
+    try {
+        const matches = await window.nexus.getMatchSummaries(player.matches.slice(0, SHARED_MATCH_LIMIT));
+        await loadMatchPatchData(matches);
+        // Another player was expanded (or the view reloaded) meanwhile
+        const current = expandedRecurringPlayer;
+        if (!current || current.side !== side || current.puuid !== puuid) return;
+        recurringSharedMatches = matches;
+        renderSharedMatches(player);
+    } catch (err) {
+        console.error('Failed to load shared matches:', err);
+        const list = document.getElementById('sharedMatches');
+        if (list) list.textContent = `Could not load the matches: ${err.message}`;
+    }
+}
+window.toggleRecurringMatches = toggleRecurringMatches;
+
+function renderSharedMatches(player) {
+    const list = document.getElementById('sharedMatches');
+    if (!list) return;
+    const items = recurringSharedMatches.map((match, index) => {
+        const champIcon = getChampionIcon(match.championName);
+        const isWin = match.win === 1;
+        return `
+            <div class="shared-match ${isWin ? 'win' : 'loss'}" onclick="openSharedMatch(${index})" title="Open match details">
+                ${champIcon ? `<img src="${champIcon}" class="analysis-item" alt="${match.championName}">` : ''}
+                <span class="shared-match-result">${isWin ? 'Win' : 'Loss'}</span>
+                <span>${formatChampionName(match.championName)} · ${match.kills}/${match.deaths}/${match.assists}</span>
+                <span class="shared-match-info">${QUEUE_NAMES[match.queueId] || 'Game'} · ${timeAgo(match.gameCreation)}</span>
+            </div>
+        `;
+    }).join('');
+    const more = player.matches.length > recurringSharedMatches.length
+        ? `<div class="shared-match-info">Latest ${recurringSharedMatches.length} of ${player.matches.length} matches</div>`
+        : '';
+    list.innerHTML = items + more;
+}
+
+function openSharedMatch(index) {
+    const match = recurringSharedMatches[index];
+    if (match) showMatchModal(match);
+}
+window.openSharedMatch = openSharedMatch;
+
+// Stats split by lobby strength, and the average lobby rank of a season by week. Covers the matches
+// passing the game mode and champion filters (the lobby filter would leave a single split row).
+function renderLobbyStrength() {
+    const container = document.getElementById('lobbyView');
+    const matches = matchStatRows.filter(getQueueFilter()).filter(getChampionFilter());
+    if (matches.length === 0) {
+        container.innerHTML = ANALYSIS_EMPTY_STATE;
+        return;
+    }
+
+    const diffCell = value => `<td class="center" style="color:${getLaneDiffColor(value)};">${formatSignedValue(value)}</td>`;
+    const splitRows = LOBBY_STRENGTHS.map(({ key, label }) => {
+        const split = matches.filter(match => (getMatchLobby(match)?.strength ?? null) === key);
+        if (split.length === 0) return '';
+        const stats = calculateStats(split);
+        const lobbyLPs = split.map(match => getMatchLobby(match)?.lobbyLP).filter(lp => lp !== null && lp !== undefined);
+        const lobbyRank = lobbyLPs.length > 0
+            ? formatTotalLP(Math.round(lobbyLPs.reduce((sum, lp) => sum + lp, 0) / lobbyLPs.length))
+            : '-';
+        const filterKey = key || 'unknown';
+
+        return `
+            <tr onclick="openLobbyMatches('${filterKey}')" title="Show these matches">
+                <td>${label}</td>
+                <td class="center">${stats.totalMatches}</td>
+                <td class="center" style="color:${getRankColor(getRankFromWinRate(stats.winRate))}; font-weight: 700;">${stats.winRate}%</td>
+                <td class="center">${stats.avgKda}</td>
+                <td class="center">${stats.avgKp}%</td>
+                <td class="center">${stats.avgCsm}</td>
+                ${diffCell(stats.avgGoldDiff15)}
+                <td class="center">${lobbyRank}</td>
+            </tr>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <p class="analysis-hint">From the cached ranks of the players in each match - their rank when it was fetched
+            (around when the match was synced), not at the time of the game. Teams within a division (100 LP) of each other count as even.</p>
+        <div class="match-table-container">
+            <table class="match-table analysis-table">
+                <thead><tr>
+                    <th>Lobby</th><th>Games</th><th>Win %</th><th>KDA</th><th>KP</th><th>CS/M</th><th>GD@15</th><th>Avg Lobby Rank</th>
+                </tr></thead>
+                <tbody>${splitRows}</tbody>
+            </table>
+        </div>
+        <h4 class="analysis-section-title">Average Lobby Rank</h4>
+        ${renderLobbySeasonChart(matches)}
+    `;
+}
+
+// Weekly average lobby rank of one season (calendar year) of the matches, with a season picker
+function renderLobbySeasonChart(matches) {
+    const ranked = matches.filter(match => {
+        const lobby = getMatchLobby(match);
+        return lobby !== null && lobby.lobbyLP !== null;
+    });
+    const seasons = [...new Set(ranked.map(match => new Date(match.gameCreation).getFullYear()))].sort((a, b) => b - a);
+    if (seasons.length === 0) return '<p class="analysis-hint">No cached ranks for these matches yet.</p>';
+
+    const season = seasons.includes(lobbySeason) ? lobbySeason : seasons[0];
+    const seasonStart = new Date(season, 0, 1).getTime();
+    const weekMs = 7 * 24 * 60 * 60 * 1000;
+    const weeks = new Map();
+    for (const match of ranked) {
+        if (new Date(match.gameCreation).getFullYear() !== season) continue;
+        const week = Math.floor((match.gameCreation - seasonStart) / weekMs);
+        if (!weeks.has(week)) weeks.set(week, []);
+        weeks.get(week).push(getMatchLobby(match).lobbyLP);
+    }
+    const points = [...weeks.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([week, lps]) => ({
+            time: seasonStart + week * weekMs,
+            lp: Math.round(lps.reduce((sum, lp) => sum + lp, 0) / lps.length),
+            games: lps.length
+        }));
+
+    const options = seasons.map(year => `<option value="${year}" ${year === season ? 'selected' : ''}>Season ${year}</option>`).join('');
+    return `
+        <div class="champ-filter-wrapper lobby-season-picker">
+            <select onchange="setLobbySeason(this.value)">${options}</select>
+        </div>
+        ${renderLobbyChart(points)}
+    `;
 }
 
+function setLobbySeason(year) {
+    lobbySeason = parseInt(year, 10);
+    renderLobbyStrength();
+}
+window.setLobbySeason = setLobbySeason;
+
+function renderLobbyChart(points) {
+    const { width, height, padLeft, padRight } = LP_CHART;
+    const { minLP, maxLP } = getRankChartRange(points.map(p => p.lp));
+    const firstTime = points[0].time;
+    const lastTime = points[points.length - 1].time;
+    const x = time => padLeft + (lastTime > firstTime ? (time - firstTime) / (lastTime - firstTime) : 0.5) * (width - padLeft - padRight);
+    const y = getRankChartY(minLP, maxLP);
+
+    const formatDate = time => new Date(time).toLocaleDateString();
+    const line = points.map(p => `${x(p.time)},${y(p.lp)}`).join(' ');
+    const markers = points.map(p => `
+        <circle cx="${x(p.time)}" cy="${y(p.lp)}" r="3.5" class="lp-chart-point">
+            <title>Week of ${formatDate(p.time)}: ${formatTotalLP(p.lp)} average (${p.games} game${p.games === 1 ? '' : 's'})</title>
+        </circle>
+    `).join('');
+
+    return `
+        <svg class="lp-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet">
+            ${renderRankGridlines(minLP, maxLP, y)}
+            <polyline points="${line}" class="lp-chart-line"/>
+            ${markers}
+            <text x="${padLeft}" y="${height - 6}" class="lp-chart-label">${formatDate(firstTime)}</text>
+            <text x="${width - padRight}" y="${height - 6}" class="lp-chart-label" text-anchor="end">${formatDate(lastTime)}</text>
+        </svg>
+    `;
+}
+
+// Click-through from the lobby split: the match list filtered to that lobby strength
+function openLobbyMatches(strength) {
+    document.getElementById('lobbyFilter').value = strength;
+    showAnalysisView('matches');
+    applyFilters();
+}
+window.openLobbyMatches = openLobbyMatches;
+
+// Green for a lead, red for a deficit
+function getLaneDiffColor(value) {
+    if (value === null || value === undefined || value === 0) return '#8a8a9a';
+    return value > 0 ? '#22c55e' : '#ef4444';
+}
+
+// Click-through from the champion pool: the match list filtered to that champion
+function openChampionMatches(championName) {
+    document.getElementById('champFilter').value = championName;
+    showAnalysisView('matches');
+    applyFilters();
+}
+window.openChampionMatches = openChampionMatches;
+
 // Calculate trend indicators comparing recent form (last 10) vs historical baseline (all)
 // Execution order: 1. Build last10 → 2. Compute R (weighted) → 3. Compute B → 4. Compute trend → 5. Apply inversion → 6. Apply threshold → Assign arrow
 function updateTrendIndicators(filteredMatches, baselineStats) {
@@ -939,26 +2108,38 @@ function displayRankedStats(allMatches) {
     }
 }
 
+// Reset a rank card (prefix 'solo' or 'flex') to its empty state
+function resetRankCard(prefix, text = 'Unranked') {
+    const card = document.getElementById(prefix === 'solo' ? 'rankedSoloCard' : 'rankedFlexCard');
+    document.getElementById(`${prefix}RankText`).textContent = text;
+    document.getElementById(`${prefix}Wins`).textContent = 0;
+    document.getElementById(`${prefix}Losses`).textContent = 0;
+    document.getElementById(`${prefix}WinRate`).textContent = '0%';
+    document.getElementById(`${prefix}RankIcon`).src = 'assets/ranks/emblem-iron.png';
+    card.classList.add('no-data');
+}
+
 // Fetch and display rank data from Riot API
 async function fetchAndDisplayRankData() {
     try {
         console.log('=== Starting fetchAndDisplayRankData ===');
-        const { getLeagueData } = window.require('./services/matchService');
-        const config = loadConfig();
-        const name = document.getElementById('gameName').value.trim() || config.gameName;
-        const tag = document.getElementById('tagLine').value.trim() || config.tagLine;
+        const accounts = getActiveAccounts(appConfig);
 
-        if (!name || !tag) {
-            console.log('No summoner name/tag configured, skipping rank fetch');
+        if (accounts.length === 0) {
+            console.log('No account configured, skipping rank fetch');
             return;
         }
 
-        console.log(`Looking up PUUID for ${name}#${tag}...`);
-        const puuid = await getPuuidByRiotId(name, tag);
-        console.log('PUUID found:', puuid);
+        // Ranks are per account, so the combined view doesn't show one
+        if (accounts.length > 1) {
+            resetRankCard('solo', 'Select an account');
+            resetRankCard('flex', 'Select an account');
+            closeLpHistory();
+            return;
+        }
 
-        console.log('Fetching league data...');
-        const leagueData = await getLeagueData(puuid);
+        console.log(`Fetching league data for ${getAccountLabel(accounts[0])}...`);
+        const leagueData = await window.nexus.getRanks(accounts[0].id);
         console.log('League data received:', leagueData);
 
         // Update Solo/Duo rank display
@@ -975,7 +2156,7 @@ async function fetchAndDisplayRankData() {
             console.log('Solo rank UI updated successfully');
         } else {
             console.log('No Solo/Duo rank data - player is unranked in Solo/Duo');
-            document.getElementById('rankedSoloCard').classList.add('no-data');
+            resetRankCard('solo');
         }
 
         // Update Flex rank display
@@ -992,49 +2173,232 @@ async function fetchAndDisplayRankData() {
             console.log('Flex rank UI updated successfully');
         } else {
             console.log('No Flex rank data - player is unranked in Flex');
-            document.getElementById('rankedFlexCard').classList.add('no-data');
+            resetRankCard('flex');
         }
 
+        // The fetch added a snapshot
+        if (lpHistoryQueue) loadLpHistory();
         console.log('=== fetchAndDisplayRankData completed successfully ===');
     } catch (err) {
         console.error('=== ERROR in fetchAndDisplayRankData ===');
         console.error('Error message:', err.message);
         console.error('Error stack:', err.stack);
-        if (err.response) {
-            console.error('API Response status:', err.response.status);
-            console.error('API Response data:', err.response.data);
-        }
     }
 }
 
+// ===== LP History =====
+
+// Queue of the open LP history panel ('solo' | 'flex'), or null when it's closed
+let lpHistoryQueue = null;
+// Games listed in the panel (see rankHistoryService.getRankHistory), for opening their match modal
+let lpHistoryGames = [];
+
+// Per-game LP changes listed under the chart (newest first)
+const LP_GAME_LIMIT = 30;
+
+const LP_CHART = { width: 800, height: 240, padLeft: 90, padRight: 20, padTop: 24, padBottom: 28 };
+
+function openLpHistory(queue) {
+    if (getActiveAccounts(appConfig).length !== 1) {
+        showToast('LP History', 'Select an account to see its LP history');
+        return;
+    }
+    lpHistoryQueue = queue;
+    document.getElementById('lpHistoryPanel').style.display = '';
+    loadLpHistory();
+}
+window.openLpHistory = openLpHistory;
+
+function closeLpHistory() {
+    lpHistoryQueue = null;
+    document.getElementById('lpHistoryPanel').style.display = 'none';
+}
+window.closeLpHistory = closeLpHistory;
+
+async function loadLpHistory() {
+    const queue = lpHistoryQueue;
+    const accounts = getActiveAccounts(appConfig);
+    if (!queue || accounts.length !== 1) return;
+
+    document.getElementById('lpHistoryTitle').textContent = `${queue === 'solo' ? 'Ranked Solo/Duo' : 'Ranked Flex'} LP History`;
+    try {
+        const history = await window.nexus.getRankHistory(accounts[0].id, queue);
+        // Another queue was opened (or the panel closed) meanwhile
+        if (queue !== lpHistoryQueue) return;
+        renderLpHistory(history);
+    } catch (err) {
+        console.error('Failed to load LP history:', err);
+        document.getElementById('lpHistoryChart').innerHTML = `<div class="empty-state"><div class="empty-state-text">Could not load LP history: ${err.message}</div></div>`;
+        document.getElementById('lpHistoryGames').innerHTML = '';
+    }
+}
+
+function renderLpHistory({ points, games }) {
+    const chart = document.getElementById('lpHistoryChart');
+    const gameList = document.getElementById('lpHistoryGames');
+    lpHistoryGames = games.slice(0, LP_GAME_LIMIT);
+
+    if (points.length === 0) {
+        chart.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">📈</div>
+                <div class="empty-state-text">No rank history yet - the rank is recorded every time it's fetched</div>
+            </div>
+        `;
+        gameList.innerHTML = '';
+        return;
+    }
+
+    chart.innerHTML = renderLpChart(points);
+    gameList.innerHTML = renderLpGames(lpHistoryGames);
+}
+
+// SVG line chart of the snapshots on the common LP scale (see shared/ranks.js), with division gridlines
+// and promotions/demotions marked
+function renderLpChart(points) {
+    const { width, height, padLeft, padRight } = LP_CHART;
+    const { minLP, maxLP } = getRankChartRange(points.map(p => p.totalLP));
+    const firstTime = points[0].fetchedAt;
+    const lastTime = points[points.length - 1].fetchedAt;
+
+    const x = time => padLeft + (lastTime > firstTime ? (time - firstTime) / (lastTime - firstTime) : 0.5) * (width - padLeft - padRight);
+    const y = getRankChartY(minLP, maxLP);
+
+    const formatDate = time => new Date(time).toLocaleDateString();
+    const line = points.map(p => `${x(p.fetchedAt)},${y(p.totalLP)}`).join(' ');
+
+    const markers = points.map(p => {
+        const cx = x(p.fetchedAt);
+        const cy = y(p.totalLP);
+        const change = p.lpChange !== null && p.games > 0 ? ` · ${formatSignedValue(p.lpChange)} LP over ${p.games} game${p.games === 1 ? '' : 's'}` : '';
+        const title = `<title>${formatRank(p.tier, p.rank)} ${p.leaguePoints} LP · ${formatDate(p.fetchedAt)}${change}</title>`;
+        if (!p.change) return `<circle cx="${cx}" cy="${cy}" r="3.5" class="lp-chart-point">${title}</circle>`;
+
+        const promoted = p.change === 'promotion';
+        return `
+            <circle cx="${cx}" cy="${cy}" r="6" class="lp-chart-point ${p.change}">${title}</circle>
+            <text x="${cx}" y="${promoted ? cy - 10 : cy + 18}" class="lp-chart-change ${p.change}" text-anchor="middle">${promoted ? '▲' : '▼'} ${formatRank(p.tier, p.rank)}</text>
+        `;
+    }).join('');
+
+    return `
+        <svg class="lp-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet">
+            ${renderRankGridlines(minLP, maxLP, y)}
+            <polyline points="${line}" class="lp-chart-line"/>
+            ${markers}
+            <text x="${padLeft}" y="${height - 6}" class="lp-chart-label">${formatDate(firstTime)}</text>
+            <text x="${width - padRight}" y="${height - 6}" class="lp-chart-label" text-anchor="end">${formatDate(lastTime)}</text>
+        </svg>
+    `;
+}
+
+// Y range of a rank chart: whole divisions around the values (on the common LP scale)
+function getRankChartRange(values) {
+    return {
+        minLP: Math.floor((Math.min(...values) - 10) / 100) * 100,
+        maxLP: Math.ceil((Math.max(...values) + 10) / 100) * 100
+    };
+}
+
+// Y coordinate of an LP value in a rank chart
+function getRankChartY(minLP, maxLP) {
+    const { height, padTop, padBottom } = LP_CHART;
+    return lp => padTop + (1 - (lp - minLP) / (maxLP - minLP)) * (height - padTop - padBottom);
+}
+
+// A labelled gridline per division, thinned out on long ranges
+function renderRankGridlines(minLP, maxLP, y) {
+    const { width, padLeft, padRight } = LP_CHART;
+    let step = 100;
+    while ((maxLP - minLP) / step > 8) step *= 2;
+    const gridlines = [];
+    for (let lp = minLP; lp <= maxLP; lp += step) {
+        gridlines.push(`
+            <line x1="${padLeft}" x2="${width - padRight}" y1="${y(lp)}" y2="${y(lp)}" class="lp-chart-grid"/>
+            <text x="${padLeft - 8}" y="${y(lp) + 4}" class="lp-chart-label" text-anchor="end">${formatTotalLP(lp)}</text>
+        `);
+    }
+    return gridlines.join('');
+}
+
+// LP change of each ranked game since the first snapshot; click opens the match
+function renderLpGames(games) {
+    if (games.length === 0) return '<p class="analysis-hint">No ranked games stored since the first rank fetch.</p>';
+
+    const chips = games.map((game, index) => {
+        const champIcon = getChampionIcon(game.championName);
+        let change = '? LP';
+        let title = 'LP change unknown - sync the match history and refresh the rank to attribute it';
+        if (game.lpChange !== null) {
+            change = `${game.estimated ? '~' : ''}${formatSignedValue(game.lpChange)} LP`;
+            title = game.estimated
+                ? 'Estimated: several games were played between two rank fetches'
+                : 'The only game between two rank fetches';
+        }
+        return `
+            <div class="lp-game ${game.win === 1 ? 'win' : 'loss'}" onclick="openLpGame(${index})" title="${title}">
+                ${champIcon ? `<img src="${champIcon}" alt="${game.championName}">` : ''}
+                <span>${change}</span>
+            </div>
+        `;
+    }).join('');
+
+    return `
+        <p class="analysis-hint">LP per game, latest first. ~ marks an estimate: the rank is only known when it's fetched.</p>
+        <div class="lp-game-list">${chips}</div>
+    `;
+}
+
+async function openLpGame(index) {
+    const game = lpHistoryGames[index];
+    if (!game) return;
+    const [match] = await window.nexus.getMatchSummaries([{ matchId: game.matchId, puuid: game.puuid }]);
+    if (!match) return;
+    await loadMatchPatchData([match]);
+    showMatchModal(match);
+}
+window.openLpGame = openLpGame;
+
 // Load and display matches from database
 async function loadMatchHistory(skipRankFetch = false) {
     console.log('!!! loadMatchHistory called !!!');
     try {
-        const matches = await getMatches(); // Get all matches instead of limiting to 50
-        const stats = await getStats();
+        // Matches of the selected account, or of every account in the combined view
+        const accounts = getActiveAccounts(appConfig);
+        const puuids = [];
+        for (const account of accounts) {
+            try {
+                puuids.push((await resolveAccount(account)).puuid);
+            } catch (err) {
+                console.warn(`Could not look up ${getAccountLabel(account)}: ${err.message}`);
+            }
+        }
+
+        const statRows = await window.nexus.getMatchStatRows(puuids);
+        const lobbies = await window.nexus.getLobbyStrength(puuids);
+        const firstPage = await window.nexus.getMatches(puuids, { limit: MATCH_PAGE_SIZE });
+        await loadMatchPatchData(firstPage.matches);
+        const stats = await window.nexus.getStats(puuids);
 
-        // Store for modal access and filtering
-        matchesData = matches;
+        // Stats and filters cover every match; the list starts with the newest page
+        matchStatRows = statRows;
+        matchLobbies = new Map(lobbies.map(lobby => [`${lobby.matchId}|${lobby.puuid}`, lobby]));
+        matchesData = firstPage.matches;
+        matchListPuuids = puuids;
+        matchListCursor = firstPage.nextCursor;
+        matchListLoading = false;
 
         // Initialize filters if not done yet
         if (activeQueueFilters.size === 0) {
             initializeFilters();
         }
 
-        // Pre-fill inputs from config if empty
-        const config = loadConfig();
-        if (!document.getElementById('gameName').value && config.gameName) {
-            document.getElementById('gameName').value = config.gameName;
-            document.getElementById('tagLine').value = config.tagLine;
-        }
-
         // Fetch rank data immediately and wait for it (skip if already fetched during sync)
         if (!skipRankFetch) {
             await fetchAndDisplayRankData();
         }
 
-        if (matches.length > 0) {
+        if (statRows.length > 0) {
             // Show unified stats section
             document.getElementById('unifiedStatsSection').style.display = 'block';
             document.getElementById('matchCount').textContent = stats.totalMatches;
@@ -1058,7 +2422,7 @@ async function loadMatchHistory(skipRankFetch = false) {
 
             showToast('Welcome Back', `${stats.totalMatches} matches loaded`);
         } else {
-            const userName = config.gameName || 'your account';
+            const userName = accounts.length === 1 ? getAccountLabel(accounts[0]) : 'your accounts';
             showToast('Welcome', `Ready to sync matches for ${userName}`);
         }
     } catch (err) {
@@ -1102,24 +2466,28 @@ function initTooltips() {
 }
 
 function handleTooltipShow(e) {
+    // Items, runes and spells are described as they were on the patch of the match (its row's data-game-version)
+    const versionEl = e.target.closest ? e.target.closest('[data-game-version]') : null;
+    const gameVersion = versionEl ? versionEl.dataset.gameVersion || null : null;
+
     // Check if hovering over item
     if (e.target.dataset && e.target.dataset.itemId) {
         const itemId = e.target.dataset.itemId;
-        showItemTooltip(itemId);
+        showItemTooltip(itemId, gameVersion);
         return;
     }
 
     // Check if hovering over rune
     if (e.target.dataset && e.target.dataset.runeId) {
         const runeId = parseInt(e.target.dataset.runeId);
-        showRuneTooltip(runeId);
+        showRuneTooltip(runeId, gameVersion);
         return;
     }
 
     // Check if hovering over summoner spell
     if (e.target.dataset && e.target.dataset.spellId) {
         const spellId = parseInt(e.target.dataset.spellId);
-        showSummonerSpellTooltip(spellId);
+        showSummonerSpellTooltip(spellId, gameVersion);
         return;
     }
 
@@ -1158,8 +2526,8 @@ function handleTooltipMove(e) {
     }
 }
 
-function showItemTooltip(itemId) {
-    const itemData = getItemData(itemId);
+function showItemTooltip(itemId, gameVersion = null) {
+    const itemData = getItemData(itemId, gameVersion);
     if (!itemData) {
         console.warn('No item data found for ID:', itemId);
         return;
@@ -1221,8 +2589,8 @@ function showItemTooltip(itemId) {
     tooltipEl.style.display = 'block';
 }
 
-function showRuneTooltip(runeId) {
-    const runeData = getRuneData(runeId);
+function showRuneTooltip(runeId, gameVersion = null) {
+    const runeData = getRuneData(runeId, gameVersion);
     if (!runeData) {
         console.warn('No rune data found for ID:', runeId);
         return;
@@ -1266,8 +2634,8 @@ function showInsightTooltip(labelEl) {
     tooltipEl.style.display = 'block';
 }
 
-function showSummonerSpellTooltip(spellId) {
-    const spellData = getSummonerSpellData(spellId);
+function showSummonerSpellTooltip(spellId, gameVersion = null) {
+    const spellData = getSummonerSpellData(spellId, gameVersion);
     if (!spellData) {
         console.warn('No summoner spell data found for ID:', spellId);
         return;
@@ -1348,16 +2716,30 @@ async function toggleRowExpand(index) {
         return;
     }
 
-    // Evaluate badges (fetch full match data including timeline if needed)
+    // All ten players and the stored timeline of the match
+    let participants = [];
+    let timeline = null;
+    try {
+        [participants, timeline] = await Promise.all([
+            window.nexus.getMatchParticipants(match.matchId),
+            window.nexus.getTimeline(match.matchId)
+        ]);
+    } catch (err) {
+        console.warn('Could not load match details:', err);
+    }
+
+    // Evaluate badges (fetch full match data if needed)
+    // Keyed per account: the same game has different badges from each of our accounts' view
     let badges = [];
-    if (badgeCache.has(match.matchId)) {
-        badges = badgeCache.get(match.matchId);
+    const badgeKey = `${match.matchId}:${match.puuid}`;
+    if (badgeCache.has(badgeKey)) {
+        badges = badgeCache.get(badgeKey);
     } else {
         try {
-            const fullMatch = await getMatchById(match.matchId);
+            const fullMatch = await window.nexus.getMatchById(match.matchId, match.puuid);
             if (fullMatch) {
-                badges = evaluateBadges(fullMatch);
-                badgeCache.set(match.matchId, badges);
+                badges = evaluateBadges(fullMatch, timeline);
+                badgeCache.set(badgeKey, badges);
             }
         } catch (err) {
             console.warn('Badge evaluation failed:', err);
@@ -1365,68 +2747,61 @@ async function toggleRowExpand(index) {
     }
 
     // Create and insert new expanded row
-    const expandedRow = createExpandedRow(match, index, badges);
+    const expandedRow = createExpandedRow(match, index, badges, participants, timeline);
     clickedRow.insertAdjacentHTML('afterend', expandedRow);
 }
 
-function createExpandedRow(match, index, badges = []) {
-    // Parse rawJson and timelineJson to get all participants with full data
+// participants: the match's match_participants rows; timeline: its stored timeline rows ({ events, frames })
+function createExpandedRow(match, index, badges = [], participants = [], timeline = null) {
+    // Group participants by team, with lane diffs from the timeline frames
     let teamData = { team100: [], team200: [] };
-    let timelineFrames = null;
 
-    if (match.rawJson) {
+    if (participants.length > 0) {
         try {
-            const matchData = typeof match.rawJson === 'string' ? JSON.parse(match.rawJson) : match.rawJson;
-            const participants = matchData.info?.participants || [];
-
-            // Parse timeline for GD@15/XPD@15
-            if (match.timelineJson) {
-                const timeline = typeof match.timelineJson === 'string' ? JSON.parse(match.timelineJson) : match.timelineJson;
-                timelineFrames = timeline?.info?.frames || null;
+            const me = findTrackedParticipant(participants, match);
+
+            // Everyone's frame at 15 minutes (or the last frame of shorter games), by participantId, for GD@15/XPD@15
+            let frame15 = null;
+            if (timeline && timeline.frames.length > 0) {
+                const frameIndex = Math.min(15, timeline.frames[timeline.frames.length - 1].frameIndex);
+                frame15 = {};
+                timeline.frames
+                    .filter(f => f.frameIndex === frameIndex)
+                    .forEach(f => { frame15[f.participantId] = f; });
             }
 
             // Build position map for lane opponent matching
             const positionMap = {};
-            participants.forEach((p, idx) => {
+            participants.forEach(p => {
                 const pos = p.teamPosition || p.lane || '';
                 const key = `${p.teamId}-${pos}`;
-                positionMap[key] = { participantId: p.participantId || (idx + 1), ...p };
+                positionMap[key] = p;
             });
 
-            participants.forEach((p, idx) => {
-                const participantId = p.participantId || (idx + 1);
+            participants.forEach(p => {
+                const participantId = p.participantId;
                 const position = p.teamPosition || p.lane || '';
 
                 // Calculate GD@15 and XPD@15 vs lane opponent
                 let gd15 = null;
                 let xpd15 = null;
 
-                if (timelineFrames && position) {
-                    const frame15 = timelineFrames[15] || timelineFrames[timelineFrames.length - 1];
-                    if (frame15 && frame15.participantFrames) {
-                        const myFrame = frame15.participantFrames[participantId];
-                        // Find opponent with same position on enemy team
-                        const enemyTeamId = p.teamId === 100 ? 200 : 100;
-                        const oppKey = `${enemyTeamId}-${position}`;
-                        const opponent = positionMap[oppKey];
-
-                        if (myFrame && opponent) {
-                            const oppFrame = frame15.participantFrames[opponent.participantId];
-                            if (oppFrame) {
-                                gd15 = (myFrame.totalGold || 0) - (oppFrame.totalGold || 0);
-                                xpd15 = (myFrame.xp || 0) - (oppFrame.xp || 0);
-                            }
+                if (frame15 && position) {
+                    const myFrame = frame15[participantId];
+                    // Find opponent with same position on enemy team
+                    const enemyTeamId = p.teamId === 100 ? 200 : 100;
+                    const oppKey = `${enemyTeamId}-${position}`;
+                    const opponent = positionMap[oppKey];
+
+                    if (myFrame && opponent) {
+                        const oppFrame = frame15[opponent.participantId];
+                        if (oppFrame) {
+                            gd15 = (myFrame.totalGold || 0) - (oppFrame.totalGold || 0);
+                            xpd15 = (myFrame.xp || 0) - (oppFrame.xp || 0);
                         }
                     }
                 }
 
-                // Calculate total pings
-                const totalPings = (p.allInPings || 0) + (p.assistMePings || 0) + (p.basicPings || 0) +
-                    (p.commandPings || 0) + (p.dangerPings || 0) + (p.enemyMissingPings || 0) +
-                    (p.enemyVisionPings || 0) + (p.getBackPings || 0) + (p.holdPings || 0) +
-                    (p.needVisionPings || 0) + (p.onMyWayPings || 0) + (p.pushPings || 0) +
-                    (p.visionClearedPings || 0);
-
                 // Calculate DMG/Gold ratio
                 const dmgGoldRatio = p.goldEarned > 0 ? (p.totalDamageDealtToChampions / p.goldEarned).toFixed(2) : '0.00';
 
@@ -1439,18 +2814,18 @@ function createExpandedRow(match, index, badges = []) {
                     cs: (p.totalMinionsKilled || 0) + (p.neutralMinionsKilled || 0),
                     level: p.champLevel,
                     items: [p.item0, p.item1, p.item2, p.item3, p.item4, p.item5, p.item6],
-                    primaryRune: p.perks?.styles?.[0]?.selections?.[0]?.perk || null,
-                    secondaryRuneStyle: p.perks?.styles?.[1]?.style || null,
+                    primaryRune: p.primaryRune,
+                    secondaryRuneStyle: p.secondaryRuneStyle,
                     summoner1Id: p.summoner1Id,
                     summoner2Id: p.summoner2Id,
                     damage: p.totalDamageDealtToChampions || 0,
                     goldDiff15: gd15,
                     xpDiff15: xpd15,
                     dmgGoldRatio: dmgGoldRatio,
-                    totalPings: totalPings,
+                    totalPings: p.totalPings || 0,
                     controlWardsBought: p.visionWardsBoughtInGame || 0,
                     towerDamage: p.damageDealtToTurrets || 0,
-                    isCurrentPlayer: p.championName === match.championName && p.teamId === match.teamId
+                    isCurrentPlayer: p === me
                 };
 
                 if (p.teamId === 100) {
@@ -1489,14 +2864,14 @@ function createExpandedRow(match, index, badges = []) {
         // Split items into 2 rows (3+4)
         const itemsTop = player.items.slice(0, 3).map(itemId => {
             if (itemId && itemId > 0) {
-                return `<img src="${DDRAGON_BASE}/img/item/${itemId}.png" class="team-item-sm" data-item-id="${itemId}" alt="Item">`;
+                return `<img src="${getDDragonBase(match.gameVersion)}/img/item/${itemId}.png" class="team-item-sm" data-item-id="${itemId}" alt="Item">`;
             }
             return `<div class="team-item-empty-sm"></div>`;
         }).join('');
 
         const itemsBottom = player.items.slice(3, 7).map(itemId => {
             if (itemId && itemId > 0) {
-                return `<img src="${DDRAGON_BASE}/img/item/${itemId}.png" class="team-item-sm" data-item-id="${itemId}" alt="Item">`;
+                return `<img src="${getDDragonBase(match.gameVersion)}/img/item/${itemId}.png" class="team-item-sm" data-item-id="${itemId}" alt="Item">`;
             }
             return `<div class="team-item-empty-sm"></div>`;
         }).join('');
@@ -1507,19 +2882,19 @@ function createExpandedRow(match, index, badges = []) {
 
         const runesHTML = `
             <div class="team-runes-sm">
-                ${primaryRunePath ? `<img src="https://ddragon.leagueoflegends.com/cdn/img/perk-images/Styles/${primaryRunePath}" class="team-rune-sm" data-rune-id="${player.primaryRune}" alt="Primary">` : '<div class="team-rune-empty-sm"></div>'}
-                ${secondaryRunePath ? `<img src="https://ddragon.leagueoflegends.com/cdn/img/perk-images/Styles/${secondaryRunePath}" class="team-rune-sm team-rune-secondary-sm" data-rune-id="${player.secondaryRuneStyle}" alt="Secondary">` : '<div class="team-rune-empty-sm"></div>'}
+                ${primaryRunePath ? `<img src="${DDRAGON_IMG_BASE}/perk-images/Styles/${primaryRunePath}" class="team-rune-sm" data-rune-id="${player.primaryRune}" alt="Primary">` : '<div class="team-rune-empty-sm"></div>'}
+                ${secondaryRunePath ? `<img src="${DDRAGON_IMG_BASE}/perk-images/Styles/${secondaryRunePath}" class="team-rune-sm team-rune-secondary-sm" data-rune-id="${player.secondaryRuneStyle}" alt="Secondary">` : '<div class="team-rune-empty-sm"></div>'}
             </div>
         `;
 
         // Summoner Spells
-        const spell1Img = player.summoner1Id ? getSummonerSpellImageName(player.summoner1Id) : null;
-        const spell2Img = player.summoner2Id ? getSummonerSpellImageName(player.summoner2Id) : null;
+        const spell1Img = player.summoner1Id ? getSummonerSpellImageName(player.summoner1Id, match.gameVersion) : null;
+        const spell2Img = player.summoner2Id ? getSummonerSpellImageName(player.summoner2Id, match.gameVersion) : null;
 
         const spellsHTML = `
             <div class="team-spells-sm">
-                ${spell1Img ? `<img src="${DDRAGON_BASE}/img/spell/${spell1Img}" class="team-spell-sm" data-spell-id="${player.summoner1Id}" alt="Spell 1">` : '<div class="team-spell-empty-sm"></div>'}
-                ${spell2Img ? `<img src="${DDRAGON_BASE}/img/spell/${spell2Img}" class="team-spell-sm" data-spell-id="${player.summoner2Id}" alt="Spell 2">` : '<div class="team-spell-empty-sm"></div>'}
+                ${spell1Img ? `<img src="${getDDragonBase(match.gameVersion)}/img/spell/${spell1Img}" class="team-spell-sm" data-spell-id="${player.summoner1Id}" alt="Spell 1">` : '<div class="team-spell-empty-sm"></div>'}
+                ${spell2Img ? `<img src="${getDDragonBase(match.gameVersion)}/img/spell/${spell2Img}" class="team-spell-sm" data-spell-id="${player.summoner2Id}" alt="Spell 2">` : '<div class="team-spell-empty-sm"></div>'}
             </div>
         `;
 
@@ -1603,7 +2978,7 @@ function createExpandedRow(match, index, badges = []) {
     `;
 
     return `
-        <tr class="expanded-row" data-match-index="${index}">
+        <tr class="expanded-row" data-match-index="${index}" data-game-version="${match.gameVersion || ''}">
             <td colspan="100%">
                 <div class="expanded-content-vertical">
                     ${badgesHTML}
@@ -1708,22 +3083,95 @@ function hideProgress() {
     fill.style.width = '0%';
 }
 
-window.handleSync = async function () {
-    const name = document.getElementById('gameName').value.trim();
-    const tag = document.getElementById('tagLine').value.trim();
+// Syncs run in the main process (shared with the auto-sync scheduler). The renderer starts and
+// stops them over IPC and follows their progress events. Pause/Cancel both stop the sync; matches
+// already fetched stay saved and the rest stays queued. Pause leaves the job to be resumed, Cancel
+// ends it, and the next sync starts a new job that still fetches the queued matches.
+let syncInProgress = false;
+let syncIsAuto = false;
+let syncStopMode = null; // 'pause' | 'cancel'
+
+function setSyncControlsEnabled(enabled) {
+    document.getElementById('syncPauseBtn').disabled = !enabled;
+    document.getElementById('syncCancelBtn').disabled = !enabled;
+}
+
+function beginSyncUi(auto) {
+    syncInProgress = true;
+    syncIsAuto = auto;
+    syncStopMode = null;
+    setButtonLoading(true);
+    setSyncControlsEnabled(true);
+}
+
+function endSyncUi() {
+    syncInProgress = false;
+    hideProgress();
+    // Only reset button if cooldown hasn't taken over
+    if (!syncCooldownInterval) {
+        setButtonLoading(false);
+        if (syncStopMode === 'pause') {
+            document.querySelector('#syncBtn .btn-text').textContent = 'Resume Sync';
+        }
+    }
+}
+
+function stopSync(mode) {
+    if (!syncInProgress || syncStopMode) return;
+    syncStopMode = mode;
+    setSyncControlsEnabled(false);
+    updateStatus('loading', mode === 'pause' ? 'Pausing Sync' : 'Cancelling Sync', 'Finishing the current request...');
+    window.nexus.stopSync(mode);
+}
+
+window.pauseSync = function () {
+    stopSync('pause');
+};
 
+window.cancelSync = function () {
+    stopSync('cancel');
+};
+
+// Progress events from the main process (see syncRunner.runSync). Background syncs only move the progress bar.
+function showSyncProgress({ stage, current, total, account }) {
+    if (total > 0) updateProgress(current, total);
+    if (syncIsAuto) return;
+
+    if (stage === 'lookup') {
+        updateStatus('loading', 'Finding Account', `Looking up ${account}...`);
+    } else if (stage === 'matches' && total === 0) {
+        updateStatus('loading', 'Syncing Matches', `Fetching match history for ${account}...`);
+    } else if (stage === 'timelines') {
+        updateStatus('loading', 'Fetching Timelines', `${current}/${total} match timelines...`);
+    } else if (stage === 'stats') {
+        updateStatus('loading', 'Computing Advanced Stats', `${current}/${total} matches...`);
+    } else if (stage === 'ranks') {
+        updateStatus('loading', 'Fetching Player Ranks', `${current}/${total} players...`);
+    }
+}
+
+async function showStoppedSync(summary) {
+    await loadMatchHistory(true);
+
+    const saved = summary ? summary.newMatches : 0;
+    if (syncStopMode === 'pause') {
+        updateStatus('info', 'Sync Paused', `${saved} new matches saved. Press Resume Sync to continue.`);
+    } else {
+        updateStatus('info', 'Sync Cancelled', `${saved} new matches saved. Matches not fetched yet are picked up by the next sync.`);
+    }
+}
+
+window.handleSync = async function () {
     console.log('=== handleSync DEBUG ===');
-    console.log('Raw name from input:', JSON.stringify(name));
-    console.log('Raw tag from input:', JSON.stringify(tag));
-    console.log('Name length:', name.length, 'Tag length:', tag.length);
 
     // Check config
-    const config = loadConfig();
-    console.log('Config loaded:', JSON.stringify(config, null, 2));
-    console.log('Config API key present:', config.apiKey ? 'YES (length: ' + config.apiKey.length + ')' : 'NO');
+    const config = appConfig;
+    console.log('Config API key present:', config.hasApiKey ? 'YES' : 'NO');
 
-    if (!name || !tag) {
-        updateStatus('error', 'Missing Information', 'Please enter both your game name and tag');
+    // The selected account, or every account in the combined view
+    const accounts = getActiveAccounts(config);
+    if (accounts.length === 0) {
+        updateStatus('error', 'Missing Information', 'Add a Riot account in Settings first');
         return;
     }
 
@@ -1733,98 +3181,114 @@ window.handleSync = async function () {
         return;
     }
 
-    setButtonLoading(true);
+    // Already syncing (e.g. Enter pressed while a sync or auto-sync runs)
+    if (syncInProgress) return;
 
-    try {
-        updateStatus('loading', 'Finding Account', `Looking up ${name}#${tag}...`);
-        const puuid = await getPuuidByRiotId(name, tag);
+    beginSyncUi(false);
 
+    try {
         // Fetch rank data FIRST before heavy API usage to avoid rate limit issues
         await fetchAndDisplayRankData();
+        if (syncStopMode) return await showStoppedSync(null);
+
+        const response = await window.nexus.sync(accounts.map(a => a.id));
+        if (!response.ok) {
+            const error = response.error;
+            let errorMessage = error.message;
+            if (error.code === 'SYNC_IN_PROGRESS') {
+                errorMessage = 'An automatic sync is running. Please wait for it to finish';
+            } else if (error.status === 403) {
+                errorMessage = 'Invalid or expired API key';
+            } else if (error.status === 404) {
+                errorMessage = 'Player not found. Check your Riot ID';
+            } else if (error.status === 429) {
+                errorMessage = 'Rate limited. Please wait a moment';
+            }
+            updateStatus('error', 'Sync Failed', errorMessage);
+            return;
+        }
 
-        updateStatus('loading', 'Syncing Matches', 'Fetching your recent match history...');
-        const result = await syncMatches(puuid, (current, total) => {
-            updateProgress(current, total);
-        });
-
-        hideProgress();
-
-        // Backfill timeline data for any matches missing it
-        const backfillResult = await backfillTimelines((current, total) => {
-            updateStatus('loading', 'Fetching Timelines', `${current}/${total} match timelines...`);
-            updateProgress(current, total);
-        });
+        const summary = response.summary;
         hideProgress();
-
-        // Backfill advanced stats for matches that have timeline data but no computed stats
-        const advancedResult = await backfillAdvancedStats((current, total) => {
-            updateStatus('loading', 'Computing Advanced Stats', `${current}/${total} matches...`);
-            updateProgress(current, total);
-        });
-        hideProgress();
-
-        // Fetch player ranks for newly synced matches only
-        let rankMsg = '';
-        if (result.newMatchIds && result.newMatchIds.length > 0) {
-            const rankResult = await fetchRanksForNewMatches(result.newMatchIds, (current, total) => {
-                updateStatus('loading', 'Fetching Player Ranks', `${current}/${total} players...`);
-                updateProgress(current, total);
-            });
-            hideProgress();
-            rankMsg = rankResult.total > 0 ? `, ${rankResult.fetched} player ranks fetched` : '';
-        }
+        if (summary.stopped) return await showStoppedSync(summary);
 
         // Reload match history to show new matches (skip rank fetch - already done above)
         await loadMatchHistory(true);
 
         // Show sync complete message
-        const advancedMsg = advancedResult.total > 0 ? `, ${advancedResult.updated} stats computed` : '';
-        const timelineMsg = backfillResult.total > 0 ? `, ${backfillResult.updated} timelines added` : '';
-        updateStatus('success', 'Sync Complete', `${result.newMatches} new matches added${timelineMsg}${advancedMsg}${rankMsg}`);
+        const advancedMsg = summary.statsComputed > 0 ? `, ${summary.statsComputed} stats computed` : '';
+        const timelineMsg = summary.timelinesAdded > 0 ? `, ${summary.timelinesAdded} timelines added` : '';
+        const rankMsg = summary.ranksFetched > 0 ? `, ${summary.ranksFetched} player ranks fetched` : '';
+        const failedMsg = summary.failed > 0 ? `, ${summary.failed} failed (will retry next sync)` : '';
+        const syncTitle = summary.resumed ? 'Sync Complete (resumed)' : 'Sync Complete';
+        updateStatus('success', syncTitle, `${summary.newMatches} new matches added${failedMsg}${timelineMsg}${advancedMsg}${rankMsg}`);
 
         // Start cooldown timer
         startSyncCooldown();
 
     } catch (err) {
         console.error(err);
-        hideProgress();
+        updateStatus('error', 'Sync Failed', err.message);
+    } finally {
+        endSyncUi();
+    }
+}
 
-        let errorMessage = err.message;
-        if (err.response?.status === 403) {
-            errorMessage = 'Invalid or expired API key';
-        } else if (err.response?.status === 404) {
-            errorMessage = 'Player not found. Check your Riot ID';
-        } else if (err.response?.status === 429) {
-            errorMessage = 'Rate limited. Please wait a moment';
-        }
+// Background syncs started by the main process scheduler
+window.nexus.onSyncStarted(({ auto }) => {
+    if (auto) beginSyncUi(true);
+});
 
-        updateStatus('error', 'Sync Failed', errorMessage);
-    } finally {
-        // Only reset button if cooldown hasn't taken over
-        if (!syncCooldownInterval) {
-            setButtonLoading(false);
-        }
+window.nexus.onSyncProgress(progress => {
+    showSyncProgress(progress);
+});
+
+window.nexus.onSyncCompleted(async ({ auto, summary }) => {
+    if (!auto) return;
+    endSyncUi();
+    if (summary.stopped) {
+        await showStoppedSync(summary);
+    } else if (summary.newMatches > 0) {
+        await loadMatchHistory(true);
+        showToast('Auto-Sync', `${summary.newMatches} new matches`);
     }
+});
+
+window.nexus.onSyncFailed(({ auto, error }) => {
+    if (!auto) return;
+    endSyncUi();
+    console.warn('Auto-sync failed:', error.message);
+});
+
+// Average lobby rank and team differential of a match for the modal header ('' without cached ranks)
+function renderLobbyInfo(match) {
+    const lobby = getMatchLobby(match);
+    if (!lobby || lobby.lobbyLP === null) return '';
+    const diff = lobby.lpDiff !== null ? `, your team ${formatSignedValue(lobby.lpDiff)} LP` : '';
+    const title = `Average of ${lobby.rankedPlayers} cached ranks - as fetched, not at the time of the game`;
+    return ` · <span title="${title}">Lobby ~${formatTotalLP(lobby.lobbyLP)}${diff}</span>`;
 }
 
 // Modal functions for match details
 async function openMatchModal(index) {
     const match = matchesData[index];
     if (!match) return;
+    await showMatchModal(match);
+}
 
+// Match modal of a list row (see matchService.getMatches)
+async function showMatchModal(match) {
     const modal = document.getElementById('matchModal');
     const modalHeader = document.getElementById('modalHeader');
     const modalBody = document.getElementById('modalBody');
 
-    // Fetch full match data including rawJson
-    const fullMatch = await getMatchById(match.matchId);
-    if (!fullMatch || !fullMatch.rawJson) {
-        console.error('Could not load full match data');
+    // All ten players of the match
+    const participants = await window.nexus.getMatchParticipants(match.matchId);
+    if (participants.length === 0) {
+        console.error('Could not load match participants');
         return;
     }
-
-    const matchData = JSON.parse(fullMatch.rawJson);
-    const info = matchData.info;
+    const me = findTrackedParticipant(participants, match);
 
     const isWin = match.win === 1;
     const queueName = QUEUE_NAMES[match.queueId] || 'Game';
@@ -1838,7 +3302,7 @@ async function openMatchModal(index) {
                 </div>
                 <div class="modal-title-group">
                     <div class="modal-champion-name">${match.championName || 'Unknown'}</div>
-                    <div class="modal-match-info">${queueName} · ${formatDuration(match.gameDuration)} · ${timeAgo(match.gameCreation)}</div>
+                    <div class="modal-match-info">${queueName} · ${formatDuration(match.gameDuration)} · ${timeAgo(match.gameCreation)}${renderLobbyInfo(match)}</div>
                 </div>
                 <div class="modal-result-badge ${isWin ? 'win' : 'loss'}">
                     ${isWin ? 'Victory' : 'Defeat'}
@@ -1846,18 +3310,18 @@ async function openMatchModal(index) {
             `;
 
     // Separate teams
-    const myTeam = info.participants.filter(p => p.teamId === match.teamId);
-    const enemyTeam = info.participants.filter(p => p.teamId !== match.teamId);
+    const myTeam = participants.filter(p => p.teamId === match.teamId);
+    const enemyTeam = participants.filter(p => p.teamId !== match.teamId);
 
     // Fetch cached rank data for all participants
-    const participantRanks = await getMatchParticipantRanks(match.matchId);
+    const participantRanks = await window.nexus.getMatchParticipantRanks(match.matchId);
 
     // Render team composition
     function renderTeam(team, isMyTeam, rankMap) {
         const teamWin = team[0].win;
         const MASTER_PLUS = ['MASTER', 'GRANDMASTER', 'CHALLENGER'];
         return team.map(player => {
-            const isMe = player.puuid === info.participants.find(p => p.championName === match.championName && p.teamId === match.teamId)?.puuid;
+            const isMe = player === me;
             const role = player.teamPosition || player.lane || '?';
             const playerChampIcon = getChampionIcon(player.championName);
 
@@ -1880,7 +3344,7 @@ async function openMatchModal(index) {
             const items = [player.item0, player.item1, player.item2, player.item3, player.item4, player.item5, player.item6];
             const playerItems = items.map(itemId => {
                 if (itemId && itemId > 0) {
-                    return `<div class="item-slot-small has-item"><img src="${DDRAGON_BASE}/img/item/${itemId}.png" alt="Item" onerror="this.style.display='none'"></div>`;
+                    return `<div class="item-slot-small has-item"><img src="${getDDragonBase(match.gameVersion)}/img/item/${itemId}.png" alt="Item" onerror="this.style.display='none'"></div>`;
                 }
                 return `<div class="item-slot-small"></div>`;
             }).join('');
@@ -2036,7 +3500,7 @@ function renderModalItems(match) {
     const items = [match.item0, match.item1, match.item2, match.item3, match.item4, match.item5, match.item6];
     return items.map(itemId => {
         if (itemId && itemId > 0) {
-            return `<div class="modal-item"><img src="${DDRAGON_BASE}/img/item/${itemId}.png" alt="Item" onerror="this.parentElement.style.display='none'"></div>`;
+            return `<div class="modal-item"><img src="${getDDragonBase(match.gameVersion)}/img/item/${itemId}.png" alt="Item" onerror="this.parentElement.style.display='none'"></div>`;
         }
         return '';
     }).join('');
@@ -2073,13 +3537,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.body.style.backgroundSize = 'cover';
 
     // Check config on startup - show setup modal if needed
+    appConfig = await window.nexus.getConfig();
     const configValid = checkConfigOnStartup();
 
-    // Load Data Dragon assets (auto-fetches latest version)
+    // Load Data Dragon assets (the main process loads the latest version, or the cached one when offline)
     try {
         console.log('Loading game data...');
-        await loadGameData();
+        setGameData(await window.nexus.getGameData());
         DDRAGON_BASE = getDDragonBase();
+        DDRAGON_IMG_BASE = getDDragonImageBase();
         console.log('Game data loaded successfully');
     } catch (err) {
         console.warn('Failed to load game data, tooltips will not work:', err);
@@ -2088,6 +3554,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Initialize tooltips
     initTooltips();
 
+    // Load older matches as the list is scrolled
+    document.getElementById('matchList').addEventListener('scroll', fillMatchList);
+
     // Only load match history if config is valid
     if (configValid) {
         await loadMatchHistory();
@@ -0,0 +1,471 @@
+// Aggregated views over the stored matches for the analysis tabs of the match history.
+// Every view takes the same filter: { puuids, queueIds, championName } - the accounts shown, the queues
+// that pass the game mode filter and optionally the champion played (see getAnalysisFilter in renderer.js).
+// getLobbyStrength covers every match of the accounts instead, since the match list filters by it.
+const { dbAll } = require('./database');
+const { loadGameData } = require('./dataDragon');
+const { toTotalLP } = require('../shared/ranks');
+
+// Recent form: the last games on a champion against its overall win rate
+const RECENT_FORM_GAMES = 5;
+const TREND_THRESHOLD_PP = 10;
+
+// Matchups: lane diffs at these minutes, and the laning phase (for solo kills and lane deaths) ends at 14:00
+const LANE_DIFF_MINUTES = [10, 15];
+const LANING_PHASE_END_MS = 14 * 60 * 1000;
+
+// Teammates and opponents: players met in at least this many games
+const RECURRING_MIN_GAMES = 2;
+
+// Lobby strength: a team average needs this many ranked players, and teams within this many LP
+// of each other (one division) count as even
+const LOBBY_MIN_RANKED_PER_TEAM = 2;
+const EVEN_LOBBY_LP = 100;
+const FLEX_QUEUE_ID = 440;
+
+// WHERE clause for an analysis filter on matches (table alias: prefix for joined queries).
+// puuids/queueIds/championName null = no restriction.
+function analysisFilter({ puuids = null, queueIds = null, championName = null } = {}, alias = '') {
+    const column = name => (alias ? `${alias}.${name}` : name);
+    // Rows without an identifiable owner (puuid '') aren't shown anywhere
+    const conditions = [`${column('puuid')} != ''`];
+    const params = [];
+    if (puuids) {
+        conditions.push(puuids.length ? `${column('puuid')} IN (${puuids.map(() => '?').join(', ')})` : '0');
+        params.push(...puuids);
+    }
+    if (queueIds) {
+        conditions.push(queueIds.length ? `${column('queueId')} IN (${queueIds.map(() => '?').join(', ')})` : '0');
+        params.push(...queueIds);
+    }
+    if (championName) {
+        conditions.push(`${column('championName')} = ?`);
+        params.push(championName);
+    }
+    return { where: `WHERE ${conditions.join(' AND ')}`, params };
+}
+
+function average(values) {
+    const present = values.filter(v => v !== null && v !== undefined);
+    return present.length > 0 ? present.reduce((sum, v) => sum + v, 0) / present.length : null;
+}
+
+function round(value, decimals = 0) {
+    if (value === null || value === undefined) return null;
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+// The most frequent values with their counts: [{ value, count }], most frequent first
+function mostCommon(values, limit) {
+    const counts = new Map();
+    values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([value, count]) => ({ value, count }));
+}
+
+// IDs of the items that finish a build path - no upgrades, and expensive enough to be a core item
+// (leaves out boots, wards and consumables). null when the item data isn't available.
+async function getCompletedItemIds() {
+    try {
+        const { items } = await loadGameData();
+        return new Set(Object.entries(items)
+            .filter(([, item]) => !(item.into && item.into.length) && item.gold && item.gold.purchasable && item.gold.total >= 2000)
+            .map(([id]) => Number(id)));
+    } catch (err) {
+        return null;
+    }
+}
+
+// One row per champion played: games, win rate, KDA, CS/min, damage/min, KP, lane diffs at 15,
+// the most common core items and keystone, and recent form. Sorted by games played.
+async function getChampionPool(filter) {
+    const { where, params } = analysisFilter(filter);
+    const rows = await dbAll(
+        `SELECT championName, win, kills, deaths, assists, gameDuration, totalMinionsKilled,
+                totalDamageDealtToChampions, teamKills, csDiff15, goldDiff15, primaryRune,
+                item0, item1, item2, item3, item4, item5
+         FROM matches ${where} ORDER BY gameCreation DESC`,
+        params
+    );
+    const completedItems = await getCompletedItemIds();
+
+    const byChampion = new Map();
+    for (const row of rows) {
+        if (!row.championName) continue;
+        if (!byChampion.has(row.championName)) byChampion.set(row.championName, []);
+        byChampion.get(row.championName).push(row);
+    }
+
+    return [...byChampion.entries()].map(([championName, games]) => {
+        const wins = games.filter(g => g.win === 1).length;
+        const sum = key => games.reduce((total, g) => total + (g[key] || 0), 0);
+        const minutes = games.reduce((total, g) => total + (g.gameDuration || 0) / 60, 0);
+        const winRate = Math.round((wins / games.length) * 100);
+
+        const items = games.flatMap(g => [g.item0, g.item1, g.item2, g.item3, g.item4, g.item5])
+            .filter(id => id > 0 && (!completedItems || completedItems.has(id)));
+
+        // games are newest first
+        const recent = games.slice(0, RECENT_FORM_GAMES);
+        const recentWinRate = Math.round((recent.filter(g => g.win === 1).length / recent.length) * 100);
+        let trend = 'flat';
+        if (games.length > recent.length) {
+            if (recentWinRate - winRate >= TREND_THRESHOLD_PP) trend = 'up';
+            else if (winRate - recentWinRate >= TREND_THRESHOLD_PP) trend = 'down';
+        }
+
+        return {
+            championName,
+            games: games.length,
+            wins,
+            winRate,
+            kda: round((sum('kills') + sum('assists')) / Math.max(1, sum('deaths')), 2),
+            csPerMin: minutes > 0 ? round(sum('totalMinionsKilled') / minutes, 1) : null,
+            damagePerMin: minutes > 0 ? Math.round(sum('totalDamageDealtToChampions') / minutes) : null,
+            kp: round(average(games.filter(g => g.teamKills > 0).map(g => ((g.kills + g.assists) / g.teamKills) * 100))),
+            avgCsDiff15: round(average(games.map(g => g.csDiff15)), 1),
+            avgGoldDiff15: round(average(games.map(g => g.goldDiff15))),
+            build: mostCommon(items, 3).map(({ value, count }) => ({ itemId: value, count })),
+            keystone: mostCommon(games.map(g => g.primaryRune), 1).map(({ value, count }) => ({ runeId: value, count }))[0] || null,
+            recentGames: recent.length,
+            recentWinRate,
+            trend
+        };
+    }).sort((a, b) => b.games - a.games);
+}
+
+// Lane diffs of a game at each of LANE_DIFF_MINUTES: { 10: { cs, gold, xp }, 15: ... } (missing minutes left out)
+function laneDiffs(frames, myId, opponentId) {
+    const diffs = {};
+    for (const minute of LANE_DIFF_MINUTES) {
+        const mine = frames.get(`${minute}:${myId}`);
+        const theirs = frames.get(`${minute}:${opponentId}`);
+        if (!mine || !theirs) continue;
+        diffs[minute] = {
+            cs: (mine.minionsKilled + mine.jungleMinionsKilled) - (theirs.minionsKilled + theirs.jungleMinionsKilled),
+            gold: mine.totalGold - theirs.totalGold,
+            xp: mine.xp - theirs.xp
+        };
+    }
+    return diffs;
+}
+
+// One row per (champion played, lane opponent's champion): games, win rate, CS/gold/XP diffs at 10 and 15,
+// first blood rate, solo kills on the opponent and deaths during the laning phase, and the core items
+// and keystones of the won games. The opponent is the enemy with the same teamPosition (as in
+// computeAdvancedStatsForMatch); games without one (ARAM, Arena) are left out. Diffs and lane kills
+// need the timeline, so they cover the timelineGames only. Sorted by games played.
+async function getMatchups(filter) {
+    const { where, params } = analysisFilter(filter, 'm');
+    const games = await dbAll(
+        `SELECT m.matchId, m.participantId, m.championName, m.win, m.firstBlood, m.primaryRune,
+                m.item0, m.item1, m.item2, m.item3, m.item4, m.item5,
+                opp.participantId AS opponentId, opp.championName AS opponentChampion
+         FROM matches m
+         JOIN match_participants opp
+           ON opp.matchId = m.matchId AND opp.teamId != m.teamId AND opp.teamPosition = m.teamPosition
+         ${where} AND m.teamPosition != '' AND m.participantId IS NOT NULL
+         GROUP BY m.matchId, m.puuid`,
+        params
+    );
+    if (games.length === 0) return [];
+
+    const matchIds = `SELECT m.matchId FROM matches m ${where}`;
+    const frameRows = await dbAll(
+        `SELECT matchId, participantId, frameIndex, minionsKilled, jungleMinionsKilled, totalGold, xp
+         FROM timeline_frames
+         WHERE frameIndex IN (${LANE_DIFF_MINUTES.join(', ')}) AND matchId IN (${matchIds})`,
+        params
+    );
+    const killRows = await dbAll(
+        `SELECT matchId, killerId, victimId, assistingParticipantIds
+         FROM timeline_events
+         WHERE type = 'CHAMPION_KILL' AND timestamp < ? AND matchId IN (${matchIds})`,
+        [LANING_PHASE_END_MS, ...params]
+    );
+    const timelineMatches = new Set(
+        (await dbAll(`SELECT DISTINCT matchId FROM timeline_frames WHERE matchId IN (${matchIds})`, params)).map(row => row.matchId)
+    );
+
+    const framesByMatch = new Map();
+    for (const row of frameRows) {
+        if (!framesByMatch.has(row.matchId)) framesByMatch.set(row.matchId, new Map());
+        framesByMatch.get(row.matchId).set(`${row.frameIndex}:${row.participantId}`, {
+            minionsKilled: row.minionsKilled || 0,
+            jungleMinionsKilled: row.jungleMinionsKilled || 0,
+            totalGold: row.totalGold || 0,
+            xp: row.xp || 0
+        });
+    }
+    const killsByMatch = new Map();
+    for (const row of killRows) {
+        if (!killsByMatch.has(row.matchId)) killsByMatch.set(row.matchId, []);
+        killsByMatch.get(row.matchId).push(row);
+    }
+
+    const completedItems = await getCompletedItemIds();
+    const matchups = new Map();
+    for (const game of games) {
+        const key = `${game.championName}|${game.opponentChampion}`;
+        if (!matchups.has(key)) matchups.set(key, { championName: game.championName, opponentChampion: game.opponentChampion, games: [] });
+
+        const hasTimeline = timelineMatches.has(game.matchId);
+        const kills = killsByMatch.get(game.matchId) || [];
+        const isSolo = kill => !kill.assistingParticipantIds || JSON.parse(kill.assistingParticipantIds).length === 0;
+        matchups.get(key).games.push({
+            ...game,
+            hasTimeline,
+            diffs: laneDiffs(framesByMatch.get(game.matchId) || new Map(), game.participantId, game.opponentId),
+            soloKills: kills.filter(k => k.killerId === game.participantId && k.victimId === game.opponentId && isSolo(k)).length,
+            laneDeaths: kills.filter(k => k.victimId === game.participantId).length
+        });
+    }
+
+    return [...matchups.values()].map(({ championName, opponentChampion, games: played }) => {
+        const wins = played.filter(g => g.win === 1);
+        const withTimeline = played.filter(g => g.hasTimeline);
+        const diffAverage = (minute, stat) => {
+            const value = average(played.map(g => (g.diffs[minute] ? g.diffs[minute][stat] : null)));
+            return stat === 'cs' ? round(value, 1) : round(value);
+        };
+
+        // Keystones by wins, then by win rate
+        const keystones = new Map();
+        for (const g of played.filter(g => g.primaryRune)) {
+            const entry = keystones.get(g.primaryRune) || { runeId: g.primaryRune, games: 0, wins: 0 };
+            entry.games++;
+            if (g.win === 1) entry.wins++;
+            keystones.set(g.primaryRune, entry);
+        }
+        const winningKeystones = [...keystones.values()]
+            .filter(k => k.wins > 0)
+            .sort((a, b) => b.wins - a.wins || (b.wins / b.games) - (a.wins / a.games))
+            .slice(0, 2);
+
+        const winningItems = wins.flatMap(g => [g.item0, g.item1, g.item2, g.item3, g.item4, g.item5])
+            .filter(id => id > 0 && (!completedItems || completedItems.has(id)));
+
+        return {
+            championName,
+            opponentChampion,
+            games: played.length,
+            wins: wins.length,
+            winRate: Math.round((wins.length / played.length) * 100),
+            avgCsDiff10: diffAverage(10, 'cs'),
+            avgGoldDiff10: diffAverage(10, 'gold'),
+            avgXpDiff10: diffAverage(10, 'xp'),
+            avgCsDiff15: diffAverage(15, 'cs'),
+            avgGoldDiff15: diffAverage(15, 'gold'),
+            avgXpDiff15: diffAverage(15, 'xp'),
+            firstBloodRate: Math.round((played.filter(g => g.firstBlood === 1).length / played.length) * 100),
+            timelineGames: withTimeline.length,
+            soloKills: withTimeline.reduce((sum, g) => sum + g.soloKills, 0),
+            laneDeaths: withTimeline.reduce((sum, g) => sum + g.laneDeaths, 0),
+            winningItems: mostCommon(winningItems, 3).map(({ value, count }) => ({ itemId: value, count })),
+            winningKeystones
+        };
+    }).sort((a, b) => b.games - a.games);
+}
+
+function playerName(row) {
+    if (row.riotIdGameName) return `${row.riotIdGameName}#${row.riotIdTagline || ''}`;
+    return row.summonerName || 'Unknown';
+}
+
+// Players who recur in our matches, from match_participants:
+//   teammates: games together, win rate together and without them, combined KP (the share of the
+//              team's kills either of us took part in - needs the timeline, so over timelineGames only)
+//              and role pairings ({ myRole, theirRole, games, wins })
+//   opponents: games against them, our win rate, and the champions they played
+// Both list the shared games as keys ({ matchId, puuid }), newest first, and are sorted by games.
+// Returns { teammates, opponents }.
+async function getRecurringPlayers(filter) {
+    const { where, params } = analysisFilter(filter, 'm');
+    const games = await dbAll(
+        `SELECT m.matchId, m.puuid, m.participantId, m.teamId, m.win, m.teamPosition
+         FROM matches m ${where} ORDER BY m.gameCreation DESC`,
+        params
+    );
+    if (games.length === 0) return { teammates: [], opponents: [] };
+
+    const matchIds = `SELECT m.matchId FROM matches m ${where}`;
+    const participantRows = await dbAll(
+        `SELECT matchId, participantId, puuid, riotIdGameName, riotIdTagline, summonerName, teamId, teamPosition, championName
+         FROM match_participants
+         WHERE matchId IN (${matchIds})`,
+        params
+    );
+    const participantsByMatch = new Map();
+    for (const row of participantRows) {
+        if (!participantsByMatch.has(row.matchId)) participantsByMatch.set(row.matchId, []);
+        participantsByMatch.get(row.matchId).push(row);
+    }
+
+    // Per player: their games with us, newest first (games are newest first)
+    const teammates = new Map();
+    const opponents = new Map();
+    for (const game of games) {
+        for (const player of participantsByMatch.get(game.matchId) || []) {
+            // Bots and players without a puuid can't be recognised across games
+            if (!player.puuid || player.puuid === 'BOT' || player.puuid === game.puuid) continue;
+            const players = player.teamId === game.teamId ? teammates : opponents;
+            if (!players.has(player.puuid)) players.set(player.puuid, { puuid: player.puuid, name: playerName(player), games: [] });
+            const met = players.get(player.puuid).games;
+            // A game two of our accounts played counts once
+            if (met.length > 0 && met[met.length - 1].game.matchId === game.matchId) continue;
+            met.push({ game, player });
+        }
+    }
+    const recurring = players => [...players.values()].filter(p => p.games.length >= RECURRING_MIN_GAMES);
+    const recurringTeammates = recurring(teammates);
+    const recurringOpponents = recurring(opponents);
+
+    // Kills of the games shared with recurring teammates, for combined KP
+    const sharedMatchIds = [...new Set(recurringTeammates.flatMap(t => t.games.map(({ game }) => game.matchId)))];
+    const killsByMatch = new Map();
+    for (let i = 0; i < sharedMatchIds.length; i += 500) {
+        const chunk = sharedMatchIds.slice(i, i + 500);
+        const rows = await dbAll(
+            `SELECT matchId, killerId, assistingParticipantIds FROM timeline_events
+             WHERE type = 'CHAMPION_KILL' AND matchId IN (${chunk.map(() => '?').join(', ')})`,
+            chunk
+        );
+        for (const row of rows) {
+            if (!killsByMatch.has(row.matchId)) killsByMatch.set(row.matchId, []);
+            killsByMatch.get(row.matchId).push({
+                killerId: row.killerId,
+                involved: [row.killerId, ...(row.assistingParticipantIds ? JSON.parse(row.assistingParticipantIds) : [])]
+            });
+        }
+    }
+    // Participant ids of a team (the timeline uses the same ids)
+    const teamParticipantIds = (matchId, teamId) => new Set((participantsByMatch.get(matchId) || [])
+        .filter(p => p.teamId === teamId).map(p => p.participantId));
+
+    const totalGames = games.length;
+    const totalWins = games.filter(g => g.win === 1).length;
+    const keys = shared => shared.map(({ game }) => ({ matchId: game.matchId, puuid: game.puuid }));
+
+    return {
+        teammates: recurringTeammates.map(({ puuid, name, games: shared }) => {
+            const wins = shared.filter(({ game }) => game.win === 1).length;
+            const gamesWithout = totalGames - shared.length;
+
+            let teamKills = 0;
+            let involvedKills = 0;
+            let timelineGames = 0;
+            for (const { game, player } of shared) {
+                const kills = killsByMatch.get(game.matchId);
+                if (!kills) continue;
+                timelineGames++;
+                const ourTeam = teamParticipantIds(game.matchId, game.teamId);
+                for (const kill of kills.filter(k => ourTeam.has(k.killerId))) {
+                    teamKills++;
+                    if (kill.involved.includes(game.participantId) || kill.involved.includes(player.participantId)) involvedKills++;
+                }
+            }
+
+            const pairings = new Map();
+            for (const { game, player } of shared) {
+                const myRole = game.teamPosition || null;
+                const theirRole = player.teamPosition || null;
+                if (!myRole || !theirRole) continue;
+                const key = `${myRole}|${theirRole}`;
+                const entry = pairings.get(key) || { myRole, theirRole, games: 0, wins: 0 };
+                entry.games++;
+                if (game.win === 1) entry.wins++;
+                pairings.set(key, entry);
+            }
+
+            return {
+                puuid,
+                name,
+                games: shared.length,
+                wins,
+                winRate: Math.round((wins / shared.length) * 100),
+                gamesWithout,
+                winRateWithout: gamesWithout > 0 ? Math.round(((totalWins - wins) / gamesWithout) * 100) : null,
+                combinedKp: teamKills > 0 ? Math.round((involvedKills / teamKills) * 100) : null,
+                timelineGames,
+                rolePairings: [...pairings.values()].sort((a, b) => b.games - a.games).slice(0, 3),
+                matches: keys(shared)
+            };
+        }).sort((a, b) => b.games - a.games),
+
+        opponents: recurringOpponents.map(({ puuid, name, games: shared }) => {
+            const wins = shared.filter(({ game }) => game.win === 1).length;
+            return {
+                puuid,
+                name,
+                games: shared.length,
+                wins,
+                winRate: Math.round((wins / shared.length) * 100),
+                champions: mostCommon(shared.map(({ player }) => player.championName), 3)
+                    .map(({ value, count }) => ({ championName: value, count })),
+                matches: keys(shared)
+            };
+        }).sort((a, b) => b.games - a.games)
+    };
+}
+
+// Rank of a player_ranks row on the common LP scale (see shared/ranks.js): the flex rank in flex
+// games and the solo rank otherwise, each falling back to the other queue
+function participantLP(row, queueId) {
+    const solo = row.soloTier ? toTotalLP(row.soloTier, row.soloRank, row.soloLP) : null;
+    const flex = row.flexTier ? toTotalLP(row.flexTier, row.flexRank, row.flexLP) : null;
+    return queueId === FLEX_QUEUE_ID ? flex ?? solo : solo ?? flex;
+}
+
+// Lobby strength of every match of the given accounts, from the cached ranks of its players.
+// The cache holds each player's rank when it was fetched (around when the match was synced),
+// not at the time of the game. Rows: { matchId, puuid, lobbyLP (average of everyone ranked),
+// allyLP, enemyLP, lpDiff (allyLP - enemyLP), rankedPlayers, strength: 'higher' | 'even' | 'lower' | null }.
+// Teams with fewer than LOBBY_MIN_RANKED_PER_TEAM ranked players have no average (strength null).
+async function getLobbyStrength(puuids) {
+    const { where, params } = analysisFilter({ puuids }, 'm');
+    const rows = await dbAll(
+        `SELECT m.matchId, m.puuid, m.teamId AS ownTeamId, m.queueId, mp.teamId,
+                pr.soloTier, pr.soloRank, pr.soloLP, pr.flexTier, pr.flexRank, pr.flexLP
+         FROM matches m
+         JOIN match_participants mp ON mp.matchId = m.matchId
+         JOIN player_ranks pr ON pr.puuid = mp.puuid
+         ${where}`,
+        params
+    );
+
+    const lobbies = new Map();
+    for (const row of rows) {
+        const lp = participantLP(row, row.queueId);
+        if (lp === null) continue;
+        const key = `${row.matchId}|${row.puuid}`;
+        if (!lobbies.has(key)) lobbies.set(key, { matchId: row.matchId, puuid: row.puuid, allies: [], enemies: [] });
+        lobbies.get(key)[row.teamId === row.ownTeamId ? 'allies' : 'enemies'].push(lp);
+    }
+
+    return [...lobbies.values()].map(({ matchId, puuid, allies, enemies }) => {
+        const allyLP = allies.length >= LOBBY_MIN_RANKED_PER_TEAM ? average(allies) : null;
+        const enemyLP = enemies.length >= LOBBY_MIN_RANKED_PER_TEAM ? average(enemies) : null;
+        const lpDiff = allyLP !== null && enemyLP !== null ? allyLP - enemyLP : null;
+        let strength = null;
+        if (lpDiff !== null) {
+            if (lpDiff > EVEN_LOBBY_LP) strength = 'higher';
+            else if (lpDiff < -EVEN_LOBBY_LP) strength = 'lower';
+            else strength = 'even';
+        }
+        return {
+            matchId,
+            puuid,
+            lobbyLP: round(average([...allies, ...enemies])),
+            allyLP: round(allyLP),
+            enemyLP: round(enemyLP),
+            lpDiff: round(lpDiff),
+            rankedPlayers: allies.length + enemies.length,
+            strength
+        };
+    });
+}
+
+module.exports = { getChampionPool, getMatchups, getRecurringPlayers, getLobbyStrength };
@@ -0,0 +1,221 @@
+// Portable match archives, to move a history between machines or share it with a coach.
+// An archive is a JSON Lines file (gzip-compressed when the name ends in .gz):
+//   line 1: { type: 'manifest', format, version, exportedAt, selection, accounts, matchCount, rankCount }
+//   then:   { type: 'match', matchId, owners: [puuid], match: <Match-V5 JSON>, timeline: <timeline JSON or null> }
+//   then:   { type: 'rank', ...player_ranks row } for the players of the exported matches
+// Import stores matches through the same extraction as sync (saveMatch), without any API calls.
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { pipeline: pipelineAsync } = require('stream/promises');
+const { dbGet, dbRun, dbAll } = require('./database');
+const { unpackJson } = require('./jsonBlob');
+const { saveMatch } = require('./matchService');
+
+const ARCHIVE_FORMAT = 'nexus-insights-archive';
+const ARCHIVE_VERSION = 1;
+
+const RANK_COLUMNS = ['puuid', 'soloTier', 'soloRank', 'soloLP', 'flexTier', 'flexRank', 'flexLP', 'fetchedAt'];
+
+function archiveError(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_ARCHIVE';
+    return err;
+}
+
+// WHERE clause for an export selection:
+// { puuids (null = every account), startTime, endTime (epoch ms, either may be null), queueIds, championName }
+function selectionFilter({ puuids = null, startTime = null, endTime = null, queueIds = null, championName = null } = {}) {
+    // Rows without an identifiable owner (puuid '') aren't shown anywhere, so they aren't exported either
+    const conditions = ["puuid != ''"];
+    const params = [];
+    if (puuids) {
+        conditions.push(puuids.length ? `puuid IN (${puuids.map(() => '?').join(', ')})` : '0');
+        params.push(...puuids);
+    }
+    if (startTime) {
+        conditions.push('gameCreation >= ?');
+        params.push(startTime);
+    }
+    if (endTime) {
+        conditions.push('gameCreation < ?');
+        params.push(endTime);
+    }
+    if (queueIds) {
+        conditions.push(queueIds.length ? `queueId IN (${queueIds.map(() => '?').join(', ')})` : '0');
+        params.push(...queueIds);
+    }
+    if (championName) {
+        conditions.push('championName = ?');
+        params.push(championName);
+    }
+    return { where: `WHERE ${conditions.join(' AND ')}`, params };
+}
+
+// Write the selected matches to filePath.
+// accounts: configured accounts, so the manifest can name the owners ({ puuid, gameName, tagLine }).
+// Resolves with { path, matchCount, rankCount }.
+async function exportArchive(filePath, selection, accounts = []) {
+    const filter = selectionFilter(selection);
+    const rows = await dbAll(
+        `SELECT matchId, GROUP_CONCAT(puuid) AS owners FROM matches ${filter.where}
+         GROUP BY matchId ORDER BY MAX(gameCreation) DESC`,
+        filter.params
+    );
+    const ranks = await dbAll(
+        `SELECT ${RANK_COLUMNS.join(', ')} FROM player_ranks
+         WHERE puuid IN (SELECT DISTINCT puuid FROM match_participants
+                         WHERE matchId IN (SELECT matchId FROM matches ${filter.where}))`,
+        filter.params
+    );
+
+    const ownerPuuids = new Set(rows.flatMap(row => row.owners.split(',')));
+    const manifest = {
+        type: 'manifest',
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: Date.now(),
+        selection,
+        accounts: accounts
+            .filter(a => a.puuid && ownerPuuids.has(a.puuid))
+            .map(a => ({ puuid: a.puuid, gameName: a.gameName, tagLine: a.tagLine })),
+        matchCount: rows.length,
+        rankCount: ranks.length
+    };
+
+    // Matches are read one at a time, so only one match and timeline are held in memory
+    async function* lines() {
+        yield JSON.stringify(manifest) + '\n';
+        for (const row of rows) {
+            const stored = await dbGet(
+                'SELECT rawJson, timelineJson FROM matches WHERE matchId = ? AND rawJson IS NOT NULL ORDER BY timelineJson IS NULL LIMIT 1',
+                [row.matchId]
+            );
+            if (!stored) continue;
+            yield JSON.stringify({
+                type: 'match',
+                matchId: row.matchId,
+                owners: row.owners.split(','),
+                match: unpackJson(stored.rawJson),
+                timeline: unpackJson(stored.timelineJson)
+            }) + '\n';
+        }
+        for (const rank of ranks) {
+            yield JSON.stringify({ type: 'rank', ...rank }) + '\n';
+        }
+    }
+
+    const stages = filePath.endsWith('.gz') ? [zlib.createGzip()] : [];
+    await pipelineAsync(lines, ...stages, fs.createWriteStream(filePath));
+    console.log(`Exported ${rows.length} matches and ${ranks.length} ranks to ${filePath}`);
+    return { path: filePath, matchCount: rows.length, rankCount: ranks.length };
+}
+
+// Lines of an archive file, decompressing it if it starts with the gzip magic bytes
+function readArchiveLines(filePath) {
+    const header = Buffer.alloc(2);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        fs.readSync(fd, header, 0, 2, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    let input = fs.createReadStream(filePath);
+    if (header[0] === 0x1f && header[1] === 0x8b) {
+        // pipeline destroys both streams on a decompression error, which ends the line iteration with it
+        input = pipeline(input, zlib.createGunzip(), () => {});
+    }
+    return readline.createInterface({ input, crlfDelay: Infinity });
+}
+
+// Store one rank row unless a newer one is cached already. Returns true if it was stored.
+async function importRank(record) {
+    const placeholders = RANK_COLUMNS.map(() => '?').join(', ');
+    const updates = RANK_COLUMNS.filter(c => c !== 'puuid').map(c => `${c} = excluded.${c}`).join(', ');
+    const result = await dbRun(
+        `INSERT INTO player_ranks (${RANK_COLUMNS.join(', ')}) VALUES (${placeholders})
+         ON CONFLICT(puuid) DO UPDATE SET ${updates} WHERE excluded.fetchedAt > player_ranks.fetchedAt`,
+        RANK_COLUMNS.map(column => record[column] ?? null)
+    );
+    return result.changes > 0;
+}
+
+// Merge an archive into the database. A (match, owner) already stored is skipped, unless the stored
+// row has no timeline and the archive has one. Each match is stored in its own transaction.
+// onProgress(current, total): called after every match line.
+// Resolves with { manifest, added, updated, skipped, failed, ranksUpdated }.
+async function importArchive(filePath, onProgress = null) {
+    const lines = readArchiveLines(filePath);
+    const report = { manifest: null, added: 0, updated: 0, skipped: 0, failed: 0, ranksUpdated: 0 };
+    let processed = 0;
+
+    try {
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (e) {
+                if (!report.manifest) throw archiveError('The file is not a Nexus Insights archive');
+                console.warn('Skipping malformed archive line');
+                report.failed++;
+                continue;
+            }
+
+            if (!report.manifest) {
+                if (record.type !== 'manifest' || record.format !== ARCHIVE_FORMAT) {
+                    throw archiveError('The file is not a Nexus Insights archive');
+                }
+                if (record.version > ARCHIVE_VERSION) {
+                    throw archiveError(`The archive was made by a newer version of Nexus Insights (format ${record.version})`);
+                }
+                report.manifest = record;
+                continue;
+            }
+
+            if (record.type === 'rank') {
+                if (await importRank(record)) report.ranksUpdated++;
+                continue;
+            }
+            if (record.type !== 'match' || !record.match || !record.match.info) {
+                report.failed++;
+                continue;
+            }
+
+            for (const owner of record.owners || []) {
+                const existing = await dbGet(
+                    'SELECT timelineJson IS NULL AS timelineMissing FROM matches WHERE matchId = ? AND puuid = ?',
+                    [record.matchId, owner]
+                );
+                if (existing && !(existing.timelineMissing && record.timeline)) {
+                    report.skipped++;
+                    continue;
+                }
+
+                try {
+                    const saved = await saveMatch(record.matchId, owner, record.match, record.timeline || null, Boolean(existing));
+                    if (!saved) report.failed++;
+                    else if (existing) report.updated++;
+                    else report.added++;
+                } catch (err) {
+                    console.warn(`Failed to import ${record.matchId}: ${err.message}`);
+                    report.failed++;
+                }
+            }
+
+            processed++;
+            if (onProgress) onProgress(processed, report.manifest.matchCount);
+        }
+    } finally {
+        lines.close();
+    }
+
+    if (!report.manifest) throw archiveError('The archive is empty');
+    console.log(`Imported archive ${filePath}: ${report.added} added, ${report.updated} updated, ${report.skipped} already stored, ${report.failed} failed`);
+    return report;
+}
+
+module.exports = { exportArchive, importArchive };
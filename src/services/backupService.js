@@ -0,0 +1,189 @@
+// Backups of nexus_data.sqlite. Riot doesn't keep old matches forever, so this file can be the only
+// copy of a user's history: it can be copied on demand, copied on a schedule into userData/backups
+// (keeping the newest few, see config.backup), checked for corruption, and restored from a copy.
+// Copies use SQLite's online backup API, so they are consistent while the app keeps using the database.
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { db, dbAll } = require('./database');
+const { userDataPath } = require('./config');
+const { runMigrations, LATEST_VERSION } = require('./migrations');
+
+const backupDir = path.join(userDataPath, 'backups');
+
+// Scheduled backups: nexus_data-<timestamp>.sqlite. Only these are rotated; copies made before a
+// restore (nexus_data-pre-restore-...) and backups saved elsewhere are left alone.
+const SCHEDULED_BACKUP_PATTERN = /^nexus_data-\d{4}-\d{2}-\d{2}T[\d-]+Z\.sqlite$/;
+
+function timestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// Default file name for a backup
+function getBackupFileName(prefix = 'nexus_data') {
+    return `${prefix}-${timestamp()}.sqlite`;
+}
+
+// Copy the open database to targetPath (filenameIsDest) or targetPath into the open database (restore)
+function runBackup(filePath, filenameIsDest) {
+    return new Promise((resolve, reject) => {
+        const backup = db.backup(filePath, 'main', 'main', filenameIsDest, err => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            // -1: all remaining pages in one step
+            backup.step(-1, stepErr => {
+                backup.finish(() => {
+                    if (stepErr) reject(stepErr);
+                    else resolve(filePath);
+                });
+            });
+        });
+    });
+}
+
+// PRAGMA integrity_check of the open database: { ok, problems } (at most 20 problems are listed)
+async function checkIntegrity() {
+    const rows = await dbAll('PRAGMA integrity_check(20)');
+    const problems = rows.map(row => row.integrity_check).filter(message => message !== 'ok');
+    return { ok: problems.length === 0, problems };
+}
+
+// Copy the database to targetPath. The integrity check result is returned along with it,
+// so a copy of a damaged database is never mistaken for a good one.
+async function backupDatabase(targetPath) {
+    const integrity = await checkIntegrity();
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    await runBackup(targetPath, true);
+    console.log(`Database backed up to ${targetPath}`);
+    return { path: targetPath, integrity };
+}
+
+// Scheduled backups in backupDir, newest first: [{ path, createdAt }]
+function listScheduledBackups() {
+    if (!fs.existsSync(backupDir)) return [];
+    return fs.readdirSync(backupDir)
+        .filter(name => SCHEDULED_BACKUP_PATTERN.test(name))
+        .map(name => {
+            const filePath = path.join(backupDir, name);
+            return { path: filePath, createdAt: fs.statSync(filePath).mtimeMs };
+        })
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Time of the newest scheduled backup, or null
+function getLatestBackupTime() {
+    const [latest] = listScheduledBackups();
+    return latest ? latest.createdAt : null;
+}
+
+// One scheduled backup, then delete all but the newest `keep`.
+// A database that fails the integrity check is not backed up, so damage can't rotate the good copies out.
+async function runScheduledBackup(keep) {
+    const integrity = await checkIntegrity();
+    if (!integrity.ok) {
+        console.error('Scheduled backup skipped, integrity check failed:', integrity.problems);
+        return { ok: false, path: null, integrity };
+    }
+
+    const targetPath = path.join(backupDir, getBackupFileName());
+    fs.mkdirSync(backupDir, { recursive: true });
+    await runBackup(targetPath, true);
+
+    for (const old of listScheduledBackups().slice(Math.max(1, keep))) {
+        try {
+            fs.unlinkSync(old.path);
+        } catch (err) {
+            console.warn(`Could not delete old backup ${old.path}: ${err.message}`);
+        }
+    }
+    console.log(`Scheduled backup written to ${targetPath}`);
+    return { ok: true, path: targetPath, integrity };
+}
+
+// Open a database file read-only for fn(all), where all(sql) resolves with the result rows
+function withReadOnlyDatabase(filePath, fn) {
+    return new Promise((resolve, reject) => {
+        const file = new sqlite3.Database(filePath, sqlite3.OPEN_READONLY, async err => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            const all = (sql) => new Promise((res, rej) => file.all(sql, [], (e, rows) => (e ? rej(e) : res(rows))));
+            let result;
+            let error = null;
+            try {
+                result = await fn(all);
+            } catch (e) {
+                error = e;
+            }
+            file.close(() => (error ? reject(error) : resolve(result)));
+        });
+    });
+}
+
+// Check that a file is a usable Nexus Insights backup: an intact SQLite database with match data,
+// not written by a newer app version. Returns { ok, error, schemaVersion, matchCount }.
+async function validateBackup(filePath) {
+    try {
+        return await withReadOnlyDatabase(filePath, async (all) => {
+            const integrity = (await all('PRAGMA integrity_check(20)')).map(row => row.integrity_check);
+            if (integrity.some(message => message !== 'ok')) {
+                return { ok: false, error: `The backup is damaged: ${integrity.slice(0, 3).join('; ')}` };
+            }
+
+            const tables = (await all("SELECT name FROM sqlite_master WHERE type = 'table'")).map(row => row.name);
+            if (!tables.includes('matches')) {
+                return { ok: false, error: 'The file is not a Nexus Insights database (no match data)' };
+            }
+
+            let schemaVersion = 0;
+            if (tables.includes('schema_version')) {
+                const [row] = await all('SELECT MAX(version) AS version FROM schema_version');
+                schemaVersion = row.version || 0;
+            }
+            if (schemaVersion > LATEST_VERSION) {
+                return { ok: false, error: `The backup was made by a newer version of Nexus Insights (schema ${schemaVersion}). Please update the app first.` };
+            }
+
+            const [count] = await all('SELECT COUNT(*) AS count FROM matches');
+            return { ok: true, error: null, schemaVersion, matchCount: count.count };
+        });
+    } catch (err) {
+        return { ok: false, error: `The file could not be read as a database: ${err.message}` };
+    }
+}
+
+// Replace the database contents with a validated backup. The current data is first copied to
+// backupDir (nexus_data-pre-restore-...), and the restored data is migrated to the current schema.
+// Nothing else may use the database meanwhile (see main.js: no sync runs during a restore).
+async function restoreDatabase(filePath) {
+    const validation = await validateBackup(filePath);
+    if (!validation.ok) {
+        const err = new Error(validation.error);
+        err.code = 'INVALID_BACKUP';
+        throw err;
+    }
+
+    const safetyPath = path.join(backupDir, getBackupFileName('nexus_data-pre-restore'));
+    fs.mkdirSync(backupDir, { recursive: true });
+    await runBackup(safetyPath, true);
+    console.log(`Current database saved to ${safetyPath} before restoring`);
+
+    await runBackup(filePath, false);
+    const migration = await runMigrations();
+    console.log(`Database restored from ${filePath} (${validation.matchCount} match rows)`);
+    return { safetyPath, matchCount: validation.matchCount, migratedFrom: migration.from };
+}
+
+module.exports = {
+    backupDir,
+    getBackupFileName,
+    checkIntegrity,
+    backupDatabase,
+    getLatestBackupTime,
+    runScheduledBackup,
+    validateBackup,
+    restoreDatabase
+};
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const electron = require('electron');
+const { DEFAULT_SYNC_WINDOW, DEFAULT_APP_RATE_LIMIT, createAccount, getActiveAccounts } = require('../shared/settings');
 
 // Get userData path - works in both main and renderer processes
 let userDataPath;
@@ -22,12 +23,32 @@ const configPath = path.join(userDataPath, 'config.json');
 // Default config (empty - user must fill in)
 const defaultConfig = {
     apiKey: '',
-    gameName: '',
-    tagLine: '',
-    region: 'europe',      // Regional routing: europe, americas, asia
-    platform: 'euw1'       // Platform: euw1, na1, kr, etc.
+    appRateLimit: DEFAULT_APP_RATE_LIMIT, // Riot app rate limit (requests:seconds), raise for production keys
+    // Tracked Riot accounts, see createAccount()
+    accounts: [],
+    activeAccount: null, // account id shown in the dashboard, or 'all' for the combined view
+    // Background sync of every account while the app is open (runs in the main process)
+    autoSync: { enabled: false, intervalMinutes: 30 },
+    // Scheduled copies of the database into userData/backups, keeping the newest `keep` (see backupService)
+    backup: { enabled: true, intervalHours: 24, keep: 7 }
 };
 
+// Configs from before multi-account support kept a single Riot ID at the top level
+function migrateSingleAccount(config) {
+    config.accounts = [...(config.accounts || [])];
+    if (config.accounts.length === 0 && config.gameName && config.tagLine) {
+        const account = createAccount(config);
+        config.accounts = [account];
+        config.activeAccount = account.id;
+    }
+    delete config.gameName;
+    delete config.tagLine;
+    delete config.region;
+    delete config.platform;
+    delete config.syncWindow;
+    return config;
+}
+
 // Ensure userData directory exists
 function ensureUserDataDir() {
     if (!fs.existsSync(userDataPath)) {
@@ -46,7 +67,10 @@ function loadConfig() {
     try {
         if (fs.existsSync(configPath)) {
             const data = fs.readFileSync(configPath, 'utf8');
-            const config = { ...defaultConfig, ...JSON.parse(data) };
+            const stored = JSON.parse(data);
+            const config = migrateSingleAccount({ ...defaultConfig, ...stored });
+            // Store the migrated config right away, so the new account keeps its id
+            if (!stored.accounts) saveConfig(config);
             console.log('Config loaded successfully:', JSON.stringify({
                 ...config,
                 apiKey: config.apiKey ? '[PRESENT - length: ' + config.apiKey.length + ']' : '[MISSING]'
@@ -58,7 +82,7 @@ function loadConfig() {
     } catch (err) {
         console.error('Error loading config:', err);
     }
-    return { ...defaultConfig };
+    return { ...defaultConfig, accounts: [] };
 }
 
 // Save config to file
@@ -73,12 +97,21 @@ function saveConfig(config) {
     }
 }
 
-// Check if config is valid (has required fields)
+// Check if config is valid (has an API key and at least one account)
 function isConfigValid(config) {
     return config &&
            config.apiKey && config.apiKey.trim() !== '' &&
-           config.gameName && config.gameName.trim() !== '' &&
-           config.tagLine && config.tagLine.trim() !== '';
+           Array.isArray(config.accounts) && config.accounts.length > 0 &&
+           config.accounts.every(a => a.gameName && a.tagLine);
+}
+
+// Update one account's fields (e.g. its resolved puuid) and save
+function updateAccount(accountId, changes) {
+    const config = loadConfig();
+    const account = config.accounts.find(a => a.id === accountId);
+    if (!account) return false;
+    Object.assign(account, changes);
+    return saveConfig(config);
 }
 
 // Get a specific config value
@@ -98,6 +131,10 @@ module.exports = {
     loadConfig,
     saveConfig,
     isConfigValid,
+    createAccount,
+    getActiveAccounts,
+    updateAccount,
+    DEFAULT_SYNC_WINDOW,
     getConfigValue,
     setConfigValue,
     configPath,
@@ -1,163 +1,289 @@
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
+const { userDataPath } = require('./config');
+
+const CDN_ROOT = 'https://ddragon.leagueoflegends.com/cdn';
+
+// Static data and images are cached under userData/ddragon with the CDN's layout:
+// <version>/data/en_US/*.json, <version>/img/... (champion, item, spell icons) and img/... (rune icons, unversioned).
+// Files of a version never change, so a cached file is never downloaded again.
+const cacheDir = path.join(userDataPath, 'ddragon');
+// { version }: the last version whose static data was loaded completely, used when versions.json can't be fetched
+const stateFile = path.join(cacheDir, 'state.json');
+// The last fetched versions.json, to map match patches to versions offline
+const versionsFile = path.join(cacheDir, 'versions.json');
+
+// The renderer loads images from ddragon://cdn/<CDN path>, served by getAsset (registered in main.js)
+const ASSET_SCHEME = 'ddragon';
+const ASSET_ROOT = `${ASSET_SCHEME}://cdn`;
+
+const DATA_FILES = ['item.json', 'runesReforged.json', 'summoner.json'];
+const REQUEST_TIMEOUT_MS = 15000;
+
+const CONTENT_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.webp': 'image/webp' };
+
+// Used when there's neither a network connection nor a cached version
+const FALLBACK_VERSION = '25.S1.1';
 
 // Data Dragon version - fetched dynamically, with fallback
-let DDRAGON_VERSION = '25.S1.1';
-let DDRAGON_BASE = `https://ddragon.leagueoflegends.com/cdn/${DDRAGON_VERSION}`;
+let DDRAGON_VERSION = FALLBACK_VERSION;
+let DDRAGON_BASE = `${ASSET_ROOT}/${DDRAGON_VERSION}`;
 
-// In-memory cache for game data
+// In-memory cache for game data (handed to the renderer, which does the lookups - see components/gameData.js)
 let gameDataCache = {
     items: null,
     runes: null,
     summonerSpells: null,
-    summonerSpellsById: null, // Indexed by spell key (ID number)
     loaded: false
 };
 
+// Known Data Dragon versions, newest first (from versions.json)
+let knownVersions = [];
+
+// Static data of older versions for matches played on them, by version (promises, so concurrent requests share a load)
+const patchDataCache = new Map();
+
+// Downloads of images requested while already being downloaded, by relative path
+const pendingAssets = new Map();
+
 /**
- * Fetch the latest Data Dragon version from Riot's versions endpoint
+ * Fetch the Data Dragon version list (newest first) from Riot's versions endpoint and cache it on disk
+ * @returns {Promise<string[]|null>} null when offline
  */
-async function fetchLatestVersion() {
+async function fetchVersions() {
     try {
-        const response = await axios.get('https://ddragon.leagueoflegends.com/api/versions.json');
+        const response = await axios.get('https://ddragon.leagueoflegends.com/api/versions.json', { timeout: REQUEST_TIMEOUT_MS });
         const versions = response.data;
-        if (versions && versions.length > 0) {
-            DDRAGON_VERSION = versions[0];
-            DDRAGON_BASE = `https://ddragon.leagueoflegends.com/cdn/${DDRAGON_VERSION}`;
-            console.log('Data Dragon version set to:', DDRAGON_VERSION);
-        }
+        if (!Array.isArray(versions) || versions.length === 0) return null;
+        await writeFileAtomic(versionsFile, JSON.stringify(versions));
+        return versions;
     } catch (err) {
-        console.warn('Could not fetch Data Dragon version, using fallback:', DDRAGON_VERSION);
+        console.warn('Could not fetch the Data Dragon version list:', err.message);
+        return null;
     }
 }
 
-/**
- * Load all game data from Data Dragon
- */
-async function loadGameData() {
+function readCachedVersions() {
     try {
-        // Fetch latest version first
-        await fetchLatestVersion();
-
-        console.log(`Loading game data from Data Dragon v${DDRAGON_VERSION}...`);
-
-        // Fetch items, runes, and summoner spells in parallel
-        const [itemsResponse, runesResponse, summonerSpellsResponse] = await Promise.all([
-            axios.get(`${DDRAGON_BASE}/data/en_US/item.json`),
-            axios.get(`${DDRAGON_BASE}/data/en_US/runesReforged.json`),
-            axios.get(`${DDRAGON_BASE}/data/en_US/summoner.json`)
-        ]);
-
-        gameDataCache.items = itemsResponse.data.data;
-        gameDataCache.runes = runesResponse.data;
-        gameDataCache.summonerSpells = summonerSpellsResponse.data.data;
-
-        // Create lookup by spell key (the numeric ID used in match data)
-        gameDataCache.summonerSpellsById = {};
-        for (const spellName in gameDataCache.summonerSpells) {
-            const spell = gameDataCache.summonerSpells[spellName];
-            gameDataCache.summonerSpellsById[spell.key] = spell;
-        }
+        return JSON.parse(fs.readFileSync(versionsFile, 'utf8'));
+    } catch (err) {
+        return [];
+    }
+}
 
-        gameDataCache.loaded = true;
-
-        console.log(`✓ Loaded ${Object.keys(gameDataCache.items).length} items`);
-        console.log(`✓ Loaded ${gameDataCache.runes.length} rune trees`);
-        console.log(`✓ Loaded ${Object.keys(gameDataCache.summonerSpells).length} summoner spells`);
-
-        return gameDataCache;
-    } catch (error) {
-        console.error('Failed to load game data:', error.message);
-        // Set empty objects so app doesn't crash
-        gameDataCache.items = {};
-        gameDataCache.runes = [];
-        gameDataCache.summonerSpells = {};
-        gameDataCache.summonerSpellsById = {};
-        gameDataCache.loaded = false;
-        throw error;
+function readState() {
+    try {
+        return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    } catch (err) {
+        return {};
     }
 }
 
 /**
- * Get item data by ID
+ * Write a file through a temporary one, so an interrupted write never leaves a truncated cache file
  */
-function getItemData(itemId) {
-    if (!gameDataCache.loaded || !itemId) return null;
-    return gameDataCache.items[itemId] || null;
+async function writeFileAtomic(filePath, data) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, data);
+    await fs.promises.rename(tempPath, filePath);
 }
 
 /**
- * Get rune data by ID
- * Searches through all rune trees to find the matching rune
+ * Read a static data file of a version from the disk cache, downloading it if it isn't cached
  */
-function getRuneData(runeId) {
-    if (!gameDataCache.loaded || !runeId) return null;
-
-    // Search through all rune trees
-    for (const tree of gameDataCache.runes) {
-        // Check if it's a tree style ID (8000, 8100, etc.)
-        if (tree.id === runeId) {
-            return {
-                name: tree.name,
-                icon: tree.icon,
-                description: `${tree.name} - Rune Tree`
-            };
-        }
+async function loadDataFile(version, fileName) {
+    const relativePath = path.join(version, 'data', 'en_US', fileName);
+    const filePath = path.join(cacheDir, relativePath);
+    try {
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (err) {
+        // Not cached (or unreadable) - download it below
+    }
+
+    const response = await axios.get(`${CDN_ROOT}/${version}/data/en_US/${fileName}`, {
+        timeout: REQUEST_TIMEOUT_MS,
+        responseType: 'text',
+        transformResponse: data => data
+    });
+    const data = JSON.parse(response.data);
+    await writeFileAtomic(filePath, response.data);
+    console.log(`Cached Data Dragon ${relativePath}`);
+    return data;
+}
+
+/**
+ * Load all game data (once - later calls return the cached data).
+ * Uses the latest version, downloading only the files not on disk yet. Offline, or when the
+ * latest version can't be downloaded, the last completely loaded version is read from disk.
+ */
+async function loadGameData() {
+    if (gameDataCache.loaded) return gameDataCache;
+
+    const fetchedVersions = await fetchVersions();
+    knownVersions = fetchedVersions || readCachedVersions();
+    const latestVersion = fetchedVersions ? fetchedVersions[0] : null;
+    const lastVersion = readState().version || null;
+    const versions = [...new Set([latestVersion, lastVersion].filter(Boolean))];
+    if (versions.length === 0) versions.push(FALLBACK_VERSION);
+
+    let lastError = null;
+    for (const version of versions) {
+        try {
+            console.log(`Loading game data from Data Dragon v${version}...`);
+            const [items, runes, summonerSpells] = await Promise.all(DATA_FILES.map(file => loadDataFile(version, file)));
 
-        // Search through slots for keystones and regular runes
-        for (const slot of tree.slots) {
-            for (const rune of slot.runes) {
-                if (rune.id === runeId) {
-                    return {
-                        name: rune.name,
-                        icon: rune.icon,
-                        shortDesc: rune.shortDesc,
-                        longDesc: rune.longDesc
-                    };
-                }
+            DDRAGON_VERSION = version;
+            DDRAGON_BASE = `${ASSET_ROOT}/${version}`;
+            gameDataCache.items = items.data;
+            gameDataCache.runes = runes;
+            gameDataCache.summonerSpells = summonerSpells.data;
+            gameDataCache.loaded = true;
+
+            if (version !== lastVersion) {
+                await writeFileAtomic(stateFile, JSON.stringify({ version }));
             }
+
+            console.log('Data Dragon version set to:', DDRAGON_VERSION);
+            console.log(`✓ Loaded ${Object.keys(gameDataCache.items).length} items`);
+            console.log(`✓ Loaded ${gameDataCache.runes.length} rune trees`);
+            console.log(`✓ Loaded ${Object.keys(gameDataCache.summonerSpells).length} summoner spells`);
+
+            return gameDataCache;
+        } catch (error) {
+            console.warn(`Could not load Data Dragon v${version}:`, error.message);
+            lastError = error;
         }
     }
 
-    return null;
+    console.error('Failed to load game data:', lastError.message);
+    // Set empty objects so app doesn't crash
+    gameDataCache.items = {};
+    gameDataCache.runes = [];
+    gameDataCache.summonerSpells = {};
+    gameDataCache.loaded = false;
+    throw lastError;
 }
 
 /**
- * Get summoner spell data by ID (the numeric key)
+ * Data Dragon version of a patch ('14.23'): its newest release in the version list, or null if unknown
  */
-function getSummonerSpellData(spellId) {
-    if (!gameDataCache.loaded || !spellId) return null;
-    return gameDataCache.summonerSpellsById[spellId] || null;
+function resolvePatchVersion(patch) {
+    return knownVersions.find(version => version.startsWith(`${patch}.`)) || null;
 }
 
 /**
- * Check if game data is loaded
+ * Load the static data of the patch a match was played on ('14.23' of gameVersion '14.23.636.4567'),
+ * from the disk cache or downloaded into it.
+ * @returns {Promise<{ version: string, base: string, items: Object, runes: Array, summonerSpells: Object }|null>}
+ *          null when the loaded (latest) data applies: same version, or a patch missing from the version list
  */
-function isGameDataLoaded() {
-    return gameDataCache.loaded;
+async function loadPatchGameData(patch) {
+    // The version list is read by loadGameData
+    if (!gameDataCache.loaded) await loadGameData();
+
+    const version = resolvePatchVersion(patch);
+    if (!version || version === DDRAGON_VERSION) return null;
+
+    if (!patchDataCache.has(version)) {
+        const loading = Promise.all(DATA_FILES.map(file => loadDataFile(version, file)))
+            .then(([items, runes, summonerSpells]) => ({
+                version,
+                base: `${ASSET_ROOT}/${version}`,
+                items: items.data,
+                runes,
+                summonerSpells: summonerSpells.data
+            }));
+        // A failed load (e.g. offline and not cached) is retried on the next request
+        loading.catch(() => patchDataCache.delete(version));
+        patchDataCache.set(version, loading);
+    }
+    return patchDataCache.get(version);
 }
 
 /**
- * Get the full game data cache (for debugging)
+ * Relative cache path of a ddragon:// asset URL, or null if it isn't a Data Dragon image path
  */
-function getGameDataCache() {
-    return gameDataCache;
+function getAssetPath(url) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(url).pathname);
+    } catch (err) {
+        return null;
+    }
+    // /<version>/img/... or /img/...
+    const relativePath = pathname.replace(/^\/+/, '');
+    if (!/^([\w.]+\/)?img\/[\w .\-/]+$/.test(relativePath)) return null;
+    if (relativePath.split('/').includes('..')) return null;
+    return relativePath;
+}
+
+async function downloadAsset(relativePath, filePath) {
+    try {
+        const response = await axios.get(`${CDN_ROOT}/${relativePath}`, {
+            timeout: REQUEST_TIMEOUT_MS,
+            responseType: 'arraybuffer'
+        });
+        const data = Buffer.from(response.data);
+        await writeFileAtomic(filePath, data);
+        return data;
+    } catch (err) {
+        // Offline, or the CDN doesn't have it - the renderer shows its fallback
+        return null;
+    }
+}
+
+/**
+ * Data Dragon image for a ddragon:// URL, from the disk cache or downloaded into it
+ * @param {string} url
+ * @returns {Promise<{ data: Buffer, contentType: string }|null>} null if the image is unavailable
+ */
+async function getAsset(url) {
+    const relativePath = getAssetPath(url);
+    if (!relativePath) return null;
+
+    const filePath = path.join(cacheDir, relativePath);
+    let data;
+    try {
+        data = await fs.promises.readFile(filePath);
+    } catch (err) {
+        if (!pendingAssets.has(relativePath)) {
+            pendingAssets.set(relativePath, downloadAsset(relativePath, filePath)
+                .finally(() => pendingAssets.delete(relativePath)));
+        }
+        data = await pendingAssets.get(relativePath);
+    }
+    if (!data) return null;
+
+    const contentType = CONTENT_TYPES[path.extname(relativePath).toLowerCase()] || 'application/octet-stream';
+    return { data, contentType };
 }
 
 function getDDragonVersion() {
     return DDRAGON_VERSION;
 }
 
+/**
+ * Image base URL of the loaded version (ddragon://cdn/<version>)
+ */
 function getDDragonBase() {
     return DDRAGON_BASE;
 }
 
+/**
+ * Base URL of the unversioned images (rune icons)
+ */
+function getDDragonImageBase() {
+    return `${ASSET_ROOT}/img`;
+}
+
 module.exports = {
+    ASSET_SCHEME,
     loadGameData,
-    getItemData,
-    getRuneData,
-    getSummonerSpellData,
-    isGameDataLoaded,
-    getGameDataCache,
+    loadPatchGameData,
+    getAsset,
     getDDragonVersion,
-    getDDragonBase
+    getDDragonBase,
+    getDDragonImageBase
 };
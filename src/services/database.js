@@ -1,5 +1,6 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const electron = require('electron');
 
 // Get userData path - works in both main and renderer processes
@@ -27,170 +28,84 @@ if (electron.app) {
 const dbPath = path.join(userDataPath, 'nexus_data.sqlite');
 const db = new sqlite3.Database(dbPath);
 
-function initDatabase() {
-  db.serialize(() => {
-    // We use matchId as a UNIQUE primary key to prevent duplicates automatically
-    db.run(`
-      CREATE TABLE IF NOT EXISTS matches (
-        matchId TEXT PRIMARY KEY,
-        queueId INTEGER,
-        gameCreation INTEGER,
-        gameDuration INTEGER,
-        championName TEXT,
-        champLevel INTEGER,
-        kills INTEGER,
-        deaths INTEGER,
-        assists INTEGER,
-        win BOOLEAN,
-        goldEarned INTEGER,
-        totalMinionsKilled INTEGER,
-        totalDamageDealtToChampions INTEGER,
-        visionScore INTEGER,
-        doubleKills INTEGER,
-        tripleKills INTEGER,
-        quadraKills INTEGER,
-        pentaKills INTEGER,
-        -- Objectives (player individual)
-        turretKills INTEGER,
-        inhibitorKills INTEGER,
-        dragonKills INTEGER,
-        baronKills INTEGER,
-        objectivesStolen INTEGER,
-        -- Detailed Vision
-        wardsPlaced INTEGER,
-        wardsKilled INTEGER,
-        detectorWardsPlaced INTEGER,
-        -- Position/Role
-        teamPosition TEXT,
-        lane TEXT,
-        -- Items (final build)
-        item0 INTEGER,
-        item1 INTEGER,
-        item2 INTEGER,
-        item3 INTEGER,
-        item4 INTEGER,
-        item5 INTEGER,
-        item6 INTEGER,
-        -- Team objectives
-        teamDragons INTEGER,
-        enemyDragons INTEGER,
-        teamBarons INTEGER,
-        enemyBarons INTEGER,
-        teamRiftHeralds INTEGER,
-        enemyRiftHeralds INTEGER,
-        teamTowers INTEGER,
-        enemyTowers INTEGER,
-        teamInhibitors INTEGER,
-        enemyInhibitors INTEGER,
-        teamId INTEGER,
-        teamKills INTEGER,
-        rawJson TEXT,
-        timelineJson TEXT,
-        -- Advanced stats (computed from rawJson/timelineJson)
-        csDiff15 INTEGER,
-        goldDiff15 INTEGER,
-        xpDiff15 INTEGER,
-        firstBlood INTEGER,
-        dmgGoldRatio REAL,
-        isolatedDeaths INTEGER,
-        objectiveRate REAL
-      )
-    `);
+// Open the database and bring its schema up to date (see migrations.js).
+// Resolves with the migration result ({ from, to, backupPath, reclaimedBytes }).
+// Rejects if a migration fails or the file comes from a newer app version (err.code 'SCHEMA_TOO_NEW').
+async function initDatabase() {
+  // Required here: migrations (and the services its steps use) require this module
+  const { runMigrations } = require('./migrations');
+  const migration = await runMigrations();
+  console.log("Database initialized at:", dbPath);
+  return migration;
+}
+
+// All statements share one connection, so anything run while a transaction is open would become part
+// of it (and be rolled back with it). withTransaction marks its own statements through this context;
+// statements from anywhere else wait for the open transaction to end.
+const transactionContext = new AsyncLocalStorage();
+// Settles when the open transaction ends (null when none is open)
+let openTransaction = null;
 
-    // Player ranks cache table
-    db.run(`
-      CREATE TABLE IF NOT EXISTS player_ranks (
-        puuid TEXT PRIMARY KEY,
-        soloTier TEXT,
-        soloRank TEXT,
-        soloLP INTEGER,
-        flexTier TEXT,
-        flexRank TEXT,
-        flexLP INTEGER,
-        fetchedAt INTEGER NOT NULL
-      )
-    `);
+async function waitForTransaction() {
+    if (transactionContext.getStore()) return;
+    while (openTransaction) await openTransaction;
+}
+
+// Run fn's statements as one transaction: committed if fn resolves, rolled back if it throws.
+// Nested calls join the enclosing transaction.
+async function withTransaction(fn) {
+    if (transactionContext.getStore()) return fn();
 
-    // Add indexes for performance
-    db.run(`
-      CREATE INDEX IF NOT EXISTS idx_gameCreation 
-      ON matches(gameCreation DESC)
-    `, () => {
-      console.log('Index idx_gameCreation ensured');
+    while (openTransaction) await openTransaction;
+    let release;
+    openTransaction = new Promise(resolve => { release = resolve; });
+    try {
+        return await transactionContext.run(true, async () => {
+            await dbRun('BEGIN TRANSACTION');
+            try {
+                const result = await fn();
+                await dbRun('COMMIT');
+                return result;
+            } catch (err) {
+                await dbRun('ROLLBACK');
+                throw err;
+            }
+        });
+    } finally {
+        openTransaction = null;
+        release();
+    }
+}
+
+// Promisify database methods
+async function dbGet(sql, params) {
+    await waitForTransaction();
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+        });
     });
+}
 
-    db.run(`
-      CREATE INDEX IF NOT EXISTS idx_championName 
-      ON matches(championName)
-    `, () => {
-      console.log('Index idx_championName ensured');
+async function dbRun(sql, params) {
+    await waitForTransaction();
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+            if (err) reject(err);
+            else resolve(this);
+        });
     });
+}
 
-    // Add new columns for existing databases (will silently fail if already exists)
-    const newColumns = [
-      'gameDuration INTEGER',
-      'champLevel INTEGER',
-      'totalDamageDealtToChampions INTEGER',
-      'visionScore INTEGER',
-      'doubleKills INTEGER',
-      'tripleKills INTEGER',
-      'quadraKills INTEGER',
-      'pentaKills INTEGER',
-      // Objectives
-      'turretKills INTEGER',
-      'inhibitorKills INTEGER',
-      'dragonKills INTEGER',
-      'baronKills INTEGER',
-      'objectivesStolen INTEGER',
-      // Detailed Vision
-      'wardsPlaced INTEGER',
-      'wardsKilled INTEGER',
-      'detectorWardsPlaced INTEGER',
-      // Position/Role
-      'teamPosition TEXT',
-      'lane TEXT',
-      // Items
-      'item0 INTEGER',
-      'item1 INTEGER',
-      'item2 INTEGER',
-      'item3 INTEGER',
-      'item4 INTEGER',
-      'item5 INTEGER',
-      'item6 INTEGER',
-      // Team objectives
-      'teamDragons INTEGER',
-      'enemyDragons INTEGER',
-      'teamBarons INTEGER',
-      'enemyBarons INTEGER',
-      'teamRiftHeralds INTEGER',
-      'enemyRiftHeralds INTEGER',
-      'teamTowers INTEGER',
-      'enemyTowers INTEGER',
-      'teamInhibitors INTEGER',
-      'enemyInhibitors INTEGER',
-      'teamId INTEGER',
-      'teamKills INTEGER',
-      // Runes
-      'primaryRune INTEGER',
-      'secondaryRuneStyle INTEGER',
-      // Timeline
-      'timelineJson TEXT',
-      // Advanced stats
-      'csDiff15 INTEGER',
-      'goldDiff15 INTEGER',
-      'xpDiff15 INTEGER',
-      'firstBlood INTEGER',
-      'dmgGoldRatio REAL',
-      'isolatedDeaths INTEGER',
-      'objectiveRate REAL'
-    ];
-    newColumns.forEach(col => {
-      db.run(`ALTER TABLE matches ADD COLUMN ${col}`, () => {
-        // Ignore errors (column already exists)
-      });
+async function dbAll(sql, params = []) {
+    await waitForTransaction();
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
     });
-  });
-  console.log("Database initialized at:", dbPath);
 }
 
-module.exports = { initDatabase, db };
\ No newline at end of file
+module.exports = { initDatabase, db, dbPath, dbGet, dbRun, dbAll, withTransaction };
\ No newline at end of file
@@ -0,0 +1,140 @@
+// Spreadsheet export of the filtered match list (CSV or XLSX). The renderer picks the matches
+// (its queue and champion filters) and the columns; values are computed here from the list rows,
+// with badges evaluated from the stored match JSON and timeline like in the expanded row.
+const fs = require('fs');
+const { getMatchSummaries, getMatchById } = require('./matchService');
+const { getTimeline } = require('./timelineService');
+const { toCsv, toXlsx } = require('./spreadsheet');
+const { calculateStats } = require('../components/tableRenderer');
+const { evaluateBadges } = require('../components/badgeEvaluator');
+
+// Round to a number of decimals, keeping null
+function round(value, decimals = 0) {
+    if (value === null || value === undefined || Number.isNaN(Number(value))) return null;
+    const factor = 10 ** decimals;
+    return Math.round(Number(value) * factor) / factor;
+}
+
+function formatDate(timestamp) {
+    if (!timestamp) return null;
+    const d = new Date(timestamp);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// Exportable columns. group: 'match' | 'performance' | 'objectives' | 'advanced' | 'badges';
+// default: checked when the export dialog opens. value(match, context) gets a list row
+// (see matchService.getMatches) and { queueNames, accountLabels, badges }.
+const EXPORT_COLUMNS = [
+    { key: 'date', label: 'Date', group: 'match', default: true, value: m => formatDate(m.gameCreation) },
+    { key: 'matchId', label: 'Match ID', group: 'match', default: false, value: m => m.matchId },
+    { key: 'account', label: 'Account', group: 'match', default: false, value: (m, ctx) => ctx.accountLabels[m.puuid] || m.puuid },
+    { key: 'queue', label: 'Queue', group: 'match', default: true, value: (m, ctx) => ctx.queueNames[m.queueId] || `Queue ${m.queueId}` },
+    { key: 'champion', label: 'Champion', group: 'match', default: true, value: m => m.championName },
+    { key: 'position', label: 'Position', group: 'match', default: true, value: m => m.teamPosition || m.lane || null },
+    { key: 'result', label: 'Result', group: 'match', default: true, value: m => (m.win === 1 ? 'Win' : 'Loss') },
+    { key: 'duration', label: 'Duration (min)', group: 'match', default: true, value: m => round((m.gameDuration || 0) / 60, 1) },
+    { key: 'level', label: 'Level', group: 'match', default: false, value: m => m.champLevel },
+
+    { key: 'kills', label: 'Kills', group: 'performance', default: true, value: m => m.kills },
+    { key: 'deaths', label: 'Deaths', group: 'performance', default: true, value: m => m.deaths },
+    { key: 'assists', label: 'Assists', group: 'performance', default: true, value: m => m.assists },
+    { key: 'kda', label: 'KDA', group: 'performance', default: true, value: m => round((m.kills + m.assists) / Math.max(1, m.deaths), 2) },
+    { key: 'kp', label: 'KP%', group: 'performance', default: true, value: m => (m.teamKills > 0 ? round(((m.kills + m.assists) / m.teamKills) * 100) : null) },
+    { key: 'cs', label: 'CS', group: 'performance', default: true, value: m => m.totalMinionsKilled || 0 },
+    { key: 'csPerMin', label: 'CS/min', group: 'performance', default: true, value: m => (m.gameDuration > 0 ? round((m.totalMinionsKilled || 0) / (m.gameDuration / 60), 1) : null) },
+    { key: 'damage', label: 'Damage to Champions', group: 'performance', default: true, value: m => m.totalDamageDealtToChampions },
+    { key: 'gold', label: 'Gold Earned', group: 'performance', default: false, value: m => m.goldEarned },
+    { key: 'vision', label: 'Vision Score', group: 'performance', default: false, value: m => m.visionScore },
+    { key: 'wardsPlaced', label: 'Wards Placed', group: 'performance', default: false, value: m => m.wardsPlaced },
+    { key: 'wardsKilled', label: 'Wards Killed', group: 'performance', default: false, value: m => m.wardsKilled },
+    { key: 'controlWards', label: 'Control Wards', group: 'performance', default: false, value: m => m.detectorWardsPlaced },
+    { key: 'multikills', label: 'Penta/Quadra/Triple', group: 'performance', default: false, value: m => `${m.pentaKills || 0}/${m.quadraKills || 0}/${m.tripleKills || 0}` },
+
+    { key: 'teamDragons', label: 'Dragons', group: 'objectives', default: false, value: m => m.teamDragons },
+    { key: 'teamBarons', label: 'Barons', group: 'objectives', default: false, value: m => m.teamBarons },
+    { key: 'teamRiftHeralds', label: 'Heralds', group: 'objectives', default: false, value: m => m.teamRiftHeralds },
+    { key: 'teamTowers', label: 'Towers', group: 'objectives', default: false, value: m => m.teamTowers },
+
+    { key: 'csDiff15', label: 'CS Diff @15', group: 'advanced', default: false, value: m => m.csDiff15 },
+    { key: 'goldDiff15', label: 'Gold Diff @15', group: 'advanced', default: false, value: m => m.goldDiff15 },
+    { key: 'xpDiff15', label: 'XP Diff @15', group: 'advanced', default: false, value: m => m.xpDiff15 },
+    { key: 'firstBlood', label: 'First Blood', group: 'advanced', default: false, value: m => m.firstBlood },
+    { key: 'dmgGoldRatio', label: 'Damage/Gold', group: 'advanced', default: false, value: m => m.dmgGoldRatio },
+    { key: 'isolatedDeaths', label: 'Isolated Deaths', group: 'advanced', default: false, value: m => m.isolatedDeaths },
+    { key: 'objectiveRate', label: 'Objective %', group: 'advanced', default: false, value: m => m.objectiveRate },
+
+    { key: 'badges', label: 'Badges', group: 'badges', default: false, value: (m, ctx) => (ctx.badges.get(m) || []).map(b => b.name).join(', ') }
+];
+
+// Column list for the export dialog (without the value functions, which can't cross IPC)
+function getExportColumns() {
+    return EXPORT_COLUMNS.map(({ key, label, group, default: isDefault }) => ({ key, label, group, default: isDefault }));
+}
+
+// Badges of each match, from its stored JSON and timeline (skipped for matches without rawJson)
+async function evaluateMatchBadges(matches) {
+    const badges = new Map();
+    for (const match of matches) {
+        const full = await getMatchById(match.matchId, match.puuid);
+        if (!full || !full.rawJson) continue;
+        badges.set(match, evaluateBadges(full, await getTimeline(match.matchId)));
+    }
+    return badges;
+}
+
+// calculateStats of the exported matches as label/value rows
+function summaryRows(matches) {
+    const stats = calculateStats(matches);
+    const rows = [
+        ['Matches', stats.totalMatches],
+        ['Wins', stats.wins],
+        ['Win Rate %', stats.winRate],
+        ['Avg KDA', round(stats.avgKda, 2)],
+        ['Avg KP%', stats.avgKp],
+        ['Avg CS/min', round(stats.avgCsm, 1)],
+        ['Avg CS', stats.avgCs],
+        ['Avg Damage', stats.avgDmg],
+        ['Avg Duration (min)', round((stats.avgDuration || 0) / 60, 1)],
+        ['Avg CS Diff @15', round(stats.avgCsDiff15, 1)],
+        ['Avg Gold Diff @15', stats.avgGoldDiff15],
+        ['Avg XP Diff @15', stats.avgXpDiff15],
+        ['First Blood %', stats.firstBloodRate],
+        ['Avg Damage/Gold', round(stats.avgDmgGoldRatio, 2)],
+        ['Avg Isolated Deaths', round(stats.avgIsolatedDeaths, 1)],
+        ['Objective %', stats.avgObjectiveRate]
+    ];
+    return [['Stat', 'Value'], ...rows];
+}
+
+// Write the matches to filePath.
+// request: { keys: [{ matchId, puuid }] in list order, columns: [key], format: 'csv' | 'xlsx',
+//            queueNames: { [queueId]: name }, accountLabels: { [puuid]: 'Name#TAG' } }
+// XLSX files get a second sheet with the summary stats of the exported matches.
+// Resolves with { path, matchCount }.
+async function exportMatches(filePath, { keys, columns, format, queueNames = {}, accountLabels = {} }) {
+    const selected = EXPORT_COLUMNS.filter(c => columns.includes(c.key));
+    if (selected.length === 0) throw new Error('Choose at least one column to export');
+
+    const matches = await getMatchSummaries(keys);
+    const badges = columns.includes('badges') ? await evaluateMatchBadges(matches) : new Map();
+    const context = { queueNames, accountLabels, badges };
+
+    const rows = [
+        selected.map(c => c.label),
+        ...matches.map(match => selected.map(c => c.value(match, context)))
+    ];
+
+    if (format === 'xlsx') {
+        fs.writeFileSync(filePath, toXlsx([
+            { name: 'Matches', rows },
+            { name: 'Summary', rows: summaryRows(matches) }
+        ]));
+    } else {
+        fs.writeFileSync(filePath, toCsv(rows), 'utf8');
+    }
+    console.log(`Exported ${matches.length} matches to ${filePath}`);
+    return { path: filePath, matchCount: matches.length };
+}
+
+module.exports = { getExportColumns, exportMatches };
@@ -0,0 +1,19 @@
+// Storage format of the large JSON payloads in matches (rawJson, timelineJson): gzip-compressed BLOBs.
+// Rows written before compression hold plain JSON text; unpackJson reads both.
+const zlib = require('zlib');
+
+// Compress a value for storage (null stays null)
+function packJson(value) {
+    if (value === null || value === undefined) return null;
+    return zlib.gzipSync(Buffer.from(JSON.stringify(value)));
+}
+
+// Parse a stored payload: a gzip BLOB, legacy JSON text, or null.
+// Throws on malformed data, like JSON.parse.
+function unpackJson(stored) {
+    if (stored === null || stored === undefined) return null;
+    if (Buffer.isBuffer(stored)) return JSON.parse(zlib.gunzipSync(stored).toString());
+    return JSON.parse(stored);
+}
+
+module.exports = { packJson, unpackJson };
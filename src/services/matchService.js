@@ -1,48 +1,35 @@
-const { getMatchIds, getMatchData, getMatchTimeline } = require('./riotApi');
-const { db } = require('./database');
-
-// Rate limit delay (ms) - Riot API allows 20 req/s, but we'll be conservative
-const REQUEST_DELAY_MS = 150; // ~6-7 requests per second to stay safe
-
-// January 1, 2026 at 00:00 AM UTC (start of the year - catch all matches)
-// Epoch timestamp in seconds
-const RANKED_SEASON_START = Math.floor(new Date('2026-01-01T00:00:00Z').getTime() / 1000);
-
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-// Promisify database methods
-function dbGet(sql, params) {
-    return new Promise((resolve, reject) => {
-        db.get(sql, params, (err, row) => {
-            if (err) reject(err);
-            else resolve(row);
-        });
-    });
-}
-
-function dbRun(sql, params) {
-    return new Promise((resolve, reject) => {
-        db.run(sql, params, function (err) {
-            if (err) reject(err);
-            else resolve(this);
-        });
-    });
+const { getMatchIds, getMatchData, getMatchTimeline, isAbortError, getPlatformForMatchId } = require('./riotApi');
+const { dbGet, dbRun, dbAll, withTransaction } = require('./database');
+const { startSyncJob, interruptSyncJob, completeSyncJob, enqueueMatches, getQueuedMatches, setQueueState, markTimelineFetched } = require('./syncQueue');
+const { saveMatchParticipants } = require('./participantService');
+const { saveTimeline } = require('./timelineService');
+const { packJson, unpackJson } = require('./jsonBlob');
+const { saveRankSnapshots } = require('./rankHistoryService');
+const { loadConfig } = require('./config');
+
+// Start of the configured sync window as an epoch timestamp in seconds,
+// or null when syncing everything the API will return
+function getSyncWindowStart(syncWindow) {
+    const range = syncWindow || {};
+    if (range.mode === 'all') return null;
+    if (range.mode === 'days') {
+        const days = Math.max(1, parseInt(range.days, 10) || 90);
+        return Math.floor(Date.now() / 1000) - days * 86400;
+    }
+    const start = Date.parse(`${range.startDate || '2026-01-01'}T00:00:00Z`);
+    return Math.floor((isNaN(start) ? Date.parse('2026-01-01T00:00:00Z') : start) / 1000);
 }
 
-function dbAll(sql, params = []) {
-    return new Promise((resolve, reject) => {
-        db.all(sql, params, (err, rows) => {
-            if (err) reject(err);
-            else resolve(rows);
-        });
-    });
+// WHERE clause restricting matches to the given accounts (all stored matches when puuids is null)
+function ownerFilter(puuids) {
+    if (!puuids) return { where: '', params: [] };
+    if (puuids.length === 0) return { where: 'WHERE 0', params: [] };
+    return { where: `WHERE puuid IN (${puuids.map(() => '?').join(', ')})`, params: puuids };
 }
 
-// Load all matches from database, newest first
-async function getMatches(limit = null) {
-    const sql = `SELECT matchId, queueId, gameCreation, gameDuration, championName, champLevel,
+// Columns of the match list. The large rawJson/timelineJson payloads are left out;
+// getMatchById loads them for a single match.
+const SUMMARY_COLUMNS = `matchId, puuid, participantId, queueId, gameCreation, gameDuration, championName, champLevel,
                 win, kills, deaths, assists, goldEarned, totalMinionsKilled,
                 totalDamageDealtToChampions, visionScore,
                 doubleKills, tripleKills, quadraKills, pentaKills,
@@ -53,26 +40,86 @@ async function getMatches(limit = null) {
                 teamDragons, enemyDragons, teamBarons, enemyBarons,
                 teamRiftHeralds, enemyRiftHeralds, teamTowers, enemyTowers,
                 teamInhibitors, enemyInhibitors, teamId, teamKills,
-                primaryRune, secondaryRuneStyle, rawJson, timelineJson,
-                csDiff15, goldDiff15, xpDiff15, firstBlood, dmgGoldRatio, isolatedDeaths, objectiveRate
+                primaryRune, secondaryRuneStyle, gameVersion,
+                csDiff15, goldDiff15, xpDiff15, firstBlood, dmgGoldRatio, isolatedDeaths, objectiveRate,
+                (SELECT summoner1Id FROM match_participants mp WHERE mp.matchId = matches.matchId AND mp.participantId = matches.participantId) AS summoner1Id,
+                (SELECT summoner2Id FROM match_participants mp WHERE mp.matchId = matches.matchId AND mp.participantId = matches.participantId) AS summoner2Id`;
+
+// Columns the stats cards, trends and filters are computed from
+const STAT_COLUMNS = `matchId, puuid, queueId, gameCreation, gameDuration, championName, win, kills, deaths, assists,
+                totalMinionsKilled, totalDamageDealtToChampions, teamKills,
+                csDiff15, goldDiff15, xpDiff15, firstBlood, dmgGoldRatio, isolatedDeaths, objectiveRate`;
+
+// One page of the match list of the given accounts (puuids), newest first.
+// before: the nextCursor of the previous page ({ gameCreation, matchId, puuid }), or null for the first page.
+// Returns { matches, nextCursor }; nextCursor is null on the last page.
+async function getMatches(puuids = null, { before = null, limit = null } = {}) {
+    const owner = ownerFilter(puuids);
+    let where = owner.where;
+    const params = [...owner.params];
+    if (before) {
+        // (gameCreation, matchId, puuid) is unique, so rows sharing a gameCreation are neither skipped nor repeated
+        where = `${where ? `${where} AND` : 'WHERE'} (gameCreation, matchId, puuid) < (?, ?, ?)`;
+        params.push(before.gameCreation, before.matchId, before.puuid);
+    }
+    if (limit) params.push(limit);
+
+    const matches = await dbAll(
+        `SELECT ${SUMMARY_COLUMNS}
          FROM matches
-         ORDER BY gameCreation DESC${limit ? ' LIMIT ?' : ''}`;
+         ${where}
+         ORDER BY gameCreation DESC, matchId DESC, puuid DESC${limit ? ' LIMIT ?' : ''}`,
+        params
+    );
+
+    const last = matches[matches.length - 1];
+    const nextCursor = limit && matches.length === limit
+        ? { gameCreation: last.gameCreation, matchId: last.matchId, puuid: last.puuid }
+        : null;
+    return { matches, nextCursor };
+}
 
-    const matches = await dbAll(sql, limit ? [limit] : []);
-    return matches;
+// List rows of specific matches: keys = [{ matchId, puuid }]. Rows come back in the order of keys.
+async function getMatchSummaries(keys) {
+    const rows = [];
+    // 400 keys = 800 bound parameters per query
+    for (let i = 0; i < keys.length; i += 400) {
+        const chunk = keys.slice(i, i + 400);
+        rows.push(...await dbAll(
+            `SELECT ${SUMMARY_COLUMNS} FROM matches
+             WHERE (matchId, puuid) IN (VALUES ${chunk.map(() => '(?, ?)').join(', ')})`,
+            chunk.flatMap(key => [key.matchId, key.puuid])
+        ));
+    }
+    const byKey = new Map(rows.map(row => [`${row.matchId}|${row.puuid}`, row]));
+    return keys.map(key => byKey.get(`${key.matchId}|${key.puuid}`)).filter(Boolean);
+}
+
+// Every match of the given accounts with just the stat columns, newest first
+async function getMatchStatRows(puuids = null) {
+    const owner = ownerFilter(puuids);
+    return dbAll(
+        `SELECT ${STAT_COLUMNS} FROM matches ${owner.where} ORDER BY gameCreation DESC, matchId DESC, puuid DESC`,
+        owner.params
+    );
 }
 
-// Get full match details by ID (including rawJson for team composition)
-async function getMatchById(matchId) {
+// Get full match details by ID as seen by one account, with rawJson and timelineJson
+// decompressed into objects (rawJson is used for team composition)
+async function getMatchById(matchId, puuid) {
     const match = await dbGet(
-        `SELECT * FROM matches WHERE matchId = ?`,
-        [matchId]
+        `SELECT * FROM matches WHERE matchId = ? AND puuid = ?`,
+        [matchId, puuid]
     );
+    if (!match) return match;
+    match.rawJson = unpackJson(match.rawJson);
+    match.timelineJson = unpackJson(match.timelineJson);
     return match;
 }
 
-// Get summary stats
-async function getStats() {
+// Get summary stats for the given accounts (all stored matches when puuids is null)
+async function getStats(puuids = null) {
+    const owner = ownerFilter(puuids);
     const stats = await dbGet(
         `SELECT
             COUNT(*) as totalMatches,
@@ -89,17 +136,26 @@ async function getStats() {
             SUM(baronKills) as totalBarons,
             SUM(turretKills) as totalTurrets,
             AVG(wardsPlaced) as avgWardsPlaced
-         FROM matches`
+         FROM matches
+         ${owner.where}`,
+        owner.params
     );
     return stats;
 }
 
-async function syncMatches(puuid, onProgress) {
+// Find match IDs that need syncing: newer than the latest stored match, missing older ones
+// inside the configured sync window, and special queues that the unfiltered endpoint doesn't return.
+// Stored matches older than the window are left alone.
+async function discoverMatchIds(account, onProgress, signal) {
+    const { puuid, region } = account;
     console.log('Fetching match IDs for PUUID:', puuid);
 
-    // Get the most recent and oldest match timestamps from database
-    const latestMatch = await dbGet("SELECT MAX(gameCreation) as latestTime FROM matches");
-    const oldestMatch = await dbGet("SELECT MIN(gameCreation) as oldestTime FROM matches");
+    const windowStart = getSyncWindowStart(account.syncWindow);
+    const windowLabel = windowStart ? new Date(windowStart * 1000).toISOString() : 'the start of available history';
+
+    // Get the most recent and oldest match timestamps of this account from database
+    const latestMatch = await dbGet("SELECT MAX(gameCreation) as latestTime FROM matches WHERE puuid = ?", [puuid]);
+    const oldestMatch = await dbGet("SELECT MIN(gameCreation) as oldestTime FROM matches WHERE puuid = ?", [puuid]);
 
     let allMatchIds = [];
 
@@ -107,23 +163,23 @@ async function syncMatches(puuid, onProgress) {
         // FORWARD SYNC: fetch matches AFTER the most recent one
         const forwardStartTime = Math.floor(latestMatch.latestTime / 1000) + 1;
         console.log(`Forward sync: fetching matches after ${new Date(latestMatch.latestTime).toISOString()}`);
-        const forwardMatches = await getMatchIds(puuid, forwardStartTime);
+        const forwardMatches = await getMatchIds(puuid, { region, startTime: forwardStartTime, signal });
         console.log(`Found ${forwardMatches.length} new matches (forward)`);
         allMatchIds.push(...forwardMatches);
 
-        // BACKWARD SYNC: fetch matches BEFORE the oldest one (but after season start)
+        // BACKWARD SYNC: fetch matches BEFORE the oldest one (but inside the sync window)
         if (oldestMatch && oldestMatch.oldestTime) {
             const oldestTimeSeconds = Math.floor(oldestMatch.oldestTime / 1000);
 
-            // Only do backward sync if there's a gap between season start and oldest match
-            if (oldestTimeSeconds > RANKED_SEASON_START + 86400) { // More than 1 day gap
-                console.log(`Backward sync: fetching matches between season start and ${new Date(oldestMatch.oldestTime).toISOString()}`);
+            // Only do backward sync if there's a gap between the window start and oldest match.
+            // With no window start, there's always possibly older history to look for.
+            if (windowStart === null || oldestTimeSeconds > windowStart + 86400) { // More than 1 day gap
+                console.log(`Backward sync: fetching matches between ${windowLabel} and ${new Date(oldestMatch.oldestTime).toISOString()}`);
 
-                // Fetch matches from season start, then filter out ones we already have
-                const backwardMatches = await getMatchIds(puuid, RANKED_SEASON_START);
+                const backwardMatches = await getMatchIds(puuid, { region, startTime: windowStart, endTime: oldestTimeSeconds, signal });
 
-                // Filter to only include matches before our oldest (to avoid duplicates)
-                const existingIds = new Set((await dbAll("SELECT matchId FROM matches")).map(m => m.matchId));
+                // Filter out ones we already have (to avoid duplicates)
+                const existingIds = new Set((await dbAll("SELECT matchId FROM matches WHERE puuid = ?", [puuid])).map(m => m.matchId));
                 const missingMatches = backwardMatches.filter(id => !existingIds.has(id));
 
                 console.log(`Found ${missingMatches.length} missing older matches (backward)`);
@@ -131,237 +187,295 @@ async function syncMatches(puuid, onProgress) {
             }
         }
     } else {
-        // First sync: fetch all matches since season start
-        console.log('First sync: fetching ALL matches since Jan 1, 2026...');
-        allMatchIds = await getMatchIds(puuid, RANKED_SEASON_START);
+        // First sync: fetch all matches in the sync window
+        console.log(`First sync: fetching ALL matches since ${windowLabel}...`);
+        allMatchIds = await getMatchIds(puuid, { region, startTime: windowStart, signal });
     }
 
     // Fetch special queues that require explicit queue parameter (Riot API doesn't return them by default)
     const SPECIAL_QUEUES = [2400, 1700, 1710];
     const specialMatchIds = [];
 
-    // Always fetch from RANKED_SEASON_START for special queues to catch any missed matches,
+    // Always fetch the whole sync window for special queues to catch any missed matches,
     // since backward sync (without queue filter) cannot find these queue types
     for (const queueId of SPECIAL_QUEUES) {
-        const MAX_RETRIES = 2;
-        for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
-            try {
-                console.log(`Fetching special queue ${queueId} matches (attempt ${attempt + 1})...`);
-                const specialMatches = await getMatchIds(puuid, RANKED_SEASON_START, queueId);
-                console.log(`Found ${specialMatches.length} matches for queue ${queueId}`);
-                specialMatchIds.push(...specialMatches);
-                await sleep(150);
-                break; // Success, stop retrying
-            } catch (err) {
-                console.warn(`Attempt ${attempt + 1} failed for queue ${queueId}: ${err.message}`);
-                if (attempt < MAX_RETRIES) {
-                    // Wait longer before retrying (exponential backoff)
-                    await sleep(1000 * (attempt + 1));
-                } else {
-                    console.error(`All retries failed for special queue ${queueId}. These matches may be missing.`);
-                    if (onProgress) onProgress(0, 0, 'warn', `Failed to fetch queue ${queueId} matches - will retry next sync`);
-                }
-            }
+        try {
+            console.log(`Fetching special queue ${queueId} matches...`);
+            const specialMatches = await getMatchIds(puuid, { region, startTime: windowStart, queue: queueId, signal });
+            console.log(`Found ${specialMatches.length} matches for queue ${queueId}`);
+            specialMatchIds.push(...specialMatches);
+        } catch (err) {
+            if (isAbortError(err)) throw err;
+            console.error(`Failed to fetch special queue ${queueId}: ${err.message}. These matches may be missing.`);
+            if (onProgress) onProgress(0, 0, 'warn', `Failed to fetch queue ${queueId} matches - will retry next sync`);
         }
     }
 
-    // Prepend special queue matches so they are processed FIRST (before rate limiting can drop them)
+    // Special queue matches first, then deduplicate
     allMatchIds.unshift(...specialMatchIds);
+    return [...new Set(allMatchIds)];
+}
 
-    // Deduplicate match IDs
-    const matchIds = [...new Set(allMatchIds)];
-    console.log(`Total unique matches to process: ${matchIds.length}`);
+// Extract the stored columns of one match (team objectives, runes, advanced stats) as seen by the
+// account with this puuid, and store them with the participants and timeline rows.
+// exists: whether the (matchId, puuid) row is already there (it's updated then).
+// The match row, participants and timeline rows are written in one transaction.
+// Returns false if the player isn't in the match. Used by sync and by archive import (no API calls).
+async function saveMatch(id, puuid, data, timelineData, exists) {
+    const info = data.info;
+
+    // Find yourself in the participants list
+    const me = info.participants.find(p => p.puuid === puuid);
+    if (!me) return false;
+
+    // Extract team objectives
+    const myTeam = info.teams.find(t => t.teamId === me.teamId);
+    const enemyTeam = info.teams.find(t => t.teamId !== me.teamId);
+
+    // Calculate team kills if not directly available (though usually in objectives, we can also sum participants)
+    // But usually we can just count kills from all participants in that team
+    const teamKills = info.participants
+        .filter(p => p.teamId === me.teamId)
+        .reduce((sum, p) => sum + p.kills, 0);
+
+    const myObjectives = myTeam?.objectives || {};
+    const enemyObjectives = enemyTeam?.objectives || {};
+
+    const teamDragons = myObjectives.dragon?.kills || 0;
+    const enemyDragons = enemyObjectives.dragon?.kills || 0;
+    const teamBarons = myObjectives.baron?.kills || 0;
+    const enemyBarons = enemyObjectives.baron?.kills || 0;
+    const teamRiftHeralds = myObjectives.riftHerald?.kills || 0;
+    const enemyRiftHeralds = enemyObjectives.riftHerald?.kills || 0;
+    const teamTowers = myObjectives.tower?.kills || 0;
+    const enemyTowers = enemyObjectives.tower?.kills || 0;
+    const teamInhibitors = myObjectives.inhibitor?.kills || 0;
+    const enemyInhibitors = enemyObjectives.inhibitor?.kills || 0;
+
+    // Extract rune data
+    const primaryRune = me.perks?.styles?.[0]?.selections?.[0]?.perk || null;
+    const secondaryRuneStyle = me.perks?.styles?.[1]?.style || null;
+
+    // Compute advanced stats
+    const advStats = computeAdvancedStatsForMatch(data, timelineData, puuid);
+    const participantId = me.participantId || (info.participants.indexOf(me) + 1);
+
+    await withTransaction(async () => {
+        if (!exists) {
+            // Insert new match
+            await dbRun(
+                `INSERT INTO matches (
+                    matchId, puuid, participantId, queueId, gameCreation, gameDuration, championName, champLevel,
+                    win, kills, deaths, assists, goldEarned, totalMinionsKilled,
+                    totalDamageDealtToChampions, visionScore,
+                    doubleKills, tripleKills, quadraKills, pentaKills,
+                    turretKills, inhibitorKills, dragonKills, baronKills, objectivesStolen,
+                    wardsPlaced, wardsKilled, detectorWardsPlaced,
+                    teamPosition, lane,
+                    item0, item1, item2, item3, item4, item5, item6,
+                    teamDragons, enemyDragons, teamBarons, enemyBarons,
+                    teamRiftHeralds, enemyRiftHeralds, teamTowers, enemyTowers,
+                    teamInhibitors, enemyInhibitors, teamId, teamKills,
+                    primaryRune, secondaryRuneStyle, gameVersion,
+                    rawJson, timelineJson,
+                    csDiff15, goldDiff15, xpDiff15, firstBlood, dmgGoldRatio, isolatedDeaths, objectiveRate
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    id, puuid, participantId, info.queueId, info.gameCreation, info.gameDuration, me.championName, me.champLevel,
+                    me.win ? 1 : 0, me.kills, me.deaths, me.assists, me.goldEarned, (me.totalMinionsKilled || 0) + (me.neutralMinionsKilled || 0),
+                    me.totalDamageDealtToChampions, me.visionScore,
+                    me.doubleKills, me.tripleKills, me.quadraKills, me.pentaKills,
+                    me.turretKills, me.inhibitorKills, me.dragonKills, me.baronKills, me.objectivesStolen,
+                    me.wardsPlaced, me.wardsKilled, me.detectorWardsPlaced,
+                    me.teamPosition, me.lane,
+                    me.item0, me.item1, me.item2, me.item3, me.item4, me.item5, me.item6,
+                    teamDragons, enemyDragons, teamBarons, enemyBarons,
+                    teamRiftHeralds, enemyRiftHeralds, teamTowers, enemyTowers,
+                    teamInhibitors, enemyInhibitors, me.teamId, teamKills,
+                    primaryRune, secondaryRuneStyle, info.gameVersion || null,
+                    packJson(data), packJson(timelineData),
+                    advStats.csDiff15, advStats.goldDiff15, advStats.xpDiff15, advStats.firstBlood, advStats.dmgGoldRatio, advStats.isolatedDeaths, advStats.objectiveRate
+                ]
+            );
+            console.log(`Saved match ${id}: ${me.championName} (${me.teamPosition || me.lane}) - ${me.kills}/${me.deaths}/${me.assists}`);
+        } else {
+            // Update existing match with complete data
+            await dbRun(
+                `UPDATE matches SET
+                    participantId = ?, gameDuration = ?, champLevel = ?, totalMinionsKilled = ?,
+                    totalDamageDealtToChampions = ?, visionScore = ?,
+                    doubleKills = ?, tripleKills = ?, quadraKills = ?, pentaKills = ?,
+                    turretKills = ?, inhibitorKills = ?, dragonKills = ?, baronKills = ?, objectivesStolen = ?,
+                    wardsPlaced = ?, wardsKilled = ?, detectorWardsPlaced = ?,
+                    teamPosition = ?, lane = ?,
+                    item0 = ?, item1 = ?, item2 = ?, item3 = ?, item4 = ?, item5 = ?, item6 = ?,
+                    teamDragons = ?, enemyDragons = ?, teamBarons = ?, enemyBarons = ?,
+                    teamRiftHeralds = ?, enemyRiftHeralds = ?, teamTowers = ?, enemyTowers = ?,
+                    teamInhibitors = ?, enemyInhibitors = ?, teamId = ?, teamKills = ?,
+                    primaryRune = ?, secondaryRuneStyle = ?, gameVersion = ?, rawJson = ?,
+                    timelineJson = ?,
+                    csDiff15 = ?, goldDiff15 = ?, xpDiff15 = ?, firstBlood = ?, dmgGoldRatio = ?, isolatedDeaths = ?, objectiveRate = ?
+                WHERE matchId = ? AND puuid = ?`,
+                [
+                    participantId, info.gameDuration, me.champLevel, (me.totalMinionsKilled || 0) + (me.neutralMinionsKilled || 0),
+                    me.totalDamageDealtToChampions, me.visionScore,
+                    me.doubleKills, me.tripleKills, me.quadraKills, me.pentaKills,
+                    me.turretKills, me.inhibitorKills, me.dragonKills, me.baronKills, me.objectivesStolen,
+                    me.wardsPlaced, me.wardsKilled, me.detectorWardsPlaced,
+                    me.teamPosition, me.lane,
+                    me.item0, me.item1, me.item2, me.item3, me.item4, me.item5, me.item6,
+                    teamDragons, enemyDragons, teamBarons, enemyBarons,
+                    teamRiftHeralds, enemyRiftHeralds, teamTowers, enemyTowers,
+                    teamInhibitors, enemyInhibitors, me.teamId, teamKills,
+                    primaryRune, secondaryRuneStyle, info.gameVersion || null, packJson(data),
+                    packJson(timelineData),
+                    advStats.csDiff15, advStats.goldDiff15, advStats.xpDiff15, advStats.firstBlood, advStats.dmgGoldRatio, advStats.isolatedDeaths, advStats.objectiveRate,
+                    id, puuid
+                ]
+            );
+            console.log(`Updated match ${id} with complete data (including gameDuration)`);
+        }
+        await saveMatchParticipants(id, data);
+        if (timelineData) await saveTimeline(id, timelineData);
+    });
+    return true;
+}
 
-    // If no new matches, return early
-    if (matchIds.length === 0) {
-        console.log('No new matches to sync');
-        if (onProgress) onProgress(0, 0, 'complete');
-        return { newMatches: 0, skipped: 0, total: 0 };
-    }
+// Fetch and store one queued match for the account with this puuid.
+// Returns { type: 'new' | 'updated' | 'skipped' | 'error', ... }
+// Throws if the signal is aborted before the match is stored.
+async function processQueuedMatch(id, puuid, signal) {
+    // Check if we already have it (e.g. a resumed sync that stored it before stopping)
+    const row = await dbGet("SELECT matchId, gameDuration, totalMinionsKilled, teamDragons, teamBarons, teamRiftHeralds, primaryRune, teamKills, timelineJson IS NULL AS timelineMissing FROM matches WHERE matchId = ? AND puuid = ?", [id, puuid]);
+
+    // If match doesn't exist OR is missing critical data, fetch/update it
+    const needsFetch = !row || row.gameDuration === null || row.totalMinionsKilled === null || row.teamDragons === null || row.teamBarons === null || row.teamRiftHeralds === null || row.primaryRune === null || row.teamKills === null || row.timelineMissing;
+
+    if (needsFetch) {
+        if (!row) {
+            console.log(`Fetching new match: ${id}`);
+        } else {
+            console.log(`Updating incomplete match: ${id}`);
+        }
 
-    let newMatches = 0;
-    let skipped = 0;
-    let processed = 0;
-    const newMatchIds = [];
-    const total = matchIds.length;
-    const BATCH_SIZE = 2; // Process 2 matches concurrently to stay under rate limits
+        const data = await getMatchData(id, signal);
+        // Fetch timeline data for badge evaluation
+        let timelineData = null;
+        let timelineError = null;
+        try {
+            timelineData = await getMatchTimeline(id, signal);
+        } catch (tlErr) {
+            if (isAbortError(tlErr)) throw tlErr;
+            timelineError = tlErr.message;
+            console.warn(`Could not fetch timeline for ${id}: ${tlErr.message}`);
+        }
+        const saved = await saveMatch(id, puuid, data, timelineData, Boolean(row));
+        if (!saved) return { type: 'error', id, error: new Error('Tracked player not found in match participants') };
+        return { type: row ? 'updated' : 'new', id, timelineError };
+    } else {
+        console.log(`Match ${id} already exists with complete data. Skipping.`);
+        return { type: 'skipped', id };
+    }
+}
 
-    // Report initial progress
-    if (onProgress) onProgress(0, total);
+// Sync one account: { puuid, region, syncWindow } (see config.createAccount, puuid must be resolved)
+// signal: optional AbortSignal. Aborting stops after the matches already in flight are settled;
+// everything stored so far is kept and the rest stays queued for the next (resumed) sync.
+async function syncMatches(account, onProgress, signal = null) {
+    const { puuid } = account;
+    const job = await startSyncJob(puuid);
+    if (job.resumed) {
+        console.log(`Resuming interrupted sync job ${job.jobId}`);
+    }
 
-    // Process in batches for much faster performance
-    for (let i = 0; i < matchIds.length; i += BATCH_SIZE) {
-        const batch = matchIds.slice(i, i + BATCH_SIZE);
+    try {
+        // Persist newly discovered IDs before fetching anything, so nothing is lost if the app closes
+        const discovered = await discoverMatchIds(account, onProgress, signal);
+        await enqueueMatches(job.jobId, puuid, discovered);
+
+        const queue = await getQueuedMatches(puuid);
+        console.log(`Total matches to process: ${queue.length} (${discovered.length} discovered this run)`);
+
+        // If nothing is queued, return early
+        if (queue.length === 0) {
+            console.log('No new matches to sync');
+            await completeSyncJob(job.jobId, puuid);
+            if (onProgress) onProgress(0, 0, 'complete');
+            return { newMatches: 0, skipped: 0, failed: 0, total: 0, newMatchIds: [], resumed: job.resumed };
+        }
 
-        const results = await Promise.allSettled(
-            batch.map(async (id) => {
-                try {
-                    // Check if we already have it (shouldn't happen with incremental sync, but safety check)
-                    const row = await dbGet("SELECT matchId, gameDuration, totalMinionsKilled, teamDragons, teamBarons, teamRiftHeralds, primaryRune, teamKills, timelineJson FROM matches WHERE matchId = ?", [id]);
+        let newMatches = 0;
+        let skipped = 0;
+        let failed = 0;
+        let processed = 0;
+        const newMatchIds = [];
+        const matchIds = queue.map(q => q.matchId);
+        const total = matchIds.length;
+        const BATCH_SIZE = 2; // Process 2 matches concurrently (riotApi's rate limiter does the throttling)
 
-                    // If match doesn't exist OR is missing critical data, fetch/update it
-                    const needsFetch = !row || row.gameDuration === null || row.totalMinionsKilled === null || row.teamDragons === null || row.teamBarons === null || row.teamRiftHeralds === null || row.primaryRune === null || row.teamKills === null || row.timelineJson === null;
+        // Report initial progress
+        if (onProgress) onProgress(0, total);
 
-                    if (needsFetch) {
-                        if (!row) {
-                            console.log(`Fetching new match: ${id}`);
-                        } else {
-                            console.log(`Updating incomplete match: ${id}`);
-                        }
+        for (let i = 0; i < matchIds.length; i += BATCH_SIZE) {
+            const batch = matchIds.slice(i, i + BATCH_SIZE);
 
-                        const data = await getMatchData(id);
-                        // Fetch timeline data for badge evaluation
-                        let timelineData = null;
-                        try {
-                            await sleep(REQUEST_DELAY_MS); // Respect rate limits between calls
-                            timelineData = await getMatchTimeline(id);
-                        } catch (tlErr) {
-                            console.warn(`Could not fetch timeline for ${id}: ${tlErr.message}`);
-                        }
-                        const info = data.info;
-
-                        // Find yourself in the participants list
-                        const me = info.participants.find(p => p.puuid === puuid);
-
-                        if (me) {
-                            // Extract team objectives
-                            const myTeam = info.teams.find(t => t.teamId === me.teamId);
-                            const enemyTeam = info.teams.find(t => t.teamId !== me.teamId);
-
-                            // Calculate team kills if not directly available (though usually in objectives, we can also sum participants)
-                            // But usually we can just count kills from all participants in that team
-                            const teamKills = info.participants
-                                .filter(p => p.teamId === me.teamId)
-                                .reduce((sum, p) => sum + p.kills, 0);
-
-                            const myObjectives = myTeam?.objectives || {};
-                            const enemyObjectives = enemyTeam?.objectives || {};
-
-                            const teamDragons = myObjectives.dragon?.kills || 0;
-                            const enemyDragons = enemyObjectives.dragon?.kills || 0;
-                            const teamBarons = myObjectives.baron?.kills || 0;
-                            const enemyBarons = enemyObjectives.baron?.kills || 0;
-                            const teamRiftHeralds = myObjectives.riftHerald?.kills || 0;
-                            const enemyRiftHeralds = enemyObjectives.riftHerald?.kills || 0;
-                            const teamTowers = myObjectives.tower?.kills || 0;
-                            const enemyTowers = enemyObjectives.tower?.kills || 0;
-                            const teamInhibitors = myObjectives.inhibitor?.kills || 0;
-                            const enemyInhibitors = enemyObjectives.inhibitor?.kills || 0;
-
-                            // Extract rune data
-                            const primaryRune = me.perks?.styles?.[0]?.selections?.[0]?.perk || null;
-                            const secondaryRuneStyle = me.perks?.styles?.[1]?.style || null;
-
-                            // Compute advanced stats
-                            const advStats = computeAdvancedStatsForMatch(data, timelineData, me.championName, me.teamId);
-
-                            if (!row) {
-                                // Insert new match
-                                await dbRun(
-                                    `INSERT INTO matches (
-                                        matchId, queueId, gameCreation, gameDuration, championName, champLevel,
-                                        win, kills, deaths, assists, goldEarned, totalMinionsKilled,
-                                        totalDamageDealtToChampions, visionScore,
-                                        doubleKills, tripleKills, quadraKills, pentaKills,
-                                        turretKills, inhibitorKills, dragonKills, baronKills, objectivesStolen,
-                                        wardsPlaced, wardsKilled, detectorWardsPlaced,
-                                        teamPosition, lane,
-                                        item0, item1, item2, item3, item4, item5, item6,
-                                        teamDragons, enemyDragons, teamBarons, enemyBarons,
-                                        teamRiftHeralds, enemyRiftHeralds, teamTowers, enemyTowers,
-                                        teamInhibitors, enemyInhibitors, teamId, teamKills,
-                                        primaryRune, secondaryRuneStyle,
-                                        rawJson, timelineJson,
-                                        csDiff15, goldDiff15, xpDiff15, firstBlood, dmgGoldRatio, isolatedDeaths, objectiveRate
-                                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                                    [
-                                        id, info.queueId, info.gameCreation, info.gameDuration, me.championName, me.champLevel,
-                                        me.win ? 1 : 0, me.kills, me.deaths, me.assists, me.goldEarned, (me.totalMinionsKilled || 0) + (me.neutralMinionsKilled || 0),
-                                        me.totalDamageDealtToChampions, me.visionScore,
-                                        me.doubleKills, me.tripleKills, me.quadraKills, me.pentaKills,
-                                        me.turretKills, me.inhibitorKills, me.dragonKills, me.baronKills, me.objectivesStolen,
-                                        me.wardsPlaced, me.wardsKilled, me.detectorWardsPlaced,
-                                        me.teamPosition, me.lane,
-                                        me.item0, me.item1, me.item2, me.item3, me.item4, me.item5, me.item6,
-                                        teamDragons, enemyDragons, teamBarons, enemyBarons,
-                                        teamRiftHeralds, enemyRiftHeralds, teamTowers, enemyTowers,
-                                        teamInhibitors, enemyInhibitors, me.teamId, teamKills,
-                                        primaryRune, secondaryRuneStyle,
-                                        JSON.stringify(data), timelineData ? JSON.stringify(timelineData) : null,
-                                        advStats.csDiff15, advStats.goldDiff15, advStats.xpDiff15, advStats.firstBlood, advStats.dmgGoldRatio, advStats.isolatedDeaths, advStats.objectiveRate
-                                    ]
-                                );
-                                newMatches++;
-                                newMatchIds.push(id);
-                                console.log(`Saved match ${id}: ${me.championName} (${me.teamPosition || me.lane}) - ${me.kills}/${me.deaths}/${me.assists}`);
-                            } else {
-                                // Update existing match with complete data
-                                await dbRun(
-                                    `UPDATE matches SET
-                                        gameDuration = ?, champLevel = ?, totalMinionsKilled = ?,
-                                        totalDamageDealtToChampions = ?, visionScore = ?,
-                                        doubleKills = ?, tripleKills = ?, quadraKills = ?, pentaKills = ?,
-                                        turretKills = ?, inhibitorKills = ?, dragonKills = ?, baronKills = ?, objectivesStolen = ?,
-                                        wardsPlaced = ?, wardsKilled = ?, detectorWardsPlaced = ?,
-                                        teamPosition = ?, lane = ?,
-                                        item0 = ?, item1 = ?, item2 = ?, item3 = ?, item4 = ?, item5 = ?, item6 = ?,
-                                        teamDragons = ?, enemyDragons = ?, teamBarons = ?, enemyBarons = ?,
-                                        teamRiftHeralds = ?, enemyRiftHeralds = ?, teamTowers = ?, enemyTowers = ?,
-                                        teamInhibitors = ?, enemyInhibitors = ?, teamId = ?, teamKills = ?,
-                                        primaryRune = ?, secondaryRuneStyle = ?, rawJson = ?,
-                                        timelineJson = ?,
-                                        csDiff15 = ?, goldDiff15 = ?, xpDiff15 = ?, firstBlood = ?, dmgGoldRatio = ?, isolatedDeaths = ?, objectiveRate = ?
-                                    WHERE matchId = ?`,
-                                    [
-                                        info.gameDuration, me.champLevel, (me.totalMinionsKilled || 0) + (me.neutralMinionsKilled || 0),
-                                        me.totalDamageDealtToChampions, me.visionScore,
-                                        me.doubleKills, me.tripleKills, me.quadraKills, me.pentaKills,
-                                        me.turretKills, me.inhibitorKills, me.dragonKills, me.baronKills, me.objectivesStolen,
-                                        me.wardsPlaced, me.wardsKilled, me.detectorWardsPlaced,
-                                        me.teamPosition, me.lane,
-                                        me.item0, me.item1, me.item2, me.item3, me.item4, me.item5, me.item6,
-                                        teamDragons, enemyDragons, teamBarons, enemyBarons,
-                                        teamRiftHeralds, enemyRiftHeralds, teamTowers, enemyTowers,
-                                        teamInhibitors, enemyInhibitors, me.teamId, teamKills,
-                                        primaryRune, secondaryRuneStyle, JSON.stringify(data),
-                                        timelineData ? JSON.stringify(timelineData) : null,
-                                        advStats.csDiff15, advStats.goldDiff15, advStats.xpDiff15, advStats.firstBlood, advStats.dmgGoldRatio, advStats.isolatedDeaths, advStats.objectiveRate,
-                                        id
-                                    ]
-                                );
-                                console.log(`Updated match ${id} with complete data (including gameDuration)`);
-                            }
-                            return { type: row ? 'updated' : 'new', id };
-                        }
-                    } else {
-                        console.log(`Match ${id} already exists with complete data. Skipping.`);
-                        skipped++;
-                        return { type: 'skipped', id };
-                    }
+            await Promise.all(batch.map(async (id) => {
+                let result;
+                try {
+                    result = await processQueuedMatch(id, puuid, signal);
                 } catch (error) {
+                    // Aborted mid-request: leave it pending so the resumed sync fetches it
+                    if (isAbortError(error)) return;
                     console.error(`Error processing match ${id}:`, error.message);
-                    return { type: 'error', id, error };
+                    result = { type: 'error', id, error };
                 }
-            })
-        );
 
-        // Update progress after batch completes
-        processed += batch.length;
-        if (onProgress) onProgress(processed, total);
+                if (result.type === 'error') {
+                    failed++;
+                    await setQueueState(id, puuid, 'failed', result.error.message);
+                    return;
+                }
+                if (result.type === 'new') {
+                    newMatches++;
+                    newMatchIds.push(id);
+                } else if (result.type === 'skipped') {
+                    skipped++;
+                }
+                if (result.timelineError) {
+                    await setQueueState(id, puuid, 'timeline_missing', result.timelineError);
+                } else {
+                    await setQueueState(id, puuid, 'fetched');
+                }
+            }));
 
-        // Small delay between batches to avoid hitting rate limits
-        // BATCH_SIZE requests with minimal gap between batches keeps us under 20 req/s
-        if (i + BATCH_SIZE < matchIds.length) {
-            await sleep(100);
+            // Update progress after batch completes
+            processed += batch.length;
+            if (onProgress) onProgress(processed, total);
+
+            if (signal && signal.aborted) {
+                await interruptSyncJob(job.jobId);
+                console.log(`Sync stopped after ${processed}/${total}: ${newMatches} new, ${skipped} skipped, ${failed} failed`);
+                return { newMatches, skipped, failed, total, newMatchIds, resumed: job.resumed, aborted: true };
+            }
         }
-    }
 
-    console.log(`Sync complete: ${newMatches} new, ${skipped} skipped`);
-    return { newMatches, skipped, total: matchIds.length, newMatchIds };
+        await completeSyncJob(job.jobId, puuid);
+        console.log(`Sync complete: ${newMatches} new, ${skipped} skipped, ${failed} failed`);
+        return { newMatches, skipped, failed, total, newMatchIds, resumed: job.resumed };
+    } catch (err) {
+        await interruptSyncJob(job.jobId);
+        if (isAbortError(err)) {
+            // Stopped while discovering match IDs - nothing was fetched yet
+            console.log('Sync stopped before fetching any matches');
+            return { newMatches: 0, skipped: 0, failed: 0, total: 0, newMatchIds: [], resumed: job.resumed, aborted: true };
+        }
+        throw err;
+    }
 }
 
-// Compute advanced stats given the participant index and parsed data
-function computeAdvancedStatsForMatch(matchData, timelineData, myChampionName, myTeamId) {
+
+// Compute advanced stats for the tracked player (myPuuid) from the parsed data
+function computeAdvancedStatsForMatch(matchData, timelineData, myPuuid) {
     const result = {
         csDiff15: null,
         goldDiff15: null,
@@ -378,7 +492,7 @@ function computeAdvancedStatsForMatch(matchData, timelineData, myChampionName, m
         if (!participants) return result;
 
         // Find "me"
-        const me = participants.find(p => p.championName === myChampionName && p.teamId === myTeamId);
+        const me = participants.find(p => p.puuid === myPuuid);
         if (!me) return result;
 
         const myPId = me.participantId || (participants.indexOf(me) + 1);
@@ -531,11 +645,18 @@ function computeAdvancedStatsForMatch(matchData, timelineData, myChampionName, m
     return result;
 }
 
-// Get league/rank data for a PUUID (using new PUUID-based endpoint)
-async function getLeagueData(puuid) {
+// Get league/rank data for a PUUID (using new PUUID-based endpoint), stored as rank snapshots
+// platform: the account's platform routing value (euw1, na1, ...)
+async function getLeagueData(puuid, platform) {
     try {
         console.log('Getting league data for PUUID:', puuid);
-        const leagueData = await require('./riotApi').getLeagueByPuuid(puuid);
+        const leagueData = await require('./riotApi').getLeagueByPuuid(puuid, platform);
+        // Every fetch is kept for the LP history
+        try {
+            await saveRankSnapshots(puuid, leagueData);
+        } catch (err) {
+            console.warn('Could not store rank snapshot:', err.message);
+        }
         return leagueData;
     } catch (error) {
         console.error('Error fetching league data:', error);
@@ -544,8 +665,10 @@ async function getLeagueData(puuid) {
 }
 
 // Backfill timeline data for existing matches that don't have it
-async function backfillTimelines(onProgress) {
-    const rows = await dbAll("SELECT matchId FROM matches WHERE timelineJson IS NULL ORDER BY gameCreation DESC");
+// signal: optional AbortSignal - stops after the current match, keeping timelines already saved
+async function backfillTimelines(onProgress, signal = null) {
+    // A match stored for several accounts shares one timeline, so fetch it once
+    const rows = await dbAll("SELECT matchId FROM matches WHERE timelineJson IS NULL GROUP BY matchId ORDER BY MAX(gameCreation) DESC");
     if (rows.length === 0) {
         console.log('All matches already have timeline data.');
         return { updated: 0, failed: 0, total: 0 };
@@ -556,23 +679,28 @@ async function backfillTimelines(onProgress) {
     let failed = 0;
 
     for (let i = 0; i < rows.length; i++) {
+        if (signal && signal.aborted) {
+            console.log(`Timeline backfill stopped: ${updated} updated, ${failed} failed out of ${rows.length}`);
+            return { updated, failed, total: rows.length, aborted: true };
+        }
         const matchId = rows[i].matchId;
         try {
-            const timelineData = await getMatchTimeline(matchId);
-            await dbRun("UPDATE matches SET timelineJson = ? WHERE matchId = ?", [JSON.stringify(timelineData), matchId]);
+            const timelineData = await getMatchTimeline(matchId, signal);
+            await dbRun("UPDATE matches SET timelineJson = ? WHERE matchId = ?", [packJson(timelineData), matchId]);
+            await saveTimeline(matchId, timelineData);
+            await markTimelineFetched(matchId);
             updated++;
             console.log(`[${i + 1}/${rows.length}] Timeline saved for ${matchId}`);
         } catch (err) {
+            if (isAbortError(err)) {
+                console.log(`Timeline backfill stopped: ${updated} updated, ${failed} failed out of ${rows.length}`);
+                return { updated, failed, total: rows.length, aborted: true };
+            }
             failed++;
             console.warn(`[${i + 1}/${rows.length}] Failed timeline for ${matchId}: ${err.message}`);
         }
 
         if (onProgress) onProgress(i + 1, rows.length);
-
-        // Respect rate limits - single request at a time with delay
-        if (i < rows.length - 1) {
-            await sleep(REQUEST_DELAY_MS);
-        }
     }
 
     console.log(`Backfill complete: ${updated} updated, ${failed} failed out of ${rows.length}`);
@@ -580,9 +708,10 @@ async function backfillTimelines(onProgress) {
 }
 
 // Backfill advanced stats for existing matches that have rawJson but no advanced stats
-async function backfillAdvancedStats(onProgress) {
+// signal: optional AbortSignal - stops between matches
+async function backfillAdvancedStats(onProgress, signal = null) {
     const rows = await dbAll(
-        "SELECT matchId, rawJson, timelineJson, championName, teamId FROM matches WHERE rawJson IS NOT NULL AND csDiff15 IS NULL ORDER BY gameCreation DESC"
+        "SELECT matchId, puuid, rawJson, timelineJson FROM matches WHERE rawJson IS NOT NULL AND csDiff15 IS NULL ORDER BY gameCreation DESC"
     );
     if (rows.length === 0) {
         console.log('All matches already have advanced stats.');
@@ -593,12 +722,16 @@ async function backfillAdvancedStats(onProgress) {
     let updated = 0;
 
     for (let i = 0; i < rows.length; i++) {
+        if (signal && signal.aborted) {
+            console.log(`Advanced stats backfill stopped: ${updated}/${rows.length}`);
+            return { updated, total: rows.length, aborted: true };
+        }
         const row = rows[i];
         try {
-            const stats = computeAdvancedStatsForMatch(row.rawJson, row.timelineJson, row.championName, row.teamId);
+            const stats = computeAdvancedStatsForMatch(unpackJson(row.rawJson), unpackJson(row.timelineJson), row.puuid);
             await dbRun(
-                `UPDATE matches SET csDiff15 = ?, goldDiff15 = ?, xpDiff15 = ?, firstBlood = ?, dmgGoldRatio = ?, isolatedDeaths = ?, objectiveRate = ? WHERE matchId = ?`,
-                [stats.csDiff15, stats.goldDiff15, stats.xpDiff15, stats.firstBlood, stats.dmgGoldRatio, stats.isolatedDeaths, stats.objectiveRate, row.matchId]
+                `UPDATE matches SET csDiff15 = ?, goldDiff15 = ?, xpDiff15 = ?, firstBlood = ?, dmgGoldRatio = ?, isolatedDeaths = ?, objectiveRate = ? WHERE matchId = ? AND puuid = ?`,
+                [stats.csDiff15, stats.goldDiff15, stats.xpDiff15, stats.firstBlood, stats.dmgGoldRatio, stats.isolatedDeaths, stats.objectiveRate, row.matchId, row.puuid]
             );
             updated++;
         } catch (err) {
@@ -615,7 +748,10 @@ async function backfillAdvancedStats(onProgress) {
 // === Player Rank Caching ===
 const RANK_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
 
-async function getPlayerRank(puuid, maxAgeMs = RANK_CACHE_TTL_MS) {
+// platform: where the player plays (league-v4 is per platform)
+// saveSnapshot: also keep the fetch for the LP history (for our own accounts)
+// Aborting the signal rethrows instead of falling back to the cache
+async function getPlayerRank(puuid, platform, maxAgeMs = RANK_CACHE_TTL_MS, signal = null, saveSnapshot = false) {
     // Check cache first
     const cached = await dbGet(
         "SELECT * FROM player_ranks WHERE puuid = ? AND fetchedAt > ?",
@@ -625,7 +761,7 @@ async function getPlayerRank(puuid, maxAgeMs = RANK_CACHE_TTL_MS) {
 
     // Fetch from API
     try {
-        const leagueData = await require('./riotApi').getLeagueByPuuid(puuid);
+        const leagueData = await require('./riotApi').getLeagueByPuuid(puuid, platform, signal);
         const now = Date.now();
 
         const row = {
@@ -649,8 +785,17 @@ async function getPlayerRank(puuid, maxAgeMs = RANK_CACHE_TTL_MS) {
             [row.puuid, row.soloTier, row.soloRank, row.soloLP, row.flexTier, row.flexRank, row.flexLP, row.fetchedAt]
         );
 
+        if (saveSnapshot) {
+            try {
+                await saveRankSnapshots(puuid, leagueData, now);
+            } catch (err) {
+                console.warn('Could not store rank snapshot:', err.message);
+            }
+        }
+
         return row;
     } catch (error) {
+        if (isAbortError(error)) throw error;
         console.warn(`Failed to fetch rank for ${puuid}: ${error.message}`);
         // Return stale cache if available
         const stale = await dbGet("SELECT * FROM player_ranks WHERE puuid = ?", [puuid]);
@@ -660,45 +805,44 @@ async function getPlayerRank(puuid, maxAgeMs = RANK_CACHE_TTL_MS) {
 
 // Get cached rank data for all participants in a match (no API calls)
 async function getMatchParticipantRanks(matchId) {
-    const match = await dbGet("SELECT rawJson FROM matches WHERE matchId = ?", [matchId]);
-    if (!match || !match.rawJson) return {};
-
-    const data = JSON.parse(match.rawJson);
-    const participants = data.info.participants;
+    const rows = await dbAll(
+        `SELECT mp.puuid AS participantPuuid, pr.* FROM match_participants mp
+         LEFT JOIN player_ranks pr ON pr.puuid = mp.puuid
+         WHERE mp.matchId = ? AND mp.puuid IS NOT NULL`,
+        [matchId]
+    );
     const rankMap = {};
-
-    for (const p of participants) {
-        if (p.puuid) {
-            const rank = await dbGet("SELECT * FROM player_ranks WHERE puuid = ?", [p.puuid]);
-            rankMap[p.puuid] = rank || null;
-        }
+    for (const { participantPuuid, ...rank } of rows) {
+        rankMap[participantPuuid] = rank.fetchedAt ? rank : null;
     }
-
     return rankMap;
 }
 
-// Fetch ranks for participants of newly synced matches only
-async function fetchRanksForNewMatches(matchIds, onProgress) {
+// Fetch ranks for participants of newly synced matches only.
+// Our own accounts are always fetched (skipping the cache) and snapshotted, so the LP history has a
+// snapshot after every synced game.
+// signal: optional AbortSignal - stops before the next player, keeping ranks already cached
+async function fetchRanksForNewMatches(matchIds, onProgress, signal = null) {
     if (!matchIds || matchIds.length === 0) return { fetched: 0, failed: 0, total: 0 };
 
-    // Collect unique PUUIDs from the new matches
-    const allPuuids = new Set();
+    // Collect unique PUUIDs from the new matches, with the platform each was played on
+    const allPuuids = new Map();
     for (const matchId of matchIds) {
-        const match = await dbGet("SELECT rawJson FROM matches WHERE matchId = ?", [matchId]);
-        if (match && match.rawJson) {
-            try {
-                const data = JSON.parse(match.rawJson);
-                for (const p of data.info.participants) {
-                    if (p.puuid && p.puuid.length >= 40) allPuuids.add(p.puuid);
-                }
-            } catch (e) { /* skip malformed */ }
+        const participants = await dbAll("SELECT puuid FROM match_participants WHERE matchId = ?", [matchId]);
+        for (const p of participants) {
+            if (p.puuid && p.puuid.length >= 40) allPuuids.set(p.puuid, getPlatformForMatchId(matchId));
         }
     }
 
     // Filter out those already cached within TTL
+    const accountPuuids = new Set(loadConfig().accounts.map(a => a.puuid).filter(Boolean));
     const puuidsToFetch = [];
     const cutoff = Date.now() - RANK_CACHE_TTL_MS;
-    for (const puuid of allPuuids) {
+    for (const puuid of allPuuids.keys()) {
+        if (accountPuuids.has(puuid)) {
+            puuidsToFetch.push(puuid);
+            continue;
+        }
         const cached = await dbGet(
             "SELECT fetchedAt FROM player_ranks WHERE puuid = ? AND fetchedAt > ?",
             [puuid, cutoff]
@@ -716,31 +860,29 @@ async function fetchRanksForNewMatches(matchIds, onProgress) {
     let failed = 0;
 
     for (let i = 0; i < puuidsToFetch.length; i++) {
-        const MAX_RETRIES = 2;
-        for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
-            try {
-                await getPlayerRank(puuidsToFetch[i], 0);
-                fetched++;
-                break;
-            } catch (err) {
-                if (attempt < MAX_RETRIES) {
-                    await sleep(1000 * (attempt + 1));
-                } else {
-                    failed++;
-                    console.warn(`Failed rank for player ${i + 1}/${puuidsToFetch.length}: ${err.message}`);
-                }
-            }
+        // getPlayerRank falls back to the stale cache when the request fails after retries
+        const requestedAt = Date.now();
+        let rank;
+        try {
+            const puuid = puuidsToFetch[i];
+            rank = await getPlayerRank(puuid, allPuuids.get(puuid), 0, signal, accountPuuids.has(puuid));
+        } catch (err) {
+            if (!isAbortError(err)) throw err;
+            console.log(`Rank fetch stopped: ${fetched} fetched, ${failed} failed`);
+            return { fetched, failed, total: puuidsToFetch.length, aborted: true };
+        }
+        if (rank && rank.fetchedAt >= requestedAt) {
+            fetched++;
+        } else {
+            failed++;
+            console.warn(`Failed rank for player ${i + 1}/${puuidsToFetch.length}`);
         }
 
         if (onProgress) onProgress(i + 1, puuidsToFetch.length);
-
-        if (i < puuidsToFetch.length - 1) {
-            await sleep(REQUEST_DELAY_MS);
-        }
     }
 
     console.log(`Rank fetch complete: ${fetched} fetched, ${failed} failed`);
     return { fetched, failed, total: puuidsToFetch.length };
 }
 
-module.exports = { syncMatches, getMatches, getStats, getMatchById, getLeagueData, backfillTimelines, backfillAdvancedStats, getMatchParticipantRanks, fetchRanksForNewMatches };
+module.exports = { syncMatches, saveMatch, getMatches, getMatchStatRows, getMatchSummaries, getStats, getMatchById, getLeagueData, backfillTimelines, backfillAdvancedStats, getMatchParticipantRanks, fetchRanksForNewMatches };
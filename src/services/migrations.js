@@ -0,0 +1,555 @@
+// Versioned schema migrations. schema_version records every step applied to the database file;
+// on startup the missing steps run in order, each in its own transaction. Before migrating an existing
+// file a backup copy is written next to it (replacing the one from the previous migration), and a file
+// from a newer app version is refused.
+// Add new steps at the end of MIGRATIONS - never change or reorder the ones already shipped.
+const fs = require('fs');
+const path = require('path');
+const { dbPath, dbGet, dbRun, dbAll, withTransaction } = require('./database');
+const { backfillMatchParticipants } = require('./participantService');
+const { backfillTimelineTables } = require('./timelineService');
+const { packJson, unpackJson } = require('./jsonBlob');
+
+// Indexes on matches, also recreated after the table is rebuilt
+const MATCH_INDEXES = [
+    'CREATE INDEX IF NOT EXISTS idx_gameCreation ON matches(gameCreation DESC)',
+    'CREATE INDEX IF NOT EXISTS idx_championName ON matches(championName)',
+    'CREATE INDEX IF NOT EXISTS idx_matches_puuid ON matches(puuid, gameCreation DESC)'
+];
+
+// Columns added to matches over time, before there were migrations. Files from those versions
+// may lack any of them, so the initial step adds whichever are missing.
+const LEGACY_MATCH_COLUMNS = [
+    // Owner (tracked account), filled in by migration 2
+    'puuid TEXT',
+    // The owner's participantId in rawJson, filled in by migration 3
+    'participantId INTEGER',
+    'gameDuration INTEGER',
+    'champLevel INTEGER',
+    'totalDamageDealtToChampions INTEGER',
+    'visionScore INTEGER',
+    'doubleKills INTEGER',
+    'tripleKills INTEGER',
+    'quadraKills INTEGER',
+    'pentaKills INTEGER',
+    // Objectives
+    'turretKills INTEGER',
+    'inhibitorKills INTEGER',
+    'dragonKills INTEGER',
+    'baronKills INTEGER',
+    'objectivesStolen INTEGER',
+    // Detailed Vision
+    'wardsPlaced INTEGER',
+    'wardsKilled INTEGER',
+    'detectorWardsPlaced INTEGER',
+    // Position/Role
+    'teamPosition TEXT',
+    'lane TEXT',
+    // Items
+    'item0 INTEGER',
+    'item1 INTEGER',
+    'item2 INTEGER',
+    'item3 INTEGER',
+    'item4 INTEGER',
+    'item5 INTEGER',
+    'item6 INTEGER',
+    // Team objectives
+    'teamDragons INTEGER',
+    'enemyDragons INTEGER',
+    'teamBarons INTEGER',
+    'enemyBarons INTEGER',
+    'teamRiftHeralds INTEGER',
+    'enemyRiftHeralds INTEGER',
+    'teamTowers INTEGER',
+    'enemyTowers INTEGER',
+    'teamInhibitors INTEGER',
+    'enemyInhibitors INTEGER',
+    'teamId INTEGER',
+    'teamKills INTEGER',
+    // Runes
+    'primaryRune INTEGER',
+    'secondaryRuneStyle INTEGER',
+    // Timeline
+    'timelineJson TEXT',
+    // Advanced stats
+    'csDiff15 INTEGER',
+    'goldDiff15 INTEGER',
+    'xpDiff15 INTEGER',
+    'firstBlood INTEGER',
+    'dmgGoldRatio REAL',
+    'isolatedDeaths INTEGER',
+    'objectiveRate REAL'
+];
+
+// 1: every table as it was when versioned migrations were introduced
+async function createInitialSchema() {
+    // One row per (match, tracked account): the same game can be stored from several of our accounts' view
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS matches (
+          matchId TEXT NOT NULL,
+          puuid TEXT NOT NULL,
+          participantId INTEGER,
+          queueId INTEGER,
+          gameCreation INTEGER,
+          gameDuration INTEGER,
+          championName TEXT,
+          champLevel INTEGER,
+          kills INTEGER,
+          deaths INTEGER,
+          assists INTEGER,
+          win BOOLEAN,
+          goldEarned INTEGER,
+          totalMinionsKilled INTEGER,
+          totalDamageDealtToChampions INTEGER,
+          visionScore INTEGER,
+          doubleKills INTEGER,
+          tripleKills INTEGER,
+          quadraKills INTEGER,
+          pentaKills INTEGER,
+          -- Objectives (player individual)
+          turretKills INTEGER,
+          inhibitorKills INTEGER,
+          dragonKills INTEGER,
+          baronKills INTEGER,
+          objectivesStolen INTEGER,
+          -- Detailed Vision
+          wardsPlaced INTEGER,
+          wardsKilled INTEGER,
+          detectorWardsPlaced INTEGER,
+          -- Position/Role
+          teamPosition TEXT,
+          lane TEXT,
+          -- Items (final build)
+          item0 INTEGER,
+          item1 INTEGER,
+          item2 INTEGER,
+          item3 INTEGER,
+          item4 INTEGER,
+          item5 INTEGER,
+          item6 INTEGER,
+          -- Team objectives
+          teamDragons INTEGER,
+          enemyDragons INTEGER,
+          teamBarons INTEGER,
+          enemyBarons INTEGER,
+          teamRiftHeralds INTEGER,
+          enemyRiftHeralds INTEGER,
+          teamTowers INTEGER,
+          enemyTowers INTEGER,
+          teamInhibitors INTEGER,
+          enemyInhibitors INTEGER,
+          teamId INTEGER,
+          teamKills INTEGER,
+          rawJson TEXT,
+          timelineJson TEXT,
+          -- Advanced stats (computed from rawJson/timelineJson)
+          csDiff15 INTEGER,
+          goldDiff15 INTEGER,
+          xpDiff15 INTEGER,
+          firstBlood INTEGER,
+          dmgGoldRatio REAL,
+          isolatedDeaths INTEGER,
+          objectiveRate REAL,
+          PRIMARY KEY (matchId, puuid)
+        )
+
+    `);
+
+    const existing = (await dbAll('PRAGMA table_info(matches)')).map(c => c.name);
+    for (const column of LEGACY_MATCH_COLUMNS) {
+        if (!existing.includes(column.split(' ')[0])) {
+            await dbRun(`ALTER TABLE matches ADD COLUMN ${column}`);
+        }
+    }
+    for (const sql of MATCH_INDEXES) {
+        await dbRun(sql);
+    }
+
+    // Player ranks cache table
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS player_ranks (
+          puuid TEXT PRIMARY KEY,
+          soloTier TEXT,
+          soloRank TEXT,
+          soloLP INTEGER,
+          flexTier TEXT,
+          flexRank TEXT,
+          flexLP INTEGER,
+          fetchedAt INTEGER NOT NULL
+        )
+
+    `);
+
+    // Sync jobs: one row per syncMatches run, so an interrupted run can be detected and resumed
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS sync_jobs (
+          jobId INTEGER PRIMARY KEY AUTOINCREMENT,
+          puuid TEXT NOT NULL,
+          status TEXT NOT NULL,
+          startedAt INTEGER NOT NULL,
+          updatedAt INTEGER NOT NULL,
+          finishedAt INTEGER
+        )
+
+    `);
+
+    // Sync queue: every match ID a sync has discovered, with its fetch state
+    // state: pending, fetched, timeline_missing, failed (lastError holds the reason)
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS sync_queue (
+          matchId TEXT NOT NULL,
+          puuid TEXT NOT NULL,
+          jobId INTEGER,
+          state TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          lastError TEXT,
+          updatedAt INTEGER NOT NULL,
+          PRIMARY KEY (matchId, puuid)
+        )
+
+    `);
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_sync_queue_state ON sync_queue(puuid, state)');
+}
+
+// 2: matches used to be keyed by matchId alone, with no owner. Rebuild the table keyed by
+// (matchId, puuid), taking the owner from rawJson (the participant with our champion and team).
+async function migrateMatchOwnership() {
+    const columns = await dbAll('PRAGMA table_info(matches)');
+    const puuidColumn = columns.find(c => c.name === 'puuid');
+    if (puuidColumn && puuidColumn.pk > 0) return;
+
+    const rows = await dbAll('SELECT matchId, rawJson, championName, teamId FROM matches WHERE puuid IS NULL');
+    console.log(`Migrating ${rows.length} matches to per-account storage...`);
+    let unknown = 0;
+
+    const names = columns.map(c => c.name).join(', ');
+    const columnDefs = columns.map(c => (c.name === 'matchId' || c.name === 'puuid')
+        ? `${c.name} TEXT NOT NULL`
+        : `${c.name} ${c.type}`);
+
+    for (const row of rows) {
+        let owner = null;
+        try {
+            const data = JSON.parse(row.rawJson);
+            owner = data.info.participants.find(p => p.championName === row.championName && p.teamId === row.teamId);
+        } catch (e) { /* no or malformed rawJson */ }
+        if (!owner) unknown++;
+        // Unknown owners get an empty puuid: kept, but not shown for any account
+        await dbRun('UPDATE matches SET puuid = ? WHERE matchId = ?', [owner ? owner.puuid : '', row.matchId]);
+    }
+
+    await dbRun(`CREATE TABLE matches_new (${columnDefs.join(', ')}, PRIMARY KEY (matchId, puuid))`);
+    await dbRun(`INSERT INTO matches_new (${names}) SELECT ${names} FROM matches`);
+    await dbRun('DROP TABLE matches');
+    await dbRun('ALTER TABLE matches_new RENAME TO matches');
+    for (const sql of MATCH_INDEXES) {
+        await dbRun(sql);
+    }
+
+    if (unknown > 0) {
+        console.warn(`${unknown} matches have no identifiable owner and are hidden until resynced`);
+    }
+}
+
+// 3: fill participantId for rows stored before it was saved, from the owner's entry in rawJson
+async function backfillParticipantIds() {
+    const rows = await dbAll("SELECT matchId, puuid, rawJson FROM matches WHERE participantId IS NULL AND rawJson IS NOT NULL AND puuid != ''");
+    for (const row of rows) {
+        let participantId = null;
+        try {
+            const participants = JSON.parse(row.rawJson).info.participants;
+            const index = participants.findIndex(p => p.puuid === row.puuid);
+            if (index !== -1) participantId = participants[index].participantId || (index + 1);
+        } catch (e) { /* malformed rawJson */ }
+        if (participantId !== null) {
+            await dbRun('UPDATE matches SET participantId = ? WHERE matchId = ? AND puuid = ?', [participantId, row.matchId, row.puuid]);
+        }
+    }
+}
+
+// 4: every player of every stored match (see participantService), shared by all our accounts
+async function createMatchParticipants() {
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS match_participants (
+          matchId TEXT NOT NULL,
+          participantId INTEGER NOT NULL,
+          puuid TEXT,
+          riotIdGameName TEXT,
+          riotIdTagline TEXT,
+          summonerName TEXT,
+          teamId INTEGER,
+          win BOOLEAN,
+          championId INTEGER,
+          championName TEXT,
+          champLevel INTEGER,
+          teamPosition TEXT,
+          lane TEXT,
+          kills INTEGER,
+          deaths INTEGER,
+          assists INTEGER,
+          goldEarned INTEGER,
+          totalMinionsKilled INTEGER,
+          neutralMinionsKilled INTEGER,
+          totalDamageDealtToChampions INTEGER,
+          totalDamageTaken INTEGER,
+          damageDealtToTurrets INTEGER,
+          visionScore INTEGER,
+          wardsPlaced INTEGER,
+          wardsKilled INTEGER,
+          visionWardsBoughtInGame INTEGER,
+          item0 INTEGER,
+          item1 INTEGER,
+          item2 INTEGER,
+          item3 INTEGER,
+          item4 INTEGER,
+          item5 INTEGER,
+          item6 INTEGER,
+          summoner1Id INTEGER,
+          summoner2Id INTEGER,
+          primaryRune INTEGER,
+          secondaryRuneStyle INTEGER,
+          totalPings INTEGER,
+          PRIMARY KEY (matchId, participantId)
+        )
+
+    `);
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_match_participants_puuid ON match_participants(puuid)');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_match_participants_champion ON match_participants(championName, teamId)');
+    await backfillMatchParticipants();
+}
+
+// 5: timeline events and per-minute frames of stored matches (see timelineService)
+async function createTimelineTables() {
+    // Participant ids are the timeline's (1-10).
+    // participantId: who levelled up / placed the ward; teamId: the killer's team (monsters) or the building's team
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS timeline_events (
+          matchId TEXT NOT NULL,
+          eventIndex INTEGER NOT NULL,
+          type TEXT NOT NULL,
+          timestamp INTEGER NOT NULL,
+          participantId INTEGER,
+          killerId INTEGER,
+          victimId INTEGER,
+          assistingParticipantIds TEXT,
+          teamId INTEGER,
+          x INTEGER,
+          y INTEGER,
+          monsterType TEXT,
+          monsterSubType TEXT,
+          buildingType TEXT,
+          towerType TEXT,
+          laneType TEXT,
+          wardType TEXT,
+          level INTEGER,
+          PRIMARY KEY (matchId, eventIndex)
+        )
+
+    `);
+
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_timeline_events_type ON timeline_events(matchId, type, timestamp)');
+    await dbRun('CREATE INDEX IF NOT EXISTS idx_timeline_events_killer ON timeline_events(type, killerId)');
+
+    // Per-minute state of every participant (one row per frame and participant)
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS timeline_frames (
+          matchId TEXT NOT NULL,
+          participantId INTEGER NOT NULL,
+          frameIndex INTEGER NOT NULL,
+          timestamp INTEGER NOT NULL,
+          puuid TEXT,
+          x INTEGER,
+          y INTEGER,
+          currentGold INTEGER,
+          totalGold INTEGER,
+          xp INTEGER,
+          level INTEGER,
+          minionsKilled INTEGER,
+          jungleMinionsKilled INTEGER,
+          healthMax INTEGER,
+          PRIMARY KEY (matchId, participantId, frameIndex)
+        )
+
+    `);
+
+    await backfillTimelineTables();
+}
+
+// 6: store rawJson and timelineJson as gzip BLOBs (see jsonBlob.js) instead of JSON text.
+// Rows are read one at a time so only one timeline is held in memory.
+async function compressJsonColumns() {
+    const rows = await dbAll("SELECT rowid FROM matches WHERE typeof(rawJson) = 'text' OR typeof(timelineJson) = 'text'");
+    if (rows.length === 0) return;
+
+    console.log(`Compressing match data of ${rows.length} rows...`);
+    let before = 0;
+    let after = 0;
+    for (const { rowid } of rows) {
+        const row = await dbGet('SELECT rawJson, timelineJson FROM matches WHERE rowid = ?', [rowid]);
+        const packed = {};
+        for (const column of ['rawJson', 'timelineJson']) {
+            const value = row[column];
+            packed[column] = value;
+            if (typeof value !== 'string') continue;
+            try {
+                packed[column] = packJson(unpackJson(value));
+            } catch (e) {
+                // Malformed JSON can't be re-encoded; leave it as text
+                continue;
+            }
+            before += Buffer.byteLength(value);
+            after += packed[column].length;
+        }
+        await dbRun('UPDATE matches SET rawJson = ?, timelineJson = ? WHERE rowid = ?', [packed.rawJson, packed.timelineJson, rowid]);
+    }
+
+    const mb = bytes => (bytes / 1024 / 1024).toFixed(1);
+    console.log(`Compressed match data: ${mb(before)} MB -> ${mb(after)} MB (${mb(before - after)} MB saved)`);
+}
+
+// 7: gameVersion of every match, so its items and runes can be shown as they were on that patch
+async function addGameVersion() {
+    await dbRun('ALTER TABLE matches ADD COLUMN gameVersion TEXT');
+
+    const rows = await dbAll('SELECT rowid FROM matches WHERE rawJson IS NOT NULL');
+    for (const { rowid } of rows) {
+        const row = await dbGet('SELECT rawJson FROM matches WHERE rowid = ?', [rowid]);
+        let gameVersion;
+        try {
+            gameVersion = unpackJson(row.rawJson)?.info?.gameVersion;
+        } catch (e) {
+            continue;
+        }
+        if (gameVersion) await dbRun('UPDATE matches SET gameVersion = ? WHERE rowid = ?', [gameVersion, rowid]);
+    }
+}
+
+// 8: every league fetch of our accounts, one row per ranked queue (see rankHistoryService)
+async function createRankSnapshots() {
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS rank_snapshots (
+          puuid TEXT NOT NULL,
+          queueType TEXT NOT NULL,
+          tier TEXT NOT NULL,
+          rank TEXT,
+          leaguePoints INTEGER NOT NULL,
+          wins INTEGER NOT NULL,
+          losses INTEGER NOT NULL,
+          fetchedAt INTEGER NOT NULL,
+          PRIMARY KEY (puuid, queueType, fetchedAt)
+        )
+
+    `);
+}
+
+const MIGRATIONS = [
+    { version: 1, name: 'Initial schema', up: createInitialSchema },
+    { version: 2, name: 'Key matches by (matchId, puuid)', up: migrateMatchOwnership },
+    { version: 3, name: 'Backfill participantId', up: backfillParticipantIds },
+    { version: 4, name: 'Add match_participants', up: createMatchParticipants },
+    { version: 5, name: 'Add timeline_events and timeline_frames', up: createTimelineTables },
+    // vacuum: the step frees a lot of pages, so the file is compacted once all steps are applied
+    { version: 6, name: 'Compress rawJson and timelineJson', up: compressJsonColumns, vacuum: true },
+    { version: 7, name: 'Add gameVersion', up: addGameVersion },
+    { version: 8, name: 'Add rank_snapshots', up: createRankSnapshots }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+async function getSchemaVersion() {
+    const row = await dbGet('SELECT MAX(version) AS version FROM schema_version');
+    return row && row.version !== null ? row.version : 0;
+}
+
+async function getDatabaseSize() {
+    const pages = await dbGet('PRAGMA page_count');
+    const pageSize = await dbGet('PRAGMA page_size');
+    return pages.page_count * pageSize.page_size;
+}
+
+// Pre-migration copies: nexus_data.v<version>-backup-<ms>.sqlite next to the database
+const MIGRATION_BACKUP_PATTERN = /^nexus_data\.v\d+-backup-\d+\.sqlite$/;
+
+// Consistent copy of the database file (VACUUM INTO works on the open connection).
+// Only the newest copy is kept: it already holds everything the older ones did.
+async function backupDatabase(version) {
+    const backupPath = dbPath.replace(/\.sqlite$/, `.v${version}-backup-${Date.now()}.sqlite`);
+    await dbRun('VACUUM INTO ?', [backupPath]);
+
+    const dir = path.dirname(dbPath);
+    for (const name of fs.readdirSync(dir)) {
+        const filePath = path.join(dir, name);
+        if (!MIGRATION_BACKUP_PATTERN.test(name) || filePath === backupPath) continue;
+        try {
+            fs.unlinkSync(filePath);
+        } catch (err) {
+            console.warn(`Could not delete old migration backup ${name}:`, err.message);
+        }
+    }
+    return backupPath;
+}
+
+// Bring the database up to LATEST_VERSION. Resolves with { from, to, backupPath, reclaimedBytes }.
+// reclaimedBytes is the space VACUUM freed after a step flagged vacuum, or null if it didn't run or failed.
+// Rejects (err.code 'SCHEMA_TOO_NEW') when the file was written by a newer app version, and with the
+// failing step's error if a migration fails (that step is rolled back; the ones before it stay applied).
+async function runMigrations() {
+    await dbRun(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          appliedAt INTEGER NOT NULL
+        )
+    `);
+
+    const current = await getSchemaVersion();
+    if (current > LATEST_VERSION) {
+        const err = new Error(`Database schema version ${current} is newer than this app supports (${LATEST_VERSION}). Please update Nexus Insights.`);
+        err.code = 'SCHEMA_TOO_NEW';
+        throw err;
+    }
+
+    const pending = MIGRATIONS.filter(m => m.version > current);
+    if (pending.length === 0) return { from: current, to: current, backupPath: null, reclaimedBytes: null };
+
+    // Files from before versioned migrations have no schema_version rows but do have data
+    const hasData = await dbGet("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'matches'");
+    let backupPath = null;
+    if (hasData) {
+        backupPath = await backupDatabase(current);
+        console.log(`Database backed up to ${backupPath}`);
+    }
+
+    for (const migration of pending) {
+        console.log(`Applying migration ${migration.version}: ${migration.name}...`);
+        try {
+            await withTransaction(async () => {
+                await migration.up();
+                await dbRun('INSERT INTO schema_version (version, name, appliedAt) VALUES (?, ?, ?)', [migration.version, migration.name, Date.now()]);
+            });
+        } catch (err) {
+            console.error(`Migration ${migration.version} failed, rolled back:`, err);
+            throw err;
+        }
+    }
+
+    // VACUUM can't run inside a transaction, and a failure here leaves the migrated data intact
+    let reclaimedBytes = null;
+    if (hasData && pending.some(m => m.vacuum)) {
+        const sizeBefore = await getDatabaseSize();
+        try {
+            await dbRun('VACUUM');
+            reclaimedBytes = Math.max(0, sizeBefore - await getDatabaseSize());
+            console.log(`Database compacted: ${(reclaimedBytes / 1024 / 1024).toFixed(1)} MB reclaimed`);
+        } catch (err) {
+            console.warn('Could not compact the database:', err.message);
+        }
+    }
+
+    console.log(`Database migrated from version ${current} to ${LATEST_VERSION}`);
+    return { from: current, to: LATEST_VERSION, backupPath, reclaimedBytes };
+}
+
+module.exports = { runMigrations, LATEST_VERSION };
@@ -0,0 +1,112 @@
+// All ten players of every stored match, one row each in match_participants.
+// Filled from the Match-V5 data when a match is saved, and backfilled from rawJson for older rows,
+// so lookups like "games with/against this player" don't need to parse the raw match JSON.
+const { dbRun, dbAll } = require('./database');
+const { unpackJson } = require('./jsonBlob');
+
+// Columns of match_participants, in insert order
+const PARTICIPANT_COLUMNS = [
+    'matchId', 'participantId', 'puuid', 'riotIdGameName', 'riotIdTagline', 'summonerName',
+    'teamId', 'win', 'championId', 'championName', 'champLevel', 'teamPosition', 'lane',
+    'kills', 'deaths', 'assists', 'goldEarned', 'totalMinionsKilled', 'neutralMinionsKilled',
+    'totalDamageDealtToChampions', 'totalDamageTaken', 'damageDealtToTurrets',
+    'visionScore', 'wardsPlaced', 'wardsKilled', 'visionWardsBoughtInGame',
+    'item0', 'item1', 'item2', 'item3', 'item4', 'item5', 'item6',
+    'summoner1Id', 'summoner2Id', 'primaryRune', 'secondaryRuneStyle', 'totalPings'
+];
+
+const PING_FIELDS = [
+    'allInPings', 'assistMePings', 'basicPings', 'commandPings', 'dangerPings', 'enemyMissingPings',
+    'enemyVisionPings', 'getBackPings', 'holdPings', 'needVisionPings', 'onMyWayPings', 'pushPings',
+    'visionClearedPings'
+];
+
+// One match_participants row per participant of a Match-V5 response
+function toParticipantRows(matchId, matchData) {
+    return matchData.info.participants.map((p, index) => ({
+        matchId,
+        participantId: p.participantId || (index + 1),
+        puuid: p.puuid || null,
+        riotIdGameName: p.riotIdGameName || null,
+        riotIdTagline: p.riotIdTagline || null,
+        summonerName: p.summonerName || null,
+        teamId: p.teamId,
+        win: p.win ? 1 : 0,
+        championId: p.championId,
+        championName: p.championName,
+        champLevel: p.champLevel,
+        teamPosition: p.teamPosition || null,
+        lane: p.lane || null,
+        kills: p.kills,
+        deaths: p.deaths,
+        assists: p.assists,
+        goldEarned: p.goldEarned,
+        totalMinionsKilled: p.totalMinionsKilled || 0,
+        neutralMinionsKilled: p.neutralMinionsKilled || 0,
+        totalDamageDealtToChampions: p.totalDamageDealtToChampions || 0,
+        totalDamageTaken: p.totalDamageTaken || 0,
+        damageDealtToTurrets: p.damageDealtToTurrets || 0,
+        visionScore: p.visionScore,
+        wardsPlaced: p.wardsPlaced,
+        wardsKilled: p.wardsKilled,
+        visionWardsBoughtInGame: p.visionWardsBoughtInGame || 0,
+        item0: p.item0,
+        item1: p.item1,
+        item2: p.item2,
+        item3: p.item3,
+        item4: p.item4,
+        item5: p.item5,
+        item6: p.item6,
+        summoner1Id: p.summoner1Id,
+        summoner2Id: p.summoner2Id,
+        primaryRune: p.perks?.styles?.[0]?.selections?.[0]?.perk || null,
+        secondaryRuneStyle: p.perks?.styles?.[1]?.style || null,
+        totalPings: PING_FIELDS.reduce((sum, field) => sum + (p[field] || 0), 0)
+    }));
+}
+
+// Store (or refresh) the participants of one match
+async function saveMatchParticipants(matchId, matchData) {
+    const placeholders = PARTICIPANT_COLUMNS.map(() => '?').join(', ');
+    for (const row of toParticipantRows(matchId, matchData)) {
+        await dbRun(
+            `INSERT OR REPLACE INTO match_participants (${PARTICIPANT_COLUMNS.join(', ')}) VALUES (${placeholders})`,
+            PARTICIPANT_COLUMNS.map(column => row[column])
+        );
+    }
+}
+
+// Participants of a stored match, in participantId order
+async function getMatchParticipants(matchId) {
+    return dbAll('SELECT * FROM match_participants WHERE matchId = ? ORDER BY participantId', [matchId]);
+}
+
+// Fill match_participants for matches stored before the table existed.
+// Run by migration 4, inside its transaction.
+async function backfillMatchParticipants() {
+    const rows = await dbAll(
+        `SELECT matchId, MAX(rawJson) AS rawJson FROM matches
+         WHERE rawJson IS NOT NULL AND matchId NOT IN (SELECT DISTINCT matchId FROM match_participants)
+         GROUP BY matchId`
+    );
+    if (rows.length === 0) return { updated: 0, total: 0 };
+
+    console.log(`Backfilling participants for ${rows.length} matches...`);
+    let updated = 0;
+    for (const row of rows) {
+        let matchData;
+        try {
+            matchData = unpackJson(row.rawJson);
+        } catch (e) {
+            console.warn(`Skipping participants of ${row.matchId}: malformed rawJson`);
+            continue;
+        }
+        await saveMatchParticipants(row.matchId, matchData);
+        updated++;
+    }
+
+    console.log(`Participant backfill complete: ${updated}/${rows.length}`);
+    return { updated, total: rows.length };
+}
+
+module.exports = { saveMatchParticipants, getMatchParticipants, backfillMatchParticipants };
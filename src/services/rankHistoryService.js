@@ -0,0 +1,140 @@
+// Ranked LP history of our accounts. Every league fetch of an account (getLeagueData, and the rank
+// fetch after a sync) is stored as one snapshot per ranked queue in rank_snapshots, unless nothing
+// changed since the last one; the LP change between two snapshots is attributed to the ranked games
+// the account finished in between.
+const { dbGet, dbRun, dbAll } = require('./database');
+const { toTotalLP, getRankOrder } = require('../shared/ranks');
+
+// Ranked queues: league-v4 queueType and Match-V5 queueId
+const RANKED_QUEUES = {
+    solo: { queueType: 'RANKED_SOLO_5x5', queueId: 420 },
+    flex: { queueType: 'RANKED_FLEX_SR', queueId: 440 }
+};
+
+// Store a league fetch ({ solo, flex } of riotApi.getLeagueByPuuid). Unranked queues get no snapshot,
+// and neither does a queue whose rank, LP, wins and losses match the latest snapshot (no games since).
+async function saveRankSnapshots(puuid, leagueData, fetchedAt = Date.now()) {
+    for (const [queue, { queueType }] of Object.entries(RANKED_QUEUES)) {
+        const entry = leagueData[queue];
+        if (!entry) continue;
+        const latest = await dbGet(
+            `SELECT tier, rank, leaguePoints, wins, losses FROM rank_snapshots
+             WHERE puuid = ? AND queueType = ? ORDER BY fetchedAt DESC LIMIT 1`,
+            [puuid, queueType]
+        );
+        if (latest && latest.tier === entry.tier && latest.rank === entry.rank && latest.leaguePoints === entry.leaguePoints
+            && latest.wins === entry.wins && latest.losses === entry.losses) continue;
+        await dbRun(
+            `INSERT OR IGNORE INTO rank_snapshots (puuid, queueType, tier, rank, leaguePoints, wins, losses, fetchedAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [puuid, queueType, entry.tier, entry.rank, entry.leaguePoints, entry.wins, entry.losses, fetchedAt]
+        );
+    }
+}
+
+// Snapshots of the current season: wins + losses only grow within a season, so a drop marks a reset
+function currentSeason(snapshots) {
+    let start = 0;
+    for (let i = 1; i < snapshots.length; i++) {
+        const played = s => s.wins + s.losses;
+        if (played(snapshots[i]) < played(snapshots[i - 1])) start = i;
+    }
+    return snapshots.slice(start);
+}
+
+// LP per game of an interval with several games, assuming a win gains what a loss costs.
+// null when that can't be told apart (as many wins as losses) or doesn't fit (gained LP over net losses).
+function estimateLpPerGame(lpChange, winsDelta, lossesDelta) {
+    if (winsDelta === lossesDelta) return null;
+    const perGame = lpChange / (winsDelta - lossesDelta);
+    return perGame > 0 ? Math.round(perGame) : null;
+}
+
+// LP history of an account in a queue ('solo' | 'flex') for the current season:
+//   points: every snapshot, oldest first - { fetchedAt, tier, rank, leaguePoints, totalLP, wins, losses,
+//           games (played since the previous snapshot), lpChange (since the previous one), change: 'promotion' | 'demotion' | null }
+//   games:  ranked games finished after the first snapshot, newest first - { matchId, puuid, championName, win,
+//           gameCreation, lpChange, estimated }. lpChange is exact when the game was the only one between two
+//           snapshots, estimated when several games share the change, null when the games can't be matched up.
+async function getRankHistory(puuid, queue) {
+    const ranked = RANKED_QUEUES[queue];
+    if (!ranked) throw new Error(`Unknown ranked queue: ${queue}`);
+
+    const snapshots = currentSeason(await dbAll(
+        `SELECT tier, rank, leaguePoints, wins, losses, fetchedAt FROM rank_snapshots
+         WHERE puuid = ? AND queueType = ? ORDER BY fetchedAt`,
+        [puuid, ranked.queueType]
+    )).filter(s => toTotalLP(s.tier, s.rank, s.leaguePoints) !== null);
+    if (snapshots.length === 0) return { queue, points: [], games: [] };
+
+    const matches = await dbAll(
+        `SELECT matchId, puuid, championName, win, gameCreation, gameDuration FROM matches
+         WHERE puuid = ? AND queueId = ? AND gameCreation >= ? ORDER BY gameCreation`,
+        // A game finished after the first snapshot may have started up to an hour before it
+        [puuid, ranked.queueId, snapshots[0].fetchedAt - 60 * 60 * 1000]
+    );
+    const games = matches
+        .map(m => ({
+            matchId: m.matchId,
+            puuid: m.puuid,
+            championName: m.championName,
+            win: m.win,
+            gameCreation: m.gameCreation,
+            gameEnd: m.gameCreation + (m.gameDuration || 0) * 1000,
+            lpChange: null,
+            estimated: false
+        }))
+        .filter(g => g.gameEnd > snapshots[0].fetchedAt);
+
+    const points = snapshots.map((snapshot, i) => {
+        const point = {
+            fetchedAt: snapshot.fetchedAt,
+            tier: snapshot.tier,
+            rank: snapshot.rank,
+            leaguePoints: snapshot.leaguePoints,
+            totalLP: toTotalLP(snapshot.tier, snapshot.rank, snapshot.leaguePoints),
+            wins: snapshot.wins,
+            losses: snapshot.losses,
+            games: 0,
+            lpChange: null,
+            change: null
+        };
+        if (i === 0) return point;
+
+        const previous = snapshots[i - 1];
+        const winsDelta = snapshot.wins - previous.wins;
+        const lossesDelta = snapshot.losses - previous.losses;
+        point.games = winsDelta + lossesDelta;
+        point.lpChange = point.totalLP - toTotalLP(previous.tier, previous.rank, previous.leaguePoints);
+
+        const order = getRankOrder(snapshot.tier, snapshot.rank);
+        const previousOrder = getRankOrder(previous.tier, previous.rank);
+        if (order > previousOrder) point.change = 'promotion';
+        else if (order < previousOrder) point.change = 'demotion';
+
+        // The games of this interval, if the stored matches account for all of them
+        const between = games.filter(g => g.gameEnd > previous.fetchedAt && g.gameEnd <= snapshot.fetchedAt);
+        const wins = between.filter(g => g.win === 1).length;
+        if (between.length === 0 || wins !== winsDelta || between.length - wins !== lossesDelta) return point;
+
+        if (between.length === 1) {
+            between[0].lpChange = point.lpChange;
+        } else {
+            const perGame = estimateLpPerGame(point.lpChange, winsDelta, lossesDelta);
+            if (perGame === null) return point;
+            for (const game of between) {
+                game.lpChange = game.win === 1 ? perGame : -perGame;
+                game.estimated = true;
+            }
+        }
+        return point;
+    });
+
+    return {
+        queue,
+        points,
+        games: games.reverse().map(({ gameEnd, ...game }) => game)
+    };
+}
+
+module.exports = { saveRankSnapshots, getRankHistory };
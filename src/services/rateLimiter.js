@@ -0,0 +1,177 @@
+// Shared rate limiter for every Riot API request.
+// Riot enforces two kinds of limits, both as fixed windows (e.g. 20 requests per 1 second):
+// - App limits: shared by all requests to one routing value (europe, euw1, ...)
+// - Method limits: per endpoint, per routing value
+// Limits start from the configured defaults and are replaced by the values Riot sends
+// back in the X-App-Rate-Limit / X-Method-Rate-Limit response headers.
+
+const { loadConfig } = require('./config');
+const { parseRateLimitHeader, DEFAULT_APP_RATE_LIMIT } = require('../shared/settings');
+
+// Extra time added to every window, since Riot starts counting on their side slightly later
+const WINDOW_MARGIN_MS = 100;
+
+// routing value -> { windows, blockedUntil, tail }
+const appBuckets = new Map();
+// `${routing value}:${method}` -> { windows, blockedUntil, tail }
+const methodBuckets = new Map();
+
+// Sleep that ends early (rejecting with the abort reason) when the signal is aborted
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Replace the windows of a bucket, keeping usage of windows that didn't change length
+function setWindows(bucket, limits) {
+    bucket.windows = limits.map(({ limit, windowMs }) => {
+        const existing = bucket.windows.find(w => w.windowMs === windowMs);
+        return {
+            limit,
+            windowMs,
+            used: existing ? existing.used : 0,
+            resetAt: existing ? existing.resetAt : 0
+        };
+    });
+}
+
+function getAppBucket(routing) {
+    if (!appBuckets.has(routing)) {
+        const bucket = { windows: [], blockedUntil: 0, tail: Promise.resolve() };
+        const configured = parseRateLimitHeader(loadConfig().appRateLimit);
+        setWindows(bucket, configured.length > 0 ? configured : parseRateLimitHeader(DEFAULT_APP_RATE_LIMIT));
+        appBuckets.set(routing, bucket);
+    }
+    return appBuckets.get(routing);
+}
+
+// Method limits are unknown until Riot tells us, so a new method bucket has no windows
+function getMethodBucket(routing, method) {
+    const key = `${routing}:${method}`;
+    if (!methodBuckets.has(key)) {
+        methodBuckets.set(key, { windows: [], blockedUntil: 0, tail: Promise.resolve() });
+    }
+    return methodBuckets.get(key);
+}
+
+// How long until every window of the bucket has a free slot (0 = can send now)
+function getWaitMs(bucket, now) {
+    let wait = Math.max(0, bucket.blockedUntil - now);
+    for (const w of bucket.windows) {
+        if (now >= w.resetAt) continue;
+        if (w.used < w.limit) continue;
+        wait = Math.max(wait, w.resetAt - now);
+    }
+    return wait;
+}
+
+function consume(bucket, now) {
+    for (const w of bucket.windows) {
+        if (now >= w.resetAt) {
+            w.used = 0;
+            w.resetAt = now + w.windowMs + WINDOW_MARGIN_MS;
+        }
+        w.used++;
+    }
+}
+
+// Sleep until every window of the bucket has a free slot (without using it)
+async function waitForBucket(bucket, signal) {
+    while (true) {
+        if (signal && signal.aborted) throw signal.reason;
+        const wait = getWaitMs(bucket, Date.now());
+        if (wait <= 0) return;
+        await sleep(wait, signal);
+    }
+}
+
+// Run task once the previous task queued on the bucket has settled
+function enqueue(bucket, task) {
+    const result = bucket.tail.then(task);
+    bucket.tail = result.catch(() => {});
+    return result;
+}
+
+// Wait for a method slot first, then queue for an app slot. A request whose method is limited
+// only holds up requests to the same method, not the app-level queue of its routing value.
+async function waitForSlot(appBucket, methodBucket, signal) {
+    while (true) {
+        await waitForBucket(methodBucket, signal);
+        const acquired = await enqueue(appBucket, async () => {
+            await waitForBucket(appBucket, signal);
+            // The method limit may have changed (headers, 429) while waiting for the app slot
+            const now = Date.now();
+            if (getWaitMs(methodBucket, now) > 0) return false;
+            consume(appBucket, now);
+            consume(methodBucket, now);
+            return true;
+        });
+        if (acquired) return;
+    }
+}
+
+// Resolves once a request to this routing value/method may be sent.
+// Requests to the same method are released in FIFO order, as are requests on the same routing value
+// once their method has a free slot.
+// Rejects with the abort reason if the signal is aborted while waiting (no slot is used).
+function schedule(routing, method, signal = null) {
+    const appBucket = getAppBucket(routing);
+    const methodBucket = getMethodBucket(routing, method);
+    return enqueue(methodBucket, () => waitForSlot(appBucket, methodBucket, signal));
+}
+
+// Riot reports the count it has recorded for each window, e.g. "3:1,57:120".
+// If it's higher than ours (other apps on the same key, clock skew), trust Riot.
+function syncCounts(bucket, countHeader, now) {
+    for (const { limit: count, windowMs } of parseRateLimitHeader(countHeader)) {
+        const w = bucket.windows.find(win => win.windowMs === windowMs);
+        if (!w) continue;
+        if (now >= w.resetAt) {
+            w.used = 0;
+            w.resetAt = now + w.windowMs + WINDOW_MARGIN_MS;
+        }
+        w.used = Math.max(w.used, count);
+    }
+}
+
+// Update limits and usage from the headers of a Riot API response (success or error)
+function updateFromHeaders(routing, method, headers) {
+    if (!headers) return;
+    const now = Date.now();
+
+    const appBucket = getAppBucket(routing);
+    const appLimits = parseRateLimitHeader(headers['x-app-rate-limit']);
+    if (appLimits.length > 0) setWindows(appBucket, appLimits);
+    syncCounts(appBucket, headers['x-app-rate-limit-count'], now);
+
+    const methodBucket = getMethodBucket(routing, method);
+    const methodLimits = parseRateLimitHeader(headers['x-method-rate-limit']);
+    if (methodLimits.length > 0) setWindows(methodBucket, methodLimits);
+    syncCounts(methodBucket, headers['x-method-rate-limit-count'], now);
+}
+
+// After a 429, hold back further requests for the limit that was hit.
+// limitType comes from the X-Rate-Limit-Type header: application, method or service.
+// Service limits are Riot-side and not tied to our key, so only the failed request waits.
+function block(routing, method, ms, limitType) {
+    const until = Date.now() + ms;
+    if (limitType === 'application') {
+        const bucket = getAppBucket(routing);
+        bucket.blockedUntil = Math.max(bucket.blockedUntil, until);
+    } else if (limitType === 'method') {
+        const bucket = getMethodBucket(routing, method);
+        bucket.blockedUntil = Math.max(bucket.blockedUntil, until);
+    }
+}
+
+module.exports = { schedule, updateFromHeaders, block, sleep };
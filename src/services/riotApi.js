@@ -1,47 +1,153 @@
 const axios = require('axios');
 const { loadConfig } = require('./config');
+const { schedule, updateFromHeaders, block, sleep } = require('./rateLimiter');
+
+// Retry policy shared by every endpoint
+const MAX_RETRIES = 3;
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
 
 // Get config values (loaded fresh each time to pick up changes)
 function getApiKey() {
     return loadConfig().apiKey;
 }
 
-function getRegion() {
-    return loadConfig().region || 'europe';
+// Regional routing value (match-v5) for each platform routing value
+const PLATFORM_REGIONS = {
+    euw1: 'europe', eun1: 'europe', tr1: 'europe', ru: 'europe', me1: 'europe',
+    na1: 'americas', br1: 'americas', la1: 'americas', la2: 'americas',
+    kr: 'asia', jp1: 'asia',
+    oc1: 'sea', ph2: 'sea', sg2: 'sea', th2: 'sea', tw2: 'sea', vn2: 'sea'
+};
+
+// Match IDs start with the platform they were played on, e.g. "EUW1_7123456789"
+function getPlatformForMatchId(matchId) {
+    return String(matchId).split('_')[0].toLowerCase();
+}
+
+// Regional routing value to fetch a match from
+function getRegionForMatchId(matchId) {
+    const region = PLATFORM_REGIONS[getPlatformForMatchId(matchId)];
+    if (!region) throw new Error(`Unknown platform for match ${matchId}`);
+    return region;
 }
 
-function getPlatform() {
-    return loadConfig().platform || 'euw1';
+// True for errors caused by aborting a request (axios CanceledError or the signal's AbortError)
+function isAbortError(error) {
+    return !!error && (error.name === 'AbortError' || error.name === 'CanceledError' || error.code === 'ERR_CANCELED');
+}
+
+// One axios instance per routing value (europe, euw1, ...), created on first use.
+// The API key is sent in the X-Riot-Token header, never in the URL.
+const clients = new Map();
+
+function getClient(routing) {
+    if (!clients.has(routing)) {
+        const client = axios.create({ baseURL: `https://${routing}.api.riotgames.com` });
+        client.interceptors.request.use(config => {
+            // Read the key on every request so a key changed in settings is picked up
+            config.headers['X-Riot-Token'] = getApiKey();
+            return config;
+        });
+        clients.set(routing, client);
+    }
+    return clients.get(routing);
+}
+
+// Strip the API key from an axios error before it is thrown to callers.
+// The key only lives in the request headers, which axios copies onto the error
+// (config.headers, and the raw request in error.request / error.response.request).
+function redactError(error) {
+    if (error.config && error.config.headers) {
+        error.config.headers['X-Riot-Token'] = 'REDACTED';
+    }
+    delete error.request;
+    if (error.response) {
+        delete error.response.request;
+    }
+    return error;
+}
+
+// Exponential backoff with jitter: 1s, 2s, 4s... each scaled by a random 50-100%
+function getBackoffMs(attempt) {
+    const base = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+    return Math.round(base * (0.5 + Math.random() / 2));
+}
+
+// How long to wait before retrying a failed request
+function getRetryDelayMs(error, attempt) {
+    if (error.response.status === 429) {
+        const retryAfter = parseInt(error.response.headers?.['retry-after'], 10);
+        if (retryAfter > 0) return retryAfter * 1000;
+    }
+    return getBackoffMs(attempt);
+}
+
+// Every Riot API call goes through here so they all share one rate limit budget
+// and the same retry policy (429 honoring Retry-After, 5xx with backoff).
+// routing: the routing value the request goes to (europe, euw1, ...)
+// method: the endpoint name Riot uses for method rate limits
+// path: request path relative to the routing host
+// options: axios options (params, timeout, signal) - an aborted signal also cancels waiting and retries
+async function riotGet(routing, method, path, options = {}) {
+    const client = getClient(routing);
+    const signal = options.signal || null;
+    for (let attempt = 0; ; attempt++) {
+        await schedule(routing, method, signal);
+        try {
+            const response = await client.get(path, options);
+            updateFromHeaders(routing, method, response.headers);
+            return response;
+        } catch (error) {
+            redactError(error);
+            if (!error.response) throw error;
+            updateFromHeaders(routing, method, error.response.headers);
+
+            const status = error.response.status;
+            if (!RETRYABLE_STATUSES.includes(status) || attempt >= MAX_RETRIES) throw error;
+
+            const delay = getRetryDelayMs(error, attempt);
+            if (status === 429) {
+                block(routing, method, delay, error.response.headers?.['x-rate-limit-type']);
+            }
+            console.warn(`${method} returned ${status}, retrying in ${delay}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+            await sleep(delay, signal);
+        }
+    }
 }
 
 // Fetch ALL match IDs with pagination support
-// startTime: epoch timestamp in seconds (optional) - only fetch matches AFTER this time
-// If startTime is provided, fetches ALL matches since that time (no limit)
-// If startTime is null, fetches recent matches (up to 100)
-async function getMatchIds(puuid, startTime = null, queue = null) {
-    const API_KEY = getApiKey();
-    const REGION = getRegion();
+// options.startTime / options.endTime: epoch timestamps in seconds (optional) - only fetch matches in this range
+// Without startTime, pages through everything the API still returns for the player
+// options.region: the account's regional routing value (europe, americas, asia, sea)
+// options.queue: queue ID filter, options.signal: optional AbortSignal to stop paging
+async function getMatchIds(puuid, { region, startTime = null, endTime = null, queue = null, signal = null } = {}) {
+    const REGION = region;
     const allMatchIds = [];
     const batchSize = 100; // Riot API max per request
     let start = 0;
 
-    console.log(`Fetching match IDs${startTime ? ` since ${new Date(startTime * 1000).toISOString()}` : ' (recent)'}${queue ? ` (queue=${queue})` : ''}...`);
+    console.log(`Fetching match IDs${startTime ? ` since ${new Date(startTime * 1000).toISOString()}` : ' (all available)'}${endTime ? ` until ${new Date(endTime * 1000).toISOString()}` : ''}${queue ? ` (queue=${queue})` : ''}...`);
 
     while (true) {
-        let url = `https://${REGION}.api.riotgames.com/lol/match/v5/matches/by-puuid/${puuid}/ids?start=${start}&count=${batchSize}&api_key=${API_KEY}`;
+        const params = { start, count: batchSize };
 
         // Add startTime filter if provided
         if (startTime) {
-            url += `&startTime=${startTime}`;
+            params.startTime = startTime;
+        }
+        if (endTime) {
+            params.endTime = endTime;
         }
 
         // Add queue filter if provided (required for special modes like ARAM Mayhem)
         if (queue) {
-            url += `&queue=${queue}`;
+            params.queue = queue;
         }
 
         console.log(`Fetching batch starting at index ${start}...`);
-        const response = await axios.get(url);
+        const response = await riotGet(REGION, 'match-v5.getMatchIdsByPUUID', `/lol/match/v5/matches/by-puuid/${puuid}/ids`, { params, signal });
         const matchIds = response.data;
 
         console.log(`Got ${matchIds.length} match IDs in this batch`);
@@ -60,35 +166,26 @@ async function getMatchIds(puuid, startTime = null, queue = null) {
             console.log('Received partial batch, pagination complete.');
             break;
         }
-
-        // Small delay between pagination requests to respect rate limits
-        await new Promise(resolve => setTimeout(resolve, 150));
     }
 
     console.log(`Total match IDs fetched: ${allMatchIds.length}`);
     return allMatchIds;
 }
 
-async function getMatchData(matchId) {
-    const API_KEY = getApiKey();
-    const REGION = getRegion();
-    const url = `https://${REGION}.api.riotgames.com/lol/match/v5/matches/${matchId}?api_key=${API_KEY}`;
-    const response = await axios.get(url);
+async function getMatchData(matchId, signal = null) {
+    const response = await riotGet(getRegionForMatchId(matchId), 'match-v5.getMatch', `/lol/match/v5/matches/${matchId}`, { signal });
     return response.data;
 }
 
-async function getMatchTimeline(matchId) {
-    const API_KEY = getApiKey();
-    const REGION = getRegion();
-    const url = `https://${REGION}.api.riotgames.com/lol/match/v5/matches/${matchId}/timeline?api_key=${API_KEY}`;
-    const response = await axios.get(url);
+async function getMatchTimeline(matchId, signal = null) {
+    const response = await riotGet(getRegionForMatchId(matchId), 'match-v5.getTimeline', `/lol/match/v5/matches/${matchId}/timeline`, { signal });
     return response.data;
 }
 
-// Get PUUID from Riot ID (gameName#tagLine)
-async function getPuuidByRiotId(gameName, tagLine) {
+// Get PUUID from Riot ID (gameName#tagLine), looked up on the account's regional routing value
+async function getPuuidByRiotId(gameName, tagLine, region) {
     const API_KEY = getApiKey();
-    const REGION = getRegion();
+    const REGION = region;
 
     console.log('=== getPuuidByRiotId DEBUG ===');
     console.log('gameName received:', JSON.stringify(gameName));
@@ -97,11 +194,11 @@ async function getPuuidByRiotId(gameName, tagLine) {
     console.log('REGION:', REGION);
 
     // Account-v1 uses regional routing (americas, europe, or asia)
-    const url = `https://${REGION}.api.riotgames.com/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}?api_key=${API_KEY}`;
-    console.log('Full URL (redacted key):', url.replace(API_KEY, 'REDACTED'));
+    const path = `/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}`;
+    console.log('Request path:', path);
 
     try {
-        const response = await axios.get(url);
+        const response = await riotGet(REGION, 'account-v1.getByRiotId', path);
         console.log('API Response success! PUUID:', response.data.puuid);
         return response.data.puuid; // This returns the 78-character PUUID
     } catch (error) {
@@ -115,14 +212,13 @@ async function getPuuidByRiotId(gameName, tagLine) {
 }
 
 // Get summoner info (needed for league endpoint)
-async function getSummonerByPuuid(puuid) {
-    const API_KEY = getApiKey();
-    const PLATFORM = getPlatform();
+async function getSummonerByPuuid(puuid, platform) {
+    const PLATFORM = platform;
     console.log('getSummonerByPuuid called with PUUID:', puuid);
     try {
-        const url = `https://${PLATFORM}.api.riotgames.com/lol/summoner/v4/summoners/by-puuid/${puuid}?api_key=${API_KEY}`;
-        console.log('Fetching summoner by PUUID from:', url.replace(API_KEY, 'REDACTED'));
-        const response = await axios.get(url, { timeout: 10000 });
+        const path = `/lol/summoner/v4/summoners/by-puuid/${puuid}`;
+        console.log('Fetching summoner by PUUID from:', path);
+        const response = await riotGet(PLATFORM, 'summoner-v4.getByPUUID', path, { timeout: 10000 });
         console.log('Summoner data received:', response.data);
         return response.data; // Returns: id, accountId, puuid, name, summonerLevel, etc.
     } catch (error) {
@@ -135,17 +231,17 @@ async function getSummonerByPuuid(puuid) {
     }
 }
 
-// Get league/rank information by PUUID
-async function getLeagueByPuuid(puuid) {
+// Get league/rank information by PUUID on the player's platform (euw1, na1, ...)
+async function getLeagueByPuuid(puuid, platform, signal = null) {
     const API_KEY = getApiKey();
-    const PLATFORM = getPlatform();
+    const PLATFORM = platform;
     console.log('getLeagueByPuuid called');
     console.log('API_KEY loaded:', API_KEY ? 'YES (length: ' + API_KEY.length + ')' : 'NO - API KEY IS MISSING!');
 
     try {
-        const url = `https://${PLATFORM}.api.riotgames.com/lol/league/v4/entries/by-puuid/${puuid}?api_key=${API_KEY}`;
-        console.log('Fetching league data from:', url.replace(API_KEY, 'REDACTED'));
-        const response = await axios.get(url, { timeout: 10000 });
+        const path = `/lol/league/v4/entries/by-puuid/${puuid}`;
+        console.log('Fetching league data from:', path);
+        const response = await riotGet(PLATFORM, 'league-v4.getLeagueEntriesByPUUID', path, { timeout: 10000, signal });
 
         // Returns array of league entries (one for each queue type)
         const leagues = response.data;
@@ -180,4 +276,4 @@ async function getLeagueByPuuid(puuid) {
     }
 }
 
-module.exports = { getMatchIds, getMatchData, getMatchTimeline, getPuuidByRiotId, getSummonerByPuuid, getLeagueByPuuid };
+module.exports = { getMatchIds, getMatchData, getMatchTimeline, getPuuidByRiotId, getSummonerByPuuid, getLeagueByPuuid, isAbortError, getPlatformForMatchId };
@@ -0,0 +1,188 @@
+// CSV and XLSX output for exports. Rows are arrays of cells: numbers, strings, or null/undefined (empty).
+// The XLSX writer covers what exports need - inline strings, numbers, a bold frozen header row -
+// and packs the parts into a zip with zlib, so no spreadsheet library is required.
+const zlib = require('zlib');
+
+// === CSV ===
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV text with a UTF-8 byte order mark, so Excel doesn't misread champion and player names
+function toCsv(rows) {
+    return '\ufeff' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// === XLSX ===
+
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+function escapeXml(text) {
+    return String(text)
+        // Control characters aren't allowed in XML
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function sheetXml(rows) {
+    const rowXml = rows.map((row, r) => {
+        // Style 1 (bold) for the header row
+        const style = r === 0 ? ' s="1"' : '';
+        const cells = row.map((value, c) => {
+            if (value === null || value === undefined || value === '') return '';
+            const ref = `${columnName(c)}${r + 1}`;
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return `<c r="${ref}"${style}><v>${value}</v></c>`;
+            }
+            return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+
+    return XML_HEADER +
+        `<worksheet xmlns="${SHEET_NS}"><sheetViews><sheetView workbookViewId="0">` +
+        '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+        `</sheetView></sheetViews><sheetData>${rowXml}</sheetData></worksheet>`;
+}
+
+const STYLES_XML = XML_HEADER +
+    `<styleSheet xmlns="${SHEET_NS}">` +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+    '</styleSheet>';
+
+// MS-DOS date and time of the zip entries
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Zip archive of [{ name, data }] (deflate compressed)
+function zip(files) {
+    const { time, date } = dosDateTime(new Date());
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name);
+        const data = Buffer.from(file.data);
+        const compressed = zlib.deflateRawSync(data);
+        const crc = zlib.crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);            // version needed
+        local.writeUInt16LE(0x0800, 6);        // UTF-8 file names
+        local.writeUInt16LE(8, 8);             // deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        localParts.push(local, name, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);          // version made by
+        central.writeUInt16LE(20, 6);          // version needed
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, name);
+
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+// XLSX workbook of [{ name, rows }] - the first row of every sheet is its header. Returns a Buffer.
+function toXlsx(sheets) {
+    const sheetEntries = sheets.map((sheet, i) => ({
+        // Sheet names: at most 31 characters, none of : \ / ? * [ ]
+        name: sheet.name.replace(/[:\\/?*[\]]/g, ' ').slice(0, 31),
+        file: `sheet${i + 1}.xml`,
+        rows: sheet.rows
+    }));
+
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            data: XML_HEADER +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                sheetEntries.map(s => `<Override PartName="/xl/worksheets/${s.file}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: XML_HEADER +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: XML_HEADER +
+                `<workbook xmlns="${SHEET_NS}" xmlns:r="${REL_NS}"><sheets>` +
+                sheetEntries.map((s, i) => `<sheet name="${escapeXml(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+                '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: XML_HEADER +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                sheetEntries.map((s, i) => `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/${s.file}"/>`).join('') +
+                `<Relationship Id="rId${sheetEntries.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+                '</Relationships>'
+        },
+        { name: 'xl/styles.xml', data: STYLES_XML },
+        ...sheetEntries.map(s => ({ name: `xl/worksheets/${s.file}`, data: sheetXml(s.rows) }))
+    ];
+
+    return zip(files);
+}
+
+module.exports = { toCsv, toXlsx };
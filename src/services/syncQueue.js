@@ -0,0 +1,107 @@
+// Persistent sync job/queue state, so a sync interrupted by closing the app
+// resumes with exactly the match IDs it had already discovered.
+const { dbGet, dbRun, dbAll, withTransaction } = require('./database');
+
+// A failed match is retried on later syncs until it has failed this many times
+const MAX_SYNC_ATTEMPTS = 5;
+
+// Start a sync job for a PUUID, or pick up the one that didn't finish last time
+async function startSyncJob(puuid) {
+    const now = Date.now();
+    const unfinished = await dbGet(
+        "SELECT jobId FROM sync_jobs WHERE puuid = ? AND status IN ('running', 'interrupted') ORDER BY jobId DESC LIMIT 1",
+        [puuid]
+    );
+
+    if (unfinished) {
+        await dbRun("UPDATE sync_jobs SET status = 'running', updatedAt = ? WHERE jobId = ?", [now, unfinished.jobId]);
+        return { jobId: unfinished.jobId, resumed: true };
+    }
+
+    const result = await dbRun(
+        "INSERT INTO sync_jobs (puuid, status, startedAt, updatedAt) VALUES (?, 'running', ?, ?)",
+        [puuid, now, now]
+    );
+    return { jobId: result.lastID, resumed: false };
+}
+
+// Mark a job as interrupted (error or user stop) so the next sync resumes it
+async function interruptSyncJob(jobId) {
+    await dbRun("UPDATE sync_jobs SET status = 'interrupted', updatedAt = ? WHERE jobId = ?", [Date.now(), jobId]);
+}
+
+// Finish a job and drop queue entries that are fully stored.
+// Failed and timeline-missing entries stay so later syncs/backfills can retry them.
+async function completeSyncJob(jobId, puuid) {
+    const now = Date.now();
+    await dbRun("DELETE FROM sync_queue WHERE puuid = ? AND state = 'fetched'", [puuid]);
+    await dbRun("UPDATE sync_jobs SET status = 'completed', updatedAt = ?, finishedAt = ? WHERE jobId = ?", [now, now, jobId]);
+}
+
+// End an account's stopped sync (the user cancelled it): its unfinished job is marked cancelled instead
+// of being resumed. Pending and failed entries stay queued with their attempt counts - discovery only
+// looks outside the stored matches, so dropping them would leave holes - and the next sync's new job
+// processes them. Like completeSyncJob, fully stored entries are dropped.
+async function cancelSyncJob(puuid) {
+    const now = Date.now();
+    await dbRun("DELETE FROM sync_queue WHERE puuid = ? AND state = 'fetched'", [puuid]);
+    await dbRun(
+        "UPDATE sync_jobs SET status = 'cancelled', updatedAt = ?, finishedAt = ? WHERE puuid = ? AND status IN ('running', 'interrupted')",
+        [now, now, puuid]
+    );
+}
+
+// Add discovered match IDs to the queue. IDs already queued keep their state and attempt count.
+async function enqueueMatches(jobId, puuid, matchIds) {
+    if (matchIds.length === 0) return;
+    const now = Date.now();
+    await withTransaction(async () => {
+        for (const matchId of matchIds) {
+            await dbRun(
+                "INSERT OR IGNORE INTO sync_queue (matchId, puuid, jobId, state, attempts, updatedAt) VALUES (?, ?, ?, 'pending', 0, ?)",
+                [matchId, puuid, jobId, now]
+            );
+        }
+    });
+}
+
+// Match IDs still to process for a PUUID: pending ones, plus failed ones with attempts left.
+// Oldest entries first, so a resumed sync continues in the order it was discovered.
+async function getQueuedMatches(puuid) {
+    return dbAll(
+        `SELECT matchId, state, attempts FROM sync_queue
+         WHERE puuid = ? AND (state = 'pending' OR (state = 'failed' AND attempts < ?))
+         ORDER BY rowid`,
+        [puuid, MAX_SYNC_ATTEMPTS]
+    );
+}
+
+// Record the outcome of processing one queued match
+async function setQueueState(matchId, puuid, state, error = null) {
+    await dbRun(
+        `UPDATE sync_queue SET state = ?, lastError = ?, updatedAt = ?,
+            attempts = attempts + (CASE WHEN ? = 'failed' THEN 1 ELSE 0 END)
+         WHERE matchId = ? AND puuid = ?`,
+        [state, error, Date.now(), state, matchId, puuid]
+    );
+}
+
+// A timeline that was missing has since been fetched (by any sync or backfill)
+async function markTimelineFetched(matchId) {
+    await dbRun(
+        "UPDATE sync_queue SET state = 'fetched', lastError = NULL, updatedAt = ? WHERE matchId = ? AND state = 'timeline_missing'",
+        [Date.now(), matchId]
+    );
+}
+
+module.exports = {
+    MAX_SYNC_ATTEMPTS,
+    startSyncJob,
+    interruptSyncJob,
+    completeSyncJob,
+    cancelSyncJob,
+    enqueueMatches,
+    getQueuedMatches,
+    setQueueState,
+    markTimelineFetched
+};
@@ -0,0 +1,114 @@
+// Full sync pipeline (match history, timelines, advanced stats, participant ranks) for one or
+// more accounts. Runs in the main process only, so manual and scheduled syncs share one rate
+// limiter and at most one sync runs at a time.
+const { loadConfig, updateAccount } = require('./config');
+const { getPuuidByRiotId, isAbortError } = require('./riotApi');
+const { syncMatches, backfillTimelines, backfillAdvancedStats, fetchRanksForNewMatches } = require('./matchService');
+const { cancelSyncJob } = require('./syncQueue');
+
+// The sync in progress: { controller, stopMode, auto }, or null
+let running = null;
+
+function isSyncRunning() {
+    return running !== null;
+}
+
+// Stop the running sync, keeping what was fetched. mode 'pause' leaves the job for the next sync to
+// resume; 'cancel' ends the account's job (see syncQueue.cancelSyncJob). Either way the matches not
+// fetched yet stay queued for the next sync.
+// Returns false if nothing is running.
+function stopSync(mode) {
+    if (!running || running.controller.signal.aborted) return false;
+    running.stopMode = mode;
+    running.controller.abort();
+    return true;
+}
+
+// Make sure an account's PUUID is known (looked up once, then stored in config)
+async function resolveAccount(account, signal = null) {
+    if (!account.puuid) {
+        account.puuid = await getPuuidByRiotId(account.gameName, account.tagLine, account.region);
+        updateAccount(account.id, { puuid: account.puuid });
+    }
+    if (signal && signal.aborted) throw signal.reason;
+    return account;
+}
+
+// accountIds: accounts to sync (null = every configured account)
+// onProgress({ stage, current, total, account }): stage is 'lookup', 'matches', 'timelines', 'stats' or 'ranks'
+// Resolves with a summary; summary.stopped is 'pause' / 'cancel' when stopped early, otherwise null.
+async function runSync(accountIds = null, { auto = false, onProgress = null } = {}) {
+    if (running) {
+        const err = new Error('A sync is already running');
+        err.code = 'SYNC_IN_PROGRESS';
+        throw err;
+    }
+
+    const config = loadConfig();
+    const accounts = accountIds ? config.accounts.filter(a => accountIds.includes(a.id)) : config.accounts;
+    const report = (stage, current, total, account = null) => {
+        if (onProgress) onProgress({ stage, current, total, account });
+    };
+
+    running = { controller: new AbortController(), stopMode: null, auto };
+    const signal = running.controller.signal;
+    const summary = {
+        newMatches: 0, skipped: 0, failed: 0, total: 0, newMatchIds: [], resumed: false,
+        timelinesAdded: 0, statsComputed: 0, ranksFetched: 0, stopped: null
+    };
+    // The account whose matches are being synced (its job is the one a cancel ends)
+    let syncingPuuid = null;
+    const stopped = async () => {
+        summary.stopped = running.stopMode || 'cancel';
+        if (summary.stopped === 'cancel' && syncingPuuid) await cancelSyncJob(syncingPuuid);
+        return summary;
+    };
+
+    try {
+        // Sync accounts one after another, adding up their results
+        for (const account of accounts) {
+            const label = `${account.gameName}#${account.tagLine}`;
+            report('lookup', 0, 0, label);
+            await resolveAccount(account, signal);
+
+            report('matches', 0, 0, label);
+            syncingPuuid = account.puuid;
+            const result = await syncMatches(account, (current, total) => report('matches', current, total, label), signal);
+            summary.newMatches += result.newMatches;
+            summary.skipped += result.skipped;
+            summary.failed += result.failed;
+            summary.total += result.total;
+            summary.newMatchIds.push(...result.newMatchIds);
+            summary.resumed = summary.resumed || result.resumed;
+            if (result.aborted) return await stopped();
+            syncingPuuid = null;
+        }
+
+        // Backfill timeline data for any matches missing it
+        const timelines = await backfillTimelines((current, total) => report('timelines', current, total), signal);
+        summary.timelinesAdded = timelines.updated;
+        if (timelines.aborted) return await stopped();
+
+        // Backfill advanced stats for matches that have timeline data but no computed stats
+        const advanced = await backfillAdvancedStats((current, total) => report('stats', current, total), signal);
+        summary.statsComputed = advanced.updated;
+        if (advanced.aborted) return await stopped();
+
+        // Fetch player ranks for newly synced matches only
+        if (summary.newMatchIds.length > 0) {
+            const ranks = await fetchRanksForNewMatches(summary.newMatchIds, (current, total) => report('ranks', current, total), signal);
+            summary.ranksFetched = ranks.fetched;
+            if (ranks.aborted) return await stopped();
+        }
+
+        return summary;
+    } catch (err) {
+        // Stopped during a step that doesn't report aborts itself (e.g. the account lookup)
+        if (signal.aborted && isAbortError(err)) return await stopped();
+        throw err;
+    } finally {
+        running = null;
+    }
+}
+
+module.exports = { runSync, stopSync, isSyncRunning, resolveAccount };
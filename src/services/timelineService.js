@@ -0,0 +1,142 @@
+// Timeline data in queryable form: the events badges and stats look at go into timeline_events,
+// and the per-minute participant frames into timeline_frames. Filled when a timeline is fetched
+// and backfilled from timelineJson, so consumers query by match/type instead of walking the JSON.
+const { dbGet, dbRun, dbAll } = require('./database');
+const { unpackJson } = require('./jsonBlob');
+
+// Event types worth storing (everything else in the timeline is skipped)
+const TIMELINE_EVENT_TYPES = ['CHAMPION_KILL', 'ELITE_MONSTER_KILL', 'BUILDING_KILL', 'WARD_PLACED', 'WARD_KILL', 'LEVEL_UP'];
+
+const EVENT_COLUMNS = [
+    'matchId', 'eventIndex', 'type', 'timestamp', 'participantId', 'killerId', 'victimId',
+    'assistingParticipantIds', 'teamId', 'x', 'y', 'monsterType', 'monsterSubType',
+    'buildingType', 'towerType', 'laneType', 'wardType', 'level'
+];
+
+const FRAME_COLUMNS = [
+    'matchId', 'participantId', 'frameIndex', 'timestamp', 'puuid', 'x', 'y',
+    'currentGold', 'totalGold', 'xp', 'level', 'minionsKilled', 'jungleMinionsKilled', 'healthMax'
+];
+
+// Rows per INSERT statement (keeps the bound parameters well below SQLite's limit)
+const INSERT_CHUNK_SIZE = 50;
+
+async function insertRows(table, columns, rows) {
+    const tuple = `(${columns.map(() => '?').join(', ')})`;
+    for (let i = 0; i < rows.length; i += INSERT_CHUNK_SIZE) {
+        const chunk = rows.slice(i, i + INSERT_CHUNK_SIZE);
+        await dbRun(
+            `INSERT OR REPLACE INTO ${table} (${columns.join(', ')}) VALUES ${chunk.map(() => tuple).join(', ')}`,
+            chunk.flatMap(row => columns.map(column => row[column] ?? null))
+        );
+    }
+}
+
+function toEventRows(matchId, timelineData) {
+    const rows = [];
+    let eventIndex = 0;
+    for (const frame of (timelineData.info?.frames || [])) {
+        for (const e of (frame.events || [])) {
+            if (!TIMELINE_EVENT_TYPES.includes(e.type)) continue;
+            rows.push({
+                matchId,
+                eventIndex: eventIndex++,
+                type: e.type,
+                timestamp: e.timestamp,
+                // The player the event is about: who levelled up / placed the ward
+                participantId: e.participantId ?? e.creatorId,
+                killerId: e.killerId,
+                victimId: e.victimId,
+                assistingParticipantIds: e.assistingParticipantIds ? JSON.stringify(e.assistingParticipantIds) : null,
+                // Killer's team for monsters, the destroyed building's team for buildings
+                teamId: e.killerTeamId ?? e.teamId,
+                x: e.position?.x,
+                y: e.position?.y,
+                monsterType: e.monsterType,
+                monsterSubType: e.monsterSubType,
+                buildingType: e.buildingType,
+                towerType: e.towerType,
+                laneType: e.laneType,
+                wardType: e.wardType,
+                level: e.level
+            });
+        }
+    }
+    return rows;
+}
+
+function toFrameRows(matchId, timelineData) {
+    const puuids = {};
+    for (const tp of (timelineData.info?.participants || [])) {
+        puuids[tp.participantId] = tp.puuid;
+    }
+
+    const rows = [];
+    (timelineData.info?.frames || []).forEach((frame, frameIndex) => {
+        for (const [id, pf] of Object.entries(frame.participantFrames || {})) {
+            const participantId = Number(id);
+            rows.push({
+                matchId,
+                participantId,
+                frameIndex,
+                timestamp: frame.timestamp,
+                puuid: puuids[participantId],
+                x: pf.position?.x,
+                y: pf.position?.y,
+                currentGold: pf.currentGold,
+                totalGold: pf.totalGold,
+                xp: pf.xp,
+                level: pf.level,
+                minionsKilled: pf.minionsKilled,
+                jungleMinionsKilled: pf.jungleMinionsKilled,
+                healthMax: pf.championStats?.healthMax
+            });
+        }
+    });
+    return rows;
+}
+
+// Store (or replace) the events and frames of one match's timeline
+async function saveTimeline(matchId, timelineData) {
+    await dbRun('DELETE FROM timeline_events WHERE matchId = ?', [matchId]);
+    await dbRun('DELETE FROM timeline_frames WHERE matchId = ?', [matchId]);
+    await insertRows('timeline_events', EVENT_COLUMNS, toEventRows(matchId, timelineData));
+    await insertRows('timeline_frames', FRAME_COLUMNS, toFrameRows(matchId, timelineData));
+}
+
+// Stored timeline of a match: { events, frames }, both in time order
+async function getTimeline(matchId) {
+    const events = await dbAll('SELECT * FROM timeline_events WHERE matchId = ? ORDER BY eventIndex', [matchId]);
+    const frames = await dbAll('SELECT * FROM timeline_frames WHERE matchId = ? ORDER BY frameIndex, participantId', [matchId]);
+    return { events, frames };
+}
+
+// Fill the timeline tables for matches whose timeline was stored before they existed.
+// Run by migration 5, inside its transaction.
+async function backfillTimelineTables() {
+    const rows = await dbAll(
+        `SELECT DISTINCT matchId FROM matches
+         WHERE timelineJson IS NOT NULL AND matchId NOT IN (SELECT DISTINCT matchId FROM timeline_frames)`
+    );
+    if (rows.length === 0) return { updated: 0, total: 0 };
+
+    console.log(`Extracting timeline events for ${rows.length} matches...`);
+    let updated = 0;
+    for (const { matchId } of rows) {
+        const row = await dbGet('SELECT timelineJson FROM matches WHERE matchId = ? AND timelineJson IS NOT NULL LIMIT 1', [matchId]);
+        let timelineData;
+        try {
+            timelineData = unpackJson(row.timelineJson);
+        } catch (e) {
+            console.warn(`Skipping timeline of ${matchId}: malformed timelineJson`);
+            continue;
+        }
+        await saveTimeline(matchId, timelineData);
+        updated++;
+    }
+
+    console.log(`Timeline extraction complete: ${updated}/${rows.length}`);
+    return { updated, total: rows.length };
+}
+
+module.exports = { saveTimeline, getTimeline, backfillTimelineTables };
@@ -0,0 +1,52 @@
+// Ranked tier helpers shared by the main process (require) and the renderer (script tag in index.html).
+// Ranks are put on one LP scale so they can be compared, charted and averaged:
+// 100 LP per division, 400 per tier, and Master, Grandmaster and Challenger share one ladder on top.
+
+const TIERS = ['IRON', 'BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'EMERALD', 'DIAMOND'];
+const APEX_TIERS = ['MASTER', 'GRANDMASTER', 'CHALLENGER'];
+const DIVISIONS = ['IV', 'III', 'II', 'I'];
+
+// LP on the common scale of a tier, division ('IV'..'I', ignored for apex tiers) and LP, or null if the tier is unknown
+function toTotalLP(tier, rank, leaguePoints = 0) {
+    if (APEX_TIERS.includes(tier)) return TIERS.length * 400 + (leaguePoints || 0);
+    const tierIndex = TIERS.indexOf(tier);
+    const divisionIndex = DIVISIONS.indexOf(rank);
+    if (tierIndex === -1 || divisionIndex === -1) return null;
+    return tierIndex * 400 + divisionIndex * 100 + (leaguePoints || 0);
+}
+
+// Position of a tier and division in the ladder (higher is better), for telling promotions from demotions
+function getRankOrder(tier, rank) {
+    const apexIndex = APEX_TIERS.indexOf(tier);
+    if (apexIndex !== -1) return TIERS.length * DIVISIONS.length + apexIndex;
+    const tierIndex = TIERS.indexOf(tier);
+    const divisionIndex = DIVISIONS.indexOf(rank);
+    if (tierIndex === -1 || divisionIndex === -1) return null;
+    return tierIndex * DIVISIONS.length + divisionIndex;
+}
+
+// Tier and division at a point of the common scale ('GOLD II'; 'MASTER+ 150 LP' on the shared apex ladder)
+function formatTotalLP(totalLP) {
+    const divisionCount = TIERS.length * DIVISIONS.length;
+    const division = Math.max(0, Math.floor(totalLP / 100));
+    if (division >= divisionCount) return `MASTER+ ${totalLP - divisionCount * 100} LP`;
+    return `${TIERS[Math.floor(division / DIVISIONS.length)]} ${DIVISIONS[division % DIVISIONS.length]}`;
+}
+
+// 'GOLD II' / 'MASTER' (apex tiers have no division)
+function formatRank(tier, rank) {
+    if (!tier) return 'Unranked';
+    return APEX_TIERS.includes(tier) ? tier : `${tier} ${rank}`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TIERS,
+        APEX_TIERS,
+        DIVISIONS,
+        toTotalLP,
+        getRankOrder,
+        formatTotalLP,
+        formatRank
+    };
+}
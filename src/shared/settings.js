@@ -0,0 +1,50 @@
+// Settings helpers shared by the main process (require) and the renderer (script tag in index.html).
+// Plain functions only - no Node or Electron APIs, since the renderer runs without them.
+
+// How far back sync looks for matches (per account):
+// mode 'date' = since startDate, 'days' = the last N days, 'all' = everything the API returns
+const DEFAULT_SYNC_WINDOW = { mode: 'date', startDate: '2026-01-01', days: 90 };
+
+// Development key limits: 20 requests every 1 second, 100 requests every 2 minutes
+const DEFAULT_APP_RATE_LIMIT = '20:1,100:120';
+
+// A tracked Riot account. puuid is filled in on first lookup and cleared when the Riot ID changes.
+function createAccount({ gameName, tagLine, region = 'europe', platform = 'euw1', syncWindow = DEFAULT_SYNC_WINDOW }) {
+    return {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        gameName,
+        tagLine,
+        region,     // Regional routing: europe, americas, asia, sea
+        platform,   // Platform: euw1, na1, kr, etc.
+        puuid: null,
+        syncWindow: { ...syncWindow }
+    };
+}
+
+// Accounts the dashboard currently shows: the active one, or all of them for the combined view
+function getActiveAccounts(config) {
+    if (config.activeAccount === 'all') return config.accounts;
+    const active = config.accounts.find(a => a.id === config.activeAccount);
+    return active ? [active] : config.accounts.slice(0, 1);
+}
+
+// Parse a limit header like "20:1,100:120" into [{ limit: 20, windowMs: 1000 }, ...]
+function parseRateLimitHeader(header) {
+    if (!header || typeof header !== 'string') return [];
+    return header.split(',')
+        .map(part => {
+            const [limit, seconds] = part.trim().split(':').map(Number);
+            return { limit, windowMs: seconds * 1000 };
+        })
+        .filter(w => w.limit > 0 && w.windowMs > 0);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_SYNC_WINDOW,
+        DEFAULT_APP_RATE_LIMIT,
+        createAccount,
+        getActiveAccounts,
+        parseRateLimitHeader
+    };
+}